@@ -1,6 +1,7 @@
 // filename: index.js
 /* Render-only PDF microservice (Gold-Standard+)
- * - Endpoints: /generate-pdf, /render-pdf (compat), /metrics, /health, /health/html
+ * - Endpoints: /generate-pdf, /generate-pdf/batch, /merge-pdf, /render/:template,
+ *   /render-pdf (compat), /jobs (async), /metrics, /health, /health/html
  * - Puppeteer context pool (configurable) + kleines FIFO-Queueing
  * - Low-Fidelity-Fallback bei Größenüberschreitung (413)
  * - Prometheus metrics, bessere Diagnostics, optionale HTML-Minify/Sanitize
@@ -14,12 +15,37 @@ const client = require('prom-client');
 const pino = require('pino');
 const os = require('os');
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
+const util = require('util');
 const dns = require('dns').promises;
 const net = require('net');
+const http = require('http');
+const https = require('https');
+const zlib = require('zlib');
 const puppeteer = require('puppeteer');
+const JSZip = require('jszip');
+const busboy = require('busboy');
+const forge = require('node-forge');
+const parse5 = require('parse5');
+const {
+  PDFDocument, PDFObjectCopier, PDFName, PDFNumber, PDFHexString, PDFNull, PDFArray, PDFDict, PDFString, PDFHeader, PDFStream, PDFRawStream,
+  StandardFonts, pushGraphicsState, popGraphicsState, setGraphicsState, beginText, endText, setFontAndSize,
+  setFillingRgbColor, rotateAndSkewTextDegreesAndTranslate, showText, beginMarkedContent, endMarkedContent,
+} = require('pdf-lib');
 
-const logger = pino({ level: process.env.LOG_LEVEL || 'info' });
+// Passwords are held as Secret (see below) once sanitized; redact covers the raw
+// request shapes in case a body is ever logged.
+const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  redact: {
+    paths: [
+      'pdf_options.security', '*.pdf_options.security', '*.*.pdf_options.security',
+      'security.userPassword', 'security.ownerPassword', 'security.user_password', 'security.owner_password',
+    ],
+    censor: '[redacted]',
+  },
+});
 
 // -------------------- Config --------------------
 const PORT = parseInt(process.env.PORT || '3000', 10);
@@ -37,6 +63,9 @@ const MIN_PDF_BYTES    = 1 * 1024 * 1024; // 1 MB Untergrenze
 const HTML_MAX_KB = parseInt(process.env.PDF_MAX_HTML_KB || '1024', 10); // Default: 1 MB (1024 KB)
 const HTML_MAX_BYTES = parseInt(process.env.PDF_MAX_HTML_BYTES || String(HTML_MAX_KB * 1024), 10);
 
+// Multipart uploads (index.html + assets or a ZIP bundle); HTML and assets share HTML_MAX_BYTES
+const UPLOAD_MAX_FILES = Math.max(1, parseInt(process.env.PDF_UPLOAD_MAX_FILES || '200', 10));
+
 // Soft-Landing / Slim-Mode (prepared, not active by default)
 const SLIM_MODE_ENABLED = /^(1|true|yes)$/i.test(process.env.PDF_SLIM_MODE || '0');
 
@@ -47,6 +76,19 @@ const PDF_MEMORY_LIMIT_MB = parseInt(process.env.PDF_MEMORY_LIMIT || '1024', 10)
 const STRIP_SCRIPTS = /^(1|true|yes)$/i.test(process.env.PDF_STRIP_SCRIPTS || '1');
 const STRIP_PAGE_AT_RULES = /^(1|true|yes)$/i.test(process.env.PDF_STRIP_PAGE_AT_RULES || '1');
 const PDF_MINIFY_HTML = /^(1|true|yes)$/i.test(process.env.PDF_MINIFY_HTML || '1');
+// HTML sanitizer allow-policy (see "HTML sanitizer"): additions to the built-in
+// element/attribute lists and the URL schemes links and sources may use
+const SANITIZE_ALLOW_ELEMENTS = process.env.PDF_SANITIZE_ALLOW_ELEMENTS || '';
+const SANITIZE_ALLOW_ATTRIBUTES = process.env.PDF_SANITIZE_ALLOW_ATTRIBUTES || '';
+const SANITIZE_URL_SCHEMES = process.env.PDF_SANITIZE_URL_SCHEMES || 'http, https, data, mailto, tel';
+const SANITIZE_HEADER = /^(1|true|yes)$/i.test(process.env.PDF_SANITIZE_HEADER || '0');
+
+// JavaScript in the render page (see "JavaScript policy"). PDF_JAVASCRIPT=disabled
+// turns it off and sets a strict CSP; enabled keeps scripts, each page limited to
+// PDF_JAVASCRIPT_BUDGET_MS of load time. Defaults to disabled unless
+// PDF_STRIP_SCRIPTS=0. pdf_options.javascript can only tighten this.
+const JAVASCRIPT_DEFAULT = /^(1|true|yes|on|enabled)$/i.test(process.env.PDF_JAVASCRIPT || (STRIP_SCRIPTS ? 'disabled' : 'enabled'));
+const JAVASCRIPT_BUDGET_MS = Math.max(100, parseInt(process.env.PDF_JAVASCRIPT_BUDGET_MS || '5000', 10));
 
 // Response preference
 const ALWAYS_PDF = /^(1|true|yes)$/i.test(process.env.ALWAYS_PDF || '1'); // Immer application/pdf
@@ -71,27 +113,331 @@ const RENDER_TIMEOUT_MS = process.env.PDF_RENDER_TIMEOUT
 const QUEUE_MAX = Math.max(0, parseInt(process.env.QUEUE_MAX || '24', 10));
 const QUEUE_WAIT_MS = Math.max(5000, parseInt(process.env.QUEUE_WAIT_MS || '25000', 10));
 
+// Async render jobs (POST /jobs): finished jobs are kept in memory for
+// PDF_JOB_TTL_SEC, at most PDF_JOBS_MAX jobs exist at any time.
+const JOB_TTL_MS = Math.max(60, parseInt(process.env.PDF_JOB_TTL_SEC || '900', 10)) * 1000;
+const JOBS_MAX = Math.max(1, parseInt(process.env.PDF_JOBS_MAX || '100', 10));
+// Job callbacks (callback_url): attempts = 1 + retries, exponential backoff.
+const CALLBACK_RETRIES = Math.max(0, parseInt(process.env.PDF_CALLBACK_RETRIES || '4', 10));
+const CALLBACK_BACKOFF_MS = Math.max(1, parseInt(process.env.PDF_CALLBACK_BACKOFF_MS || '1000', 10));
+const CALLBACK_TIMEOUT_MS = Math.max(1000, parseInt(process.env.PDF_CALLBACK_TIMEOUT_MS || '10000', 10));
+
+// Batch rendering (POST /generate-pdf/batch)
+const BATCH_MAX_ITEMS = Math.max(1, parseInt(process.env.PDF_BATCH_MAX_ITEMS || '20', 10));
+
+// Merging (POST /merge-pdf)
+const MERGE_MAX_PARTS = Math.max(1, parseInt(process.env.PDF_MERGE_MAX_PARTS || '12', 10));
+
+// Server-side templates (POST /render/:template)
+const TEMPLATE_DIR = process.env.PDF_TEMPLATE_DIR || path.join(__dirname, 'templates');
+
+// PDF signing (pdf_options.signature): PKCS#12 with certificate + private key
+const SIGN_P12_PATH = process.env.PDF_SIGN_P12_PATH || '';
+const SIGN_P12_PASSWORD = process.env.PDF_SIGN_P12_PASSWORD || '';
+const SIGN_REASON = process.env.PDF_SIGN_REASON || '';
+const SIGN_LOCATION = process.env.PDF_SIGN_LOCATION || '';
+
+// Render cache (/generate-pdf, /render/:template): memory, optionally also on disk
+const CACHE_ENABLED = /^(1|true|yes)$/i.test(process.env.PDF_CACHE || '1');
+const CACHE_TTL_MS = Math.max(1, parseInt(process.env.PDF_CACHE_TTL_SEC || '600', 10)) * 1000;
+const CACHE_MAX_BYTES = Math.max(1, parseInt(process.env.PDF_CACHE_MAX_MB || '64', 10)) * 1024 * 1024;
+const CACHE_DIR = process.env.PDF_CACHE_DIR || '';
+const CACHE_DISK_MAX_BYTES = Math.max(1, parseInt(process.env.PDF_CACHE_DISK_MAX_MB || '512', 10)) * 1024 * 1024;
+
+// Idempotency-Key on render POSTs: stored responses are replayed for this long
+const IDEMPOTENCY_TTL_MS = Math.max(1, parseInt(process.env.PDF_IDEMPOTENCY_TTL_SEC || '600', 10)) * 1000;
+const IDEMPOTENCY_MAX = Math.max(1, parseInt(process.env.PDF_IDEMPOTENCY_MAX || '100', 10));
+const IDEMPOTENCY_MAX_BYTES = Math.max(1, parseInt(process.env.PDF_IDEMPOTENCY_MAX_MB || '64', 10)) * 1024 * 1024;
+
+// Asset inlining (pdf_options.inlineAssets): remote images/fonts/stylesheets → data: URIs
+const INLINE_ASSETS_DEFAULT = /^(1|true|yes)$/i.test(process.env.PDF_INLINE_ASSETS || '0');
+const INLINE_MAX_ASSET_BYTES = Math.max(1, parseInt(process.env.PDF_INLINE_MAX_ASSET_KB || '2048', 10)) * 1024;
+const INLINE_MAX_TOTAL_BYTES = Math.max(1, parseInt(process.env.PDF_INLINE_MAX_TOTAL_KB || '10240', 10)) * 1024;
+const INLINE_MAX_ASSETS = Math.max(1, parseInt(process.env.PDF_INLINE_MAX_ASSETS || '50', 10));
+const INLINE_TIMEOUT_MS = Math.max(100, parseInt(process.env.PDF_INLINE_TIMEOUT_MS || '5000', 10));
+
 // PDF Optimization settings
 const PDF_SCALE = parseFloat(process.env.PDF_SCALE || '0.94'); // Slightly reduced for smaller files
 const PDF_PRINT_BG = /^(1|true|yes)$/i.test(process.env.PDF_PRINT_BACKGROUND || '0'); // Default: off for smaller files
 
+// Default margins (can be overridden by pdfOptions). Text stamped into the PDF
+// afterwards (header/footer presets, watermarks, the signature box) keeps the
+// same distance from the page edge.
+const DEFAULT_MARGINS = { top: '15mm', bottom: '15mm', left: '15mm', right: '15mm' };
+const PAGE_INSET_PT = 15 / 25.4 * 72;
+
 // -------------------- Metrics --------------------
 client.collectDefaultMetrics();
 const httpReqs  = new client.Counter({ name: 'pdf_http_requests_total', help: 'HTTP requests', labelNames: ['route','status'] });
 const renderDur = new client.Histogram({ name: 'pdf_render_seconds', help: 'Render duration seconds' });
 const poolAvail = new client.Gauge({ name: 'pdf_pool_available', help: 'Browser contexts available' });
+const jobsTotal = new client.Counter({ name: 'pdf_jobs_total', help: 'Async render jobs by final state', labelNames: ['state'] });
+const cacheLookups = new client.Counter({ name: 'pdf_cache_lookups_total', help: 'Render cache lookups by result', labelNames: ['result'] });
+const idempotencyTotal = new client.Counter({ name: 'pdf_idempotency_total', help: 'Requests with Idempotency-Key by outcome', labelNames: ['result'] });
+const subresourcesBlocked = new client.Counter({ name: 'pdf_subresources_blocked_total', help: 'Blocked sub-resource requests by reason', labelNames: ['reason'] });
+const inlineAssetsTotal = new client.Counter({ name: 'pdf_inline_assets_total', help: 'Remote assets considered for inlining by result', labelNames: ['result'] });
+const jsBudgetExhausted = new client.Counter({ name: 'pdf_javascript_budget_exhausted_total', help: 'Renders whose scripts were stopped by the JavaScript budget' });
+const callbacksTotal = new client.Counter({ name: 'pdf_callbacks_total', help: 'Job callback deliveries by result', labelNames: ['result'] });
 
 function updatePoolGauge(contexts, busy) {
   poolAvail.set(contexts.length - busy.size);
 }
 
-// -------------------- HTML helpers --------------------
-function stripScripts(html) {
-  if (!STRIP_SCRIPTS) return html;
-  return html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
+// -------------------- HTML sanitizer --------------------
+// Allow-policy on the parsed tree (parse5 builds the tree the way Chromium's
+// parser does, so nothing hides in markup a regex would misread):
+// - elements not on the list are unwrapped (their content stays); DROP elements
+//   go with their content, as do <meta http-equiv> and <link> other than
+//   stylesheets;
+// - attributes not on the list are removed, event handlers (on*) always;
+// - URL attributes must be relative or use an allowed scheme; SVG <use> may only
+//   reference the document itself (#id).
+// Renders with JavaScript enabled keep <script>, handlers and javascript: URLs.
+const csvSet = (value) => new Set(String(value || '').split(',').map((x) => x.trim().toLowerCase()).filter(Boolean));
+
+const SANITIZE_ELEMENTS = csvSet(`html, head, body, title, base, meta, link, style,
+  a, abbr, address, article, aside, b, bdi, bdo, big, blockquote, br, button, canvas, caption, center, cite,
+  code, col, colgroup, data, dd, del, details, dfn, div, dl, dt, em, fieldset, figcaption, figure, font,
+  footer, h1, h2, h3, h4, h5, h6, header, hgroup, hr, i, img, input, ins, kbd, label, legend, li, main,
+  mark, meter, nav, ol, optgroup, option, output, p, picture, pre, progress, q, rp, rt, ruby, s, samp,
+  section, select, small, source, span, strike, strong, sub, summary, sup, table, tbody, td, textarea,
+  tfoot, th, thead, time, tr, tt, u, ul, var, wbr,
+  svg, g, defs, symbol, use, path, rect, circle, ellipse, line, polyline, polygon, text, tspan, textpath,
+  desc, lineargradient, radialgradient, stop, clippath, mask, pattern, marker, image, switch, view,
+  filter, feblend, fecolormatrix, fecomponenttransfer, fecomposite, feconvolvematrix, fediffuselighting,
+  fedisplacementmap, fedistantlight, fedropshadow, feflood, fefunca, fefuncb, fefuncg, fefuncr,
+  fegaussianblur, feimage, femerge, femergenode, femorphology, feoffset, fepointlight,
+  fespecularlighting, fespotlight, fetile, feturbulence`);
+
+// Removed together with their content
+const SANITIZE_DROP_ELEMENTS = csvSet(`script, iframe, frame, frameset, object, embed, applet, portal,
+  fencedframe, noscript, noembed, noframes, template, xmp, plaintext, math, foreignobject, metadata,
+  animate, animatemotion, animatetransform, set, handler, listener`);
+
+const SANITIZE_ATTRIBUTES = csvSet(`id, class, style, title, lang, dir, role, hidden, translate,
+  xmlns, xmlns:xlink, xml:lang, xml:space,
+  align, alt, bgcolor, border, cellpadding, cellspacing, charset, checked, cite, color, cols, colspan,
+  content, crossorigin, datetime, decoding, disabled, face, for, headers, height, href, hreflang, label,
+  loading, low, high, max, media, min, multiple, name, nowrap, open, optimum, placeholder, readonly,
+  referrerpolicy, rel, reversed, rows, rowspan, scope, selected, size, sizes, span, src, srcset, start,
+  summary, target, type, valign, value, width,
+  viewbox, preserveaspectratio, version, x, y, x1, x2, y1, y2, cx, cy, r, rx, ry, fx, fy, d, points,
+  pathlength, transform, fill, fill-opacity, fill-rule, stroke, stroke-width, stroke-opacity,
+  stroke-linecap, stroke-linejoin, stroke-dasharray, stroke-dashoffset, stroke-miterlimit, opacity,
+  offset, stop-color, stop-opacity, gradientunits, gradienttransform, spreadmethod, patternunits,
+  patterncontentunits, patterntransform, clip-path, clippathunits, clip-rule, mask, maskunits,
+  maskcontentunits, marker-start, marker-mid, marker-end, markerwidth, markerheight, markerunits, refx,
+  refy, orient, text-anchor, dominant-baseline, alignment-baseline, baseline-shift, font-family,
+  font-size, font-weight, font-style, letter-spacing, word-spacing, text-decoration, dx, dy, rotate,
+  textlength, lengthadjust, startoffset, xlink:href, filter, filterunits, primitiveunits, in, in2,
+  result, stddeviation, mode, operator, k1, k2, k3, k4, values, flood-color, flood-opacity,
+  lighting-color, scale, xchannelselector, ychannelselector, radius, order, kernelmatrix, basefrequency,
+  numoctaves, seed, stitchtiles, tablevalues, slope, intercept, amplitude, exponent, surfacescale,
+  diffuseconstant, specularconstant, specularexponent, azimuth, elevation, pointsatx, pointsaty,
+  pointsatz, limitingconeangle, visibility, display, overflow, vector-effect, shape-rendering,
+  text-rendering, color-interpolation-filters, paint-order`);
+
+const SANITIZE_URL_ATTRIBUTES = csvSet(`href, src, srcset, xlink:href, action, formaction, background,
+  poster, cite, data, longdesc, ping, lowsrc, dynsrc, manifest, codebase, archive`);
+
+// Deeper subtrees are dropped (Chromium's parser nests no deeper either)
+const SANITIZE_MAX_DEPTH = 512;
+
+// X-PDF-Sanitized is cut after this many characters
+const SANITIZE_HEADER_MAX = 256;
+
+/**
+ * Build a sanitizer allow-policy. Lists are comma-separated strings and extend
+ * the built-in ones; schemes replace them. <script> is governed by `scripts`.
+ * @returns {{ scripts: boolean, elements: Set, drop: Set, attributes: Set, schemes: Set }}
+ */
+function makeSanitizePolicy({
+  scripts = false, elements = SANITIZE_ALLOW_ELEMENTS, attributes = SANITIZE_ALLOW_ATTRIBUTES,
+  schemes = SANITIZE_URL_SCHEMES,
+} = {}) {
+  const extra = csvSet(elements);
+  extra.delete('script');
+  const policy = {
+    scripts,
+    elements: new Set([...SANITIZE_ELEMENTS, ...extra]),
+    drop: new Set([...SANITIZE_DROP_ELEMENTS].filter((tag) => !extra.has(tag))),
+    attributes: new Set([...SANITIZE_ATTRIBUTES, ...csvSet(attributes)]),
+    schemes: csvSet(schemes),
+  };
+  if (scripts) {
+    policy.elements.add('script');
+    policy.drop.delete('script');
+    policy.schemes.add('javascript');
+  }
+  return policy;
+}
+
+const SANITIZE_POLICY = makeSanitizePolicy();
+const SANITIZE_SCRIPT_POLICY = makeSanitizePolicy({ scripts: true });
+
+function countRemoval(report, group, name) {
+  report[group][name] = (report[group][name] || 0) + 1;
+  report.removed += 1;
+}
+
+// Control characters and whitespace are ignored by URL parsing ("java\tscript:")
+function urlSchemeAllowed(value, schemes) {
+  const m = /^([a-z][a-z0-9+.-]*):/i.exec(String(value).replace(/[\u0000-\u0020\u007f-\u009f]+/g, ''));
+  return !m || schemes.has(m[1].toLowerCase());
+}
+
+function attrOf(node, name) {
+  const attr = node.attrs.find((a) => a.name.toLowerCase() === name);
+  return attr ? attr.value : null;
+}
+
+// Elements dropped for what they do rather than what they are
+function droppedByRule(node, tag) {
+  if (tag === 'meta') return attrOf(node, 'http-equiv') !== null;
+  if (tag === 'link') return !String(attrOf(node, 'rel') || '').toLowerCase().split(/\s+/).includes('stylesheet');
+  return false;
+}
+
+function sanitizeAttrs(node, tag, policy, report) {
+  node.attrs = node.attrs.filter((attr) => {
+    const name = (attr.prefix ? `${attr.prefix}:${attr.name}` : attr.name).toLowerCase();
+    if (name.startsWith('on')) {
+      if (!policy.scripts) countRemoval(report, 'attributes', name);
+      return policy.scripts;
+    }
+    if (!policy.attributes.has(name) && !/^(aria|data)-[\w.-]+$/.test(name)) {
+      countRemoval(report, 'attributes', name);
+      return false;
+    }
+    if (!SANITIZE_URL_ATTRIBUTES.has(name)) return true;
+    const ok = tag === 'use' && name.endsWith('href')
+      ? attr.value.trim().startsWith('#')
+      : (name === 'srcset' ? splitSrcset(attr.value).map((c) => c.url) : [attr.value])
+        .every((url) => urlSchemeAllowed(url, policy.schemes));
+    if (!ok) countRemoval(report, 'urls', name);
+    return ok;
+  });
+}
+
+function sanitizeChildren(parent, policy, report, depth) {
+  const kept = [];
+  for (const node of parent.childNodes) {
+    if (!node.tagName) {
+      kept.push(node); // text, comment, doctype
+      continue;
+    }
+    const tag = node.tagName.toLowerCase();
+    if (depth >= SANITIZE_MAX_DEPTH || policy.drop.has(tag) || droppedByRule(node, tag)) {
+      countRemoval(report, 'elements', tag);
+      continue;
+    }
+    sanitizeChildren(node, policy, report, depth + 1);
+    if (!policy.elements.has(tag)) {
+      countRemoval(report, 'elements', tag);
+      for (const child of node.childNodes) {
+        child.parentNode = parent;
+        kept.push(child);
+      }
+      continue;
+    }
+    sanitizeAttrs(node, tag, policy, report);
+    kept.push(node);
+  }
+  parent.childNodes = kept;
+}
+
+// <meta http-equiv="Content-Security-Policy"> as the first element of <head>,
+// so it covers everything the document loads
+function prependCsp(doc, csp) {
+  const adapter = parse5.defaultTreeAdapter;
+  const root = doc.childNodes.find((n) => n.tagName === 'html');
+  const head = root && root.childNodes.find((n) => n.tagName === 'head');
+  if (!head) return;
+  const meta = adapter.createElement('meta', parse5.html.NS.HTML, [
+    { name: 'http-equiv', value: 'Content-Security-Policy' },
+    { name: 'content', value: csp },
+  ]);
+  if (head.childNodes.length) adapter.insertBefore(head, meta, head.childNodes[0]);
+  else adapter.appendChild(head, meta);
+}
+
+/**
+ * Parse, filter and re-serialize HTML. `fragment` for header/footer templates;
+ * `csp` (documents only) is added as a CSP <meta> after filtering.
+ * report: { removed, elements: { tag: n }, attributes: { name: n }, urls: { attr: n } }
+ * @returns {{ html: string, report: object }}
+ */
+function sanitizeMarkup(html, { fragment = false, policy = SANITIZE_POLICY, csp = null } = {}) {
+  const report = { removed: 0, elements: {}, attributes: {}, urls: {} };
+  const tree = fragment ? parse5.parseFragment(html) : parse5.parse(html);
+  sanitizeChildren(tree, policy, report, 0);
+  if (csp && !fragment) prependCsp(tree, csp);
+  return { html: parse5.serialize(tree), report };
+}
+
+// One-line form for logs and X-PDF-Sanitized: "script=2,onerror=1,href=1".
+// Names come from the input; characters outside [\w:-] are shown as "_", so
+// the summary is always a valid header value.
+function sanitizeSummary(report) {
+  return [report.elements, report.attributes, report.urls]
+    .flatMap((group) => Object.entries(group).map(([name, n]) => `${name.replace(/[^\w:-]/g, '_')}=${n}`))
+    .join(',');
+}
+
+// -------------------- JavaScript policy --------------------
+// Disabled: page.setJavaScriptEnabled(false), scripts removed by the sanitizer
+// and a CSP that allows nothing but images, fonts and styles. Enabled (opt-in
+// for chart libraries): scripts run while the page loads, at most budgetMs;
+// then execution is terminated and disabled, so nothing changes while the PDF
+// is measured and printed. Both CSPs forbid fetch/XHR/WebSocket, frames,
+// objects and workers. The sub-resource policy applies either way.
+const CSP_COMMON = "default-src 'none'; img-src http: https: data: blob:; font-src http: https: data:; " +
+  "style-src http: https: data: 'unsafe-inline'; object-src 'none'; frame-src 'none'; connect-src 'none'; " +
+  "worker-src 'none'; form-action 'none'; base-uri http: https:";
+const CSP_NO_SCRIPT = `${CSP_COMMON}; script-src 'none'`;
+const CSP_SCRIPT = `${CSP_COMMON}; script-src http: https: 'unsafe-inline' 'unsafe-eval'`;
+
+// Effective policy of a render: the operator default, tightened by pdf_options.javascript
+function javascriptPolicy(pdfOptions = {}) {
+  const requested = pdfOptions.javascript;
+  if (!JAVASCRIPT_DEFAULT || requested === false) return { enabled: false, budgetMs: 0, csp: CSP_NO_SCRIPT };
+  return { enabled: true, budgetMs: (requested && requested.budgetMs) || JAVASCRIPT_BUDGET_MS, csp: CSP_SCRIPT };
+}
+
+/**
+ * Apply a javascriptPolicy() to a fresh page before its content is set.
+ * Returns finish(), to be awaited once the content has loaded (or failed to):
+ * stops the budget timer, disables scripts and resolves { exhausted }.
+ */
+async function applyJavaScriptPolicy(page, js) {
+  await page.setJavaScriptEnabled(js.enabled);
+  if (!js.enabled) return { finish: async () => ({ exhausted: false }) };
+  const cdp = await page.target().createCDPSession();
+  let exhausted = false;
+  const timer = setTimeout(() => {
+    exhausted = true;
+    jsBudgetExhausted.inc();
+    logger.warn({ budget_ms: js.budgetMs }, '[PDF-JS] execution budget exhausted, scripts stopped');
+    cdp.send('Emulation.setScriptExecutionDisabled', { value: true }).catch(() => {});
+    cdp.send('Runtime.terminateExecution').catch(() => {});
+  }, js.budgetMs);
+  let finished = null;
+  return {
+    finish: () => {
+      if (!finished) {
+        clearTimeout(timer);
+        finished = page.setJavaScriptEnabled(false).catch(() => {})
+          .then(() => cdp.detach().catch(() => {}))
+          .then(() => ({ exhausted }));
+      }
+      return finished;
+    },
+  };
 }
-function stripAtRules(html) {
-  if (!STRIP_PAGE_AT_RULES) return html;
+
+// -------------------- HTML helpers --------------------
+function stripAtRules(html, keepPageRules = false) {
+  if (!STRIP_PAGE_AT_RULES || keepPageRules) return html;
   return html.replace(/@page\s*\{[^}]*\}/gi, '');
 }
 
@@ -163,11 +509,16 @@ function minifySoft(html) {
   return s.trim();
 }
 
-function sanitize(html, dumper) {
+// CSS page mode (pdf_options.preferCSSPageSize) keeps @page rules for Chromium.
+// `report` (optional) receives what the sanitizer removed (see sanitizeMarkup);
+// `scripts` and `csp` follow the render's JavaScript policy (see javascriptPolicy).
+function sanitizeHtml(html, dumper, { keepPageRules, report = null, scripts = JAVASCRIPT_DEFAULT, csp = null }) {
   let h = html || '';
   if (dumper) dumper.dump('1-raw', h);
-  h = stripScripts(h);
-  h = stripAtRules(h);
+  const cleaned = sanitizeMarkup(h, { policy: scripts ? SANITIZE_SCRIPT_POLICY : SANITIZE_POLICY, csp });
+  if (report) Object.assign(report, cleaned.report);
+  h = cleaned.html;
+  h = stripAtRules(h, keepPageRules);
   if (dumper) dumper.dump('2-stripped', h);
   h = minifySoft(h);
   if (dumper) dumper.dump('3-consolidated', h);
@@ -210,7 +561,7 @@ function makeDumper(enabled) {
 // -------------------- Security: auth + SSRF guard --------------------
 // Opt-in shared-secret auth. When PDF_SHARED_SECRET is unset the endpoint stays
 // open (no behavior change vs. today); when set, callers must send a matching
-// X-PDF-Secret header (compared in constant time).
+// X-PDF-Secret header (compared in constant time) or a tenant key (see PDF_TENANTS).
 const PDF_SHARED_SECRET = process.env.PDF_SHARED_SECRET || '';
 
 function isAuthorized(req) {
@@ -218,7 +569,7 @@ function isAuthorized(req) {
   const provided = String(req.headers['x-pdf-secret'] || '');
   const a = Buffer.from(provided);
   const b = Buffer.from(PDF_SHARED_SECRET);
-  return a.length === b.length && crypto.timingSafeEqual(a, b);
+  return (a.length === b.length && crypto.timingSafeEqual(a, b)) || tenantForKey(provided) !== null;
 }
 
 // SSRF guard for sub-resources referenced by the rendered HTML. Blocks non-http(s)
@@ -256,9 +607,9 @@ function isPrivateAddress(ip) {
   return false;
 }
 
-async function isBlockedRequestUrl(rawUrl) {
-  let u;
-  try { u = new URL(rawUrl); } catch { return true; }
+// Checks that need no DNS: scheme, reserved names, literal addresses.
+// true/false, or null when the answer depends on what the name resolves to.
+function blockedWithoutLookup(u) {
   const scheme = u.protocol.toLowerCase();
   if (scheme === 'data:' || scheme === 'about:' || scheme === 'blob:') return false;
   if (scheme !== 'http:' && scheme !== 'https:') return true; // file:, ftp:, ...
@@ -267,19 +618,533 @@ async function isBlockedRequestUrl(rawUrl) {
   if (host === 'localhost' || host.endsWith('.localhost') ||
       host.endsWith('.internal') || host.endsWith('.local')) return true;
   if (net.isIP(host)) return isPrivateAddress(host);
+  return null;
+}
+
+// A name checked with one lookup and fetched after another can be rebound to an
+// internal address in between. So whatever connects (Chromium sub-resources via
+// respondFromNetwork, the asset inliner, job callbacks) goes through
+// guardedFetch, whose sockets take their address from pinnedLookup: one
+// resolution, checked, and exactly that address is dialled. Chromium itself gets
+// host-resolver rules that fail every lookup of its own (see initPool).
+const systemResolver = (host) => dns.lookup(host, { all: true });
+let resolveHost = systemResolver;
+
+// Tests swap in a fake resolver; null restores dns.lookup.
+function setResolver(fn) {
+  resolveHost = fn || systemResolver;
+}
+
+async function isBlockedRequestUrl(rawUrl) {
+  let u;
+  try { u = new URL(rawUrl); } catch { return true; }
+  const blocked = blockedWithoutLookup(u);
+  if (blocked !== null) return blocked;
   try {
-    const addrs = await dns.lookup(host, { all: true });
+    const addrs = await resolveHost(u.hostname);
     return addrs.some((a) => isPrivateAddress(a.address));
   } catch {
     return true; // fail closed if the host cannot be resolved
   }
 }
 
+function ssrfError(host) {
+  return Object.assign(new Error(`blocked host ${host}`), { code: 'ESSRF' });
+}
+
+// dns.lookup-compatible; with the guard on, any private answer fails the lookup.
+function pinnedLookup(hostname, options, callback) {
+  const cb = typeof options === 'function' ? options : callback;
+  const opts = options && typeof options === 'object' ? options : { family: Number(options) || 0 };
+  resolveHost(hostname).then((addrs) => {
+    if (SSRF_GUARD && addrs.some((a) => isPrivateAddress(a.address))) throw ssrfError(hostname);
+    const usable = opts.family ? addrs.filter((a) => a.family === opts.family) : addrs;
+    if (!usable.length) throw Object.assign(new Error(`no address for ${hostname}`), { code: 'ENOTFOUND' });
+    if (opts.all) cb(null, usable);
+    else cb(null, usable[0].address, usable[0].family);
+  }).catch((err) => cb(err));
+}
+
+const BODY_DECODERS = {
+  gzip: zlib.gunzipSync, 'x-gzip': zlib.gunzipSync, deflate: zlib.inflateSync, br: zlib.brotliDecompressSync,
+};
+
+function tooLarge(maxBytes) {
+  return Object.assign(new Error(`larger than ${maxBytes} bytes`), { code: 'ETOOLARGE' });
+}
+
+// Identity is requested; a compressed answer anyway is decoded under the same cap.
+function decodeBody(buf, encoding, maxBytes) {
+  const decode = BODY_DECODERS[String(encoding || '').trim().toLowerCase()];
+  if (!decode || !buf.length) return buf;
+  try {
+    return decode(buf, Number.isFinite(maxBytes) ? { maxOutputLength: maxBytes } : {});
+  } catch (e) {
+    if (e.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge(maxBytes);
+    throw e;
+  }
+}
+
+/**
+ * One HTTP(S) request over a pinned connection (see pinnedLookup). Redirects
+ * are not followed; the timeout covers the whole request. onData(n) sees every
+ * chunk and may return false to stop (code EBUDGET). With readBody: false the
+ * promise resolves on the response head and the body is drained.
+ * Errors carry code ESSRF (blocked host), ETOOLARGE or name TimeoutError.
+ * @returns {Promise<{status: number, headers: Object, body: Buffer|null}>}
+ */
+function guardedFetch(rawUrl, {
+  method = 'GET', headers = {}, body = null, timeoutMs = RENDER_TIMEOUT_MS,
+  maxBytes = Infinity, onData = null, readBody = true,
+} = {}) {
+  let u;
+  try { u = new URL(rawUrl); } catch { return Promise.reject(new Error(`invalid URL ${rawUrl}`)); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return Promise.reject(new Error(`unsupported scheme ${u.protocol}`));
+  if (SSRF_GUARD && blockedWithoutLookup(u)) return Promise.reject(ssrfError(u.hostname));
+
+  return new Promise((resolve, reject) => {
+    let req = null;
+    const fail = (err) => {
+      clearTimeout(timer);
+      if (req) req.destroy();
+      reject(err);
+    };
+    const timer = setTimeout(() => fail(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), timeoutMs);
+    const sendHeaders = { ...headers, 'Accept-Encoding': 'identity' };
+    if (body != null) sendHeaders['Content-Length'] = Buffer.byteLength(body);
+    req = (u.protocol === 'https:' ? https : http).request(u, {
+      method, headers: sendHeaders, lookup: pinnedLookup, agent: false,
+    }, (res) => {
+      if (!readBody) {
+        clearTimeout(timer);
+        res.resume();
+        return resolve({ status: res.statusCode, headers: res.headers, body: null });
+      }
+      if (Number(res.headers['content-length']) > maxBytes) return fail(tooLarge(maxBytes));
+      const chunks = [];
+      let size = 0;
+      res.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) return fail(tooLarge(maxBytes));
+        if (onData && onData(chunk.length) === false) {
+          return fail(Object.assign(new Error('byte budget exhausted'), { code: 'EBUDGET' }));
+        }
+        return chunks.push(chunk);
+      });
+      res.on('end', () => {
+        clearTimeout(timer);
+        try {
+          resolve({ status: res.statusCode, headers: res.headers, body: decodeBody(Buffer.concat(chunks), res.headers['content-encoding'], maxBytes) });
+        } catch (e) {
+          reject(e);
+        }
+      });
+      res.on('error', fail);
+      return undefined;
+    });
+    req.on('error', fail);
+    req.end(body == null ? undefined : body);
+  });
+}
+
+// -------------------- Sub-resource policy --------------------
+// What a rendered page (and the asset inliner) may load. PDF_ASSET_ALLOWLIST
+// lists hosts ("cdn.example.com, *.example.com"; *. matches subdomains only);
+// empty means any host the SSRF guard lets through. Each render pass may make
+// at most PDF_SUBRESOURCE_MAX requests and receive PDF_SUBRESOURCE_MAX_MB, so
+// hostile HTML cannot keep fetching until networkidle0. PDF_TENANTS gives API
+// keys their own policy, e.g. {"acme": {"key": "…", "allow": ["cdn.acme.com"],
+// "max_requests": 50, "max_mb": 10}} (omitted fields fall back to the env
+// defaults); a tenant key is sent as X-PDF-Secret and authenticates like
+// PDF_SHARED_SECRET. Blocked requests are aborted, logged and counted in
+// pdf_subresources_blocked_total{reason}.
+const HOST_PATTERN_REGEX = /^(\*\.)?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/;
+
+function parseHostList(value) {
+  const list = Array.isArray(value) ? value : String(value || '').split(',');
+  return list.map((h) => String(h).trim().toLowerCase().replace(/\.$/, '')).filter((h) => {
+    if (!h) return false;
+    if (HOST_PATTERN_REGEX.test(h)) return true;
+    logger.warn({ pattern: h.slice(0, 80) }, '[PDF-POLICY] invalid allowlist entry, ignored');
+    return false;
+  });
+}
+
+const DEFAULT_ASSET_POLICY = Object.freeze({
+  tenant: null,
+  allow: parseHostList(process.env.PDF_ASSET_ALLOWLIST || ''),
+  maxRequests: Math.max(1, parseInt(process.env.PDF_SUBRESOURCE_MAX || '100', 10)),
+  maxBytes: Math.max(1, parseInt(process.env.PDF_SUBRESOURCE_MAX_MB || '20', 10)) * 1024 * 1024,
+});
+
+function loadTenants(raw) {
+  const tenants = [];
+  if (!raw) return tenants;
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (e) {
+    logger.error('[PDF-POLICY] PDF_TENANTS is not valid JSON, no tenant keys active');
+    return tenants;
+  }
+  for (const [name, t] of Object.entries(parsed || {})) {
+    if (!t || typeof t.key !== 'string' || t.key.length < 16) {
+      logger.error({ tenant: name }, '[PDF-POLICY] tenant needs a key of at least 16 characters, ignored');
+      continue;
+    }
+    const maxRequests = parseInt(t.max_requests, 10);
+    const maxMb = parseInt(t.max_mb, 10);
+    tenants.push({
+      key: Buffer.from(t.key),
+      policy: Object.freeze({
+        tenant: name,
+        allow: t.allow !== undefined ? parseHostList(t.allow) : DEFAULT_ASSET_POLICY.allow,
+        maxRequests: maxRequests > 0 ? maxRequests : DEFAULT_ASSET_POLICY.maxRequests,
+        maxBytes: maxMb > 0 ? maxMb * 1024 * 1024 : DEFAULT_ASSET_POLICY.maxBytes,
+      }),
+    });
+  }
+  return tenants;
+}
+
+const TENANTS = loadTenants(process.env.PDF_TENANTS || '');
+
+// Constant-time per tenant; every tenant is compared
+function tenantForKey(provided) {
+  const a = Buffer.from(String(provided || ''));
+  let found = null;
+  for (const t of TENANTS) {
+    if (a.length === t.key.length && crypto.timingSafeEqual(a, t.key) && !found) found = t;
+  }
+  return found;
+}
+
+function assetPolicyFor(req) {
+  const tenant = tenantForKey(req.headers['x-pdf-secret']);
+  return tenant ? tenant.policy : DEFAULT_ASSET_POLICY;
+}
+
+function hostAllowed(host, allow) {
+  if (!allow || !allow.length) return true;
+  const h = String(host).toLowerCase().replace(/\.$/, '');
+  return allow.some((p) => (p.startsWith('*.') ? h.endsWith(p.slice(1)) : h === p));
+}
+
+// null when the URL may be requested, else the block reason (scheme | allowlist |
+// ssrf). Names are not resolved here: the address is checked where it is used
+// (pinnedLookup), so a name resolving to a private address fails at fetch time.
+async function checkSubresource(rawUrl, policy = DEFAULT_ASSET_POLICY) {
+  let u;
+  try { u = new URL(rawUrl); } catch { return 'scheme'; }
+  if (u.protocol === 'data:' || u.protocol === 'about:' || u.protocol === 'blob:') return null;
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return 'scheme';
+  if (!hostAllowed(u.hostname.replace(/^\[|\]$/g, ''), policy.allow)) return 'allowlist';
+  if (SSRF_GUARD && blockedWithoutLookup(u)) return 'ssrf';
+  return null;
+}
+
+function makeSubresourceBudget(policy = DEFAULT_ASSET_POLICY) {
+  return { policy, requests: 0, bytes: 0, blocked: 0, exhausted: null };
+}
+
+// Request gate for a render pass: policy check plus request budget
+async function admitSubresource(url, budget) {
+  if (/^(data|about|blob):/i.test(url)) return null;
+  const reason = budget.exhausted || (await checkSubresource(url, budget.policy));
+  if (reason) return reason;
+  budget.requests += 1;
+  if (budget.requests > budget.policy.maxRequests) budget.exhausted = 'max_requests';
+  return budget.exhausted;
+}
+
+function countBlockedSubresource(budget, url, reason, resourceType) {
+  budget.blocked += 1;
+  subresourcesBlocked.labels(reason).inc();
+  const marker = reason === 'ssrf' ? '[PDF-SSRF]' : '[PDF-POLICY]';
+  logger.warn({ url, resourceType, reason, tenant: budget.policy.tenant }, `${marker} blocked sub-resource request`);
+}
+
+// true for the call that exhausted the budget (later requests see budget.exhausted)
+function exhaustByteBudget(budget) {
+  if (budget.exhausted === 'max_bytes') return false;
+  budget.exhausted = 'max_bytes';
+  subresourcesBlocked.labels('max_bytes').inc();
+  logger.warn({ bytes: budget.bytes, limit_bytes: budget.policy.maxBytes, tenant: budget.policy.tenant },
+    '[PDF-POLICY] sub-resource byte budget exhausted, loading stopped');
+  return true;
+}
+
+// Request headers Chromium sends that must not be forwarded by guardedFetch,
+// and response headers that no longer describe the (decoded, buffered) body.
+const HOP_REQUEST_HEADERS = new Set(['host', 'connection', 'keep-alive', 'proxy-authorization', 'te', 'upgrade', 'accept-encoding', 'content-length']);
+const HOP_RESPONSE_HEADERS = new Set(['connection', 'keep-alive', 'transfer-encoding', 'content-encoding', 'content-length', 'set-cookie']);
+
+// Request handler for admitted http(s) sub-resources while the SSRF guard is on:
+// the service fetches them over a pinned connection and fulfils the request, so
+// Chromium never resolves or connects on its own. Redirects are passed back as
+// such; Chromium's follow-up request goes through the gate again.
+async function respondFromNetwork(request, budget) {
+  const url = request.url();
+  const headers = {};
+  for (const [name, value] of Object.entries(request.headers())) {
+    if (!HOP_REQUEST_HEADERS.has(name.toLowerCase())) headers[name] = value;
+  }
+  let resp;
+  try {
+    resp = await guardedFetch(url, {
+      method: request.method(),
+      headers,
+      body: request.postData() ?? null,
+      maxBytes: budget.policy.maxBytes,
+      onData: (n) => {
+        budget.bytes += n;
+        return budget.bytes <= budget.policy.maxBytes;
+      },
+    });
+  } catch (e) {
+    if (e.code === 'ESSRF') countBlockedSubresource(budget, url, 'ssrf', request.resourceType());
+    else if (e.code === 'EBUDGET' || e.code === 'ETOOLARGE') exhaustByteBudget(budget);
+    else logger.warn({ url, err: e.name === 'TimeoutError' ? 'timeout' : e.message }, '[PDF-POLICY] sub-resource fetch failed');
+    return request.abort();
+  }
+  const out = {};
+  for (const [name, value] of Object.entries(resp.headers)) {
+    if (!HOP_RESPONSE_HEADERS.has(name)) out[name] = value;
+  }
+  return request.respond({ status: resp.status, headers: out, body: resp.body });
+}
+
 // -------------------- PDF Options Sanitization --------------------
 // Whitelist of allowed PDF options from Puppeteer page.pdf()
-const ALLOWED_PDF_FORMATS = new Set(['A4', 'Letter', 'Legal', 'A3', 'A5', 'Tabloid']);
+const ALLOWED_PDF_FORMATS = new Set(['A4', 'Letter', 'Legal', 'A3', 'A5', 'Tabloid', 'A0', 'A1', 'A2', 'A6', 'Ledger']);
 const MARGIN_VALUE_REGEX = /^\d+(\.\d+)?(mm|cm|in|px)$/;
+const MM_PER_UNIT = { mm: 1, cm: 10, in: 25.4, px: 25.4 / 96 };
+const PAGE_SIZE_LIMITS_MM = { min: 50, max: 2000 }; // custom width/height, per side
 const MAX_TEMPLATE_LENGTH = 20000; // 20k chars max for header/footer templates
+const DEFAULT_OUTLINE_LEVELS = 2;   // outline: true → h1 + h2
+const LANG_REGEX = /^[a-zA-Z]{2,3}(-[a-zA-Z0-9]{2,8}){0,3}$/; // BCP 47 (simplified)
+const METADATA_TEXT_LIMITS = { title: 512, author: 256, subject: 1024, creator: 256 };
+const METADATA_MAX_KEYWORDS = 32;
+
+// Holder for values that must never be serialized: JSON (pino), util.inspect
+// and string conversion only ever see "[redacted]". reveal() returns the value.
+class Secret {
+  #value;
+  constructor(value) { this.#value = value; }
+  reveal() { return this.#value; }
+  toJSON() { return '[redacted]'; }
+  toString() { return '[redacted]'; }
+  [util.inspect.custom]() { return '[redacted]'; }
+}
+
+const SECURITY_PERMISSIONS = ['print', 'copy', 'modify'];
+const MAX_PASSWORD_BYTES = 127; // AES-256 (R6) limit on UTF-8 passwords
+
+/**
+ * Sanitize pdf_options.security. Unlike the other options, invalid input is
+ * rejected (400 invalid_security_options) instead of ignored: silently
+ * dropping it would deliver an unprotected PDF.
+ * @returns {{ userPassword: Secret, ownerPassword: Secret, permissions: Object }}
+ */
+function sanitizeSecurity(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw pdfError('pdf_options.security must be an object', 400, 'invalid_security_options');
+  }
+  const password = (camel, snake) => {
+    const value = input[camel] !== undefined ? input[camel] : input[snake];
+    if (value === undefined || value === null || value === '') return '';
+    if (typeof value !== 'string') {
+      throw pdfError(`pdf_options.security.${camel} must be a string`, 400, 'invalid_security_options');
+    }
+    const normalized = value.normalize('NFKC');
+    if (Buffer.byteLength(normalized, 'utf8') > MAX_PASSWORD_BYTES) {
+      throw pdfError(`pdf_options.security.${camel} exceeds ${MAX_PASSWORD_BYTES} bytes`, 400, 'invalid_security_options');
+    }
+    return normalized;
+  };
+  const userPassword = password('userPassword', 'user_password');
+  // Without an owner password the permissions could be lifted by anyone: use a random one.
+  const ownerPassword = password('ownerPassword', 'owner_password') || crypto.randomBytes(24).toString('base64');
+
+  const requested = input.permissions === undefined ? {} : input.permissions;
+  if (!requested || typeof requested !== 'object' || Array.isArray(requested)) {
+    throw pdfError('pdf_options.security.permissions must be an object', 400, 'invalid_security_options');
+  }
+  const permissions = {};
+  for (const key of SECURITY_PERMISSIONS) permissions[key] = requested[key] === true;
+
+  return { userPassword: new Secret(userPassword), ownerPassword: new Secret(ownerPassword), permissions };
+}
+
+const WATERMARK_MAX = 4;
+const WATERMARK_TEXT_LIMIT = 120;
+const WATERMARK_LAYERS = new Set(['front', 'behind']);
+const WATERMARK_POSITIONS = new Set(['center', 'top-left', 'top-center', 'top-right', 'bottom-left', 'bottom-center', 'bottom-right']);
+const PAGE_SELECTION_REGEX = /^(all|first|last|\d+(-\d*)?(\s*,\s*\d+(-\d*)?)*)$/;
+
+/**
+ * Sanitize one pdf_options.watermark entry:
+ * { text, opacity, angle, pages, layer: 'front' | 'behind', position, fontSize, color: '#rrggbb' }.
+ * Centered marks default to a large diagonal, positioned ones to a small horizontal stamp.
+ * @returns {Object|null} null when there is no usable text
+ */
+function sanitizeWatermark(input) {
+  const src = typeof input === 'string' ? { text: input } : input;
+  if (!src || typeof src !== 'object' || typeof src.text !== 'string') return null;
+  const text = src.text.replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, WATERMARK_TEXT_LIMIT);
+  if (!text) return null;
+  const position = WATERMARK_POSITIONS.has(src.position) ? src.position : 'center';
+  const centered = position === 'center';
+  const result = {
+    text,
+    position,
+    opacity: centered ? 0.15 : 0.8,
+    angle: centered ? 45 : 0,
+    pages: 'all',
+    layer: WATERMARK_LAYERS.has(src.layer) ? src.layer : 'front',
+    fontSize: centered ? null : 9, // null = fit to the page
+    color: [0.5, 0.5, 0.5],
+  };
+  if (typeof src.opacity === 'number' && Number.isFinite(src.opacity)) result.opacity = clamp(src.opacity, 0.05, 1);
+  if (typeof src.angle === 'number' && Number.isFinite(src.angle)) result.angle = clamp(src.angle, -90, 90);
+  if (typeof src.fontSize === 'number' && Number.isFinite(src.fontSize)) result.fontSize = clamp(src.fontSize, 6, 200);
+  if (typeof src.pages === 'string' && PAGE_SELECTION_REGEX.test(src.pages.trim())) result.pages = src.pages.trim();
+  if (typeof src.color === 'string' && /^#[0-9a-f]{6}$/i.test(src.color)) {
+    result.color = [1, 3, 5].map((i) => parseInt(src.color.slice(i, i + 2), 16) / 255);
+  }
+  return result;
+}
+
+const RUNNING_PRESETS = new Set(['page-x-of-y', 'page-x', 'none']);
+const RUNNING_SLOTS = ['left', 'center', 'right'];
+const RUNNING_TEXT_LIMIT = 120;
+const MAX_SKIP_HEADER_FOOTER = 100;
+const PAGE_LABELS = {
+  de: { locale: 'de-DE', 'page-x': 'Seite {page}', 'page-x-of-y': 'Seite {page} von {total}' },
+  en: { locale: 'en-GB', 'page-x': 'Page {page}', 'page-x-of-y': 'Page {page} of {total}' },
+  fr: { locale: 'fr-FR', 'page-x': 'Page {page}', 'page-x-of-y': 'Page {page} sur {total}' },
+  es: { locale: 'es-ES', 'page-x': 'Página {page}', 'page-x-of-y': 'Página {page} de {total}' },
+  it: { locale: 'it-IT', 'page-x': 'Pagina {page}', 'page-x-of-y': 'Pagina {page} di {total}' },
+};
+
+// Language of the page labels: explicit, else the document's, else German
+function runningLang(lang) {
+  const primary = typeof lang === 'string' ? lang.split('-')[0].toLowerCase() : '';
+  return PAGE_LABELS[primary] ? primary : 'de';
+}
+
+/**
+ * Sanitize pdf_options.header / pdf_options.footer:
+ * "page-x-of-y" or { preset, lang, left, center, right, fontSize }.
+ * Slots are plain text with {page}, {total}, {title} and {date}; the preset
+ * label ("Seite 3 von 12") goes into the right slot unless that is set.
+ * @returns {Object|null}
+ */
+function sanitizeRunningText(input) {
+  const src = typeof input === 'string' ? { preset: input } : input;
+  if (!src || typeof src !== 'object' || Array.isArray(src)) return null;
+  const result = { preset: 'page-x-of-y', lang: null, slots: {}, fontSize: 8 };
+  if (src.preset !== undefined) {
+    if (!RUNNING_PRESETS.has(src.preset)) return null;
+    result.preset = src.preset;
+  }
+  if (typeof src.lang === 'string' && PAGE_LABELS[src.lang.split('-')[0].toLowerCase()]) {
+    result.lang = runningLang(src.lang);
+  }
+  for (const slot of RUNNING_SLOTS) {
+    if (typeof src[slot] === 'string') {
+      result.slots[slot] = src[slot].replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, RUNNING_TEXT_LIMIT);
+    }
+  }
+  if (typeof src.fontSize === 'number' && Number.isFinite(src.fontSize)) result.fontSize = clamp(src.fontSize, 6, 14);
+  if (result.preset === 'none' && !Object.values(result.slots).some(Boolean)) return null;
+  return result;
+}
+
+/**
+ * Sanitize /merge-pdf page_numbers: a footer preset (true = "page-x-of-y"; see
+ * sanitizeRunningText) plus `start` and `skip`, which work like
+ * pdf_options.pageNumberStart and skipHeaderFooter.
+ * @returns {{ footer: Object, start?: number, skip?: number }|null}
+ */
+function sanitizeMergePageNumbers(input) {
+  if (!input) return null;
+  const footer = sanitizeRunningText(input === true ? 'page-x-of-y' : input);
+  if (!footer) return null;
+  const running = { footer };
+  if (Number.isInteger(input.start) && input.start >= 1) running.start = Math.min(input.start, MAX_SKIP_HEADER_FOOTER + 1);
+  if (Number.isInteger(input.skip) && input.skip >= 0) running.skip = Math.min(input.skip, MAX_SKIP_HEADER_FOOTER);
+  return running;
+}
+
+const SIGNATURE_TEXT_LIMIT = 200;
+const SIGNATURE_PAGES = new Set(['first', 'last']);
+
+/**
+ * Sanitize pdf_options.signature: true (invisible) or
+ * { visible, reason, location, page: 'first' | 'last' | n, rect: [x, y, width, height] (pt) }.
+ * Invalid fields are ignored; requesting a signature without a loaded
+ * certificate is rejected (400 signature_not_configured).
+ */
+function sanitizeSignature(input) {
+  if (!signer) {
+    throw pdfError(`signing is not configured${signerError ? ` (${signerError})` : ''}`, 400, 'signature_not_configured');
+  }
+  const opts = input === true ? {} : input;
+  const result = { visible: opts.visible === true, page: 'last' };
+  for (const key of ['reason', 'location']) {
+    if (typeof opts[key] === 'string' && opts[key].trim()) {
+      result[key] = opts[key].replace(/[\u0000-\u001f\u007f]+/g, ' ').trim().slice(0, SIGNATURE_TEXT_LIMIT);
+    }
+  }
+  if (SIGNATURE_PAGES.has(opts.page) || (Number.isInteger(opts.page) && opts.page >= 1)) {
+    result.page = opts.page;
+  }
+  if (result.visible && opts.rect !== undefined) {
+    const rect = Array.isArray(opts.rect) ? opts.rect.map(Number) : [];
+    if (rect.length === 4 && rect.every(Number.isFinite) && rect.every((v) => v >= 0) && rect[2] >= 40 && rect[3] >= 20) {
+      result.rect = rect;
+    } else {
+      logger.warn('[PDF-SIGN] Invalid signature rect, using default position');
+    }
+  }
+  return result;
+}
+
+/**
+ * Sanitize pdf_options.metadata (document info dictionary + XMP).
+ * Strings are trimmed, stripped of control characters and length-capped;
+ * keywords may be an array or a comma-separated string.
+ * @param {Object} input - Raw metadata object from request
+ * @returns {Object} - { title?, author?, subject?, keywords?, creator?, lang?, creationDate? }
+ */
+function sanitizeMetadata(input) {
+  const result = {};
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return result;
+  const clean = (v, max) => String(v).replace(/[\u0000-\u001f\u007f]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, max);
+
+  for (const [key, max] of Object.entries(METADATA_TEXT_LIMITS)) {
+    if (typeof input[key] === 'string' && clean(input[key], max)) result[key] = clean(input[key], max);
+  }
+  if (input.keywords !== undefined) {
+    const list = Array.isArray(input.keywords) ? input.keywords : String(input.keywords).split(',');
+    const keywords = list.filter((k) => typeof k === 'string' || typeof k === 'number')
+      .map((k) => clean(k, 64)).filter(Boolean).slice(0, METADATA_MAX_KEYWORDS);
+    if (keywords.length) result.keywords = keywords;
+  }
+  if (typeof input.lang === 'string' && LANG_REGEX.test(input.lang)) {
+    result.lang = input.lang;
+  } else if (input.lang !== undefined) {
+    logger.debug({ lang: String(input.lang).slice(0, 40) }, '[PDF] Invalid metadata.lang, ignored');
+  }
+  const created = input.creation_date !== undefined ? input.creation_date : input.creationDate;
+  if (created !== undefined) {
+    const d = new Date(created);
+    if (!Number.isNaN(d.getTime())) result.creationDate = d.toISOString();
+    else logger.debug('[PDF] Invalid metadata.creation_date, ignored');
+  }
+  return result;
+}
 
 /**
  * Sanitize pdf_options from request to prevent misuse.
@@ -306,41 +1171,75 @@ function sanitizePdfOptions(input) {
     }
   }
 
+  // width + height: custom page size ("210mm", "8.5in", …), overrides format
+  if (input.width !== undefined || input.height !== undefined) {
+    const size = ['width', 'height'].map((key) => {
+      const val = String(input[key]);
+      const m = /(mm|cm|in|px)$/.exec(val);
+      if (!MARGIN_VALUE_REGEX.test(val)) return null;
+      const mm = parseFloat(val) * MM_PER_UNIT[m[1]];
+      return mm >= PAGE_SIZE_LIMITS_MM.min && mm <= PAGE_SIZE_LIMITS_MM.max ? val : null;
+    });
+    if (size[0] && size[1]) {
+      [result.width, result.height] = size;
+      appliedKeys.push('width', 'height');
+    } else {
+      logger.debug({ width: String(input.width).slice(0, 20), height: String(input.height).slice(0, 20) },
+        `[PDF] Invalid page size (both ${PAGE_SIZE_LIMITS_MM.min}–${PAGE_SIZE_LIMITS_MM.max}mm required), ignored`);
+    }
+  }
+
+  // preferCSSPageSize: true – CSS page mode: @page size/margins/named pages win, @page rules are kept
+  if (input.preferCSSPageSize !== undefined) {
+    result.preferCSSPageSize = !!input.preferCSSPageSize;
+    appliedKeys.push('preferCSSPageSize');
+  }
+
   // printBackground: boolean
   if (input.printBackground !== undefined) {
     result.printBackground = !!input.printBackground;
     appliedKeys.push('printBackground');
   }
 
+  // landscape: boolean – default orientation (sections can override via data-pdf-orientation)
+  if (input.landscape !== undefined) {
+    result.landscape = !!input.landscape;
+    appliedKeys.push('landscape');
+  }
+
   // displayHeaderFooter: boolean
   if (input.displayHeaderFooter !== undefined) {
     result.displayHeaderFooter = !!input.displayHeaderFooter;
     appliedKeys.push('displayHeaderFooter');
   }
 
-  // headerTemplate: string, max length, strip <script>
+  // headerTemplate: string, max length, sanitized (see sanitizeMarkup)
   if (input.headerTemplate !== undefined && typeof input.headerTemplate === 'string') {
     let tpl = input.headerTemplate;
     if (tpl.length > MAX_TEMPLATE_LENGTH) {
       tpl = tpl.substring(0, MAX_TEMPLATE_LENGTH);
       logger.warn({ original_length: input.headerTemplate.length }, '[PDF] headerTemplate truncated');
     }
-    // Defensive: strip <script> tags from template
-    tpl = tpl.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-    result.headerTemplate = tpl;
+    const cleaned = sanitizeMarkup(tpl, { fragment: true });
+    if (cleaned.report.removed) {
+      logger.warn({ removed: sanitizeSummary(cleaned.report) }, '[PDF-SANITIZE] headerTemplate cleaned');
+    }
+    result.headerTemplate = cleaned.html;
     appliedKeys.push('headerTemplate');
   }
 
-  // footerTemplate: string, max length, strip <script>
+  // footerTemplate: string, max length, sanitized (see sanitizeMarkup)
   if (input.footerTemplate !== undefined && typeof input.footerTemplate === 'string') {
     let tpl = input.footerTemplate;
     if (tpl.length > MAX_TEMPLATE_LENGTH) {
       tpl = tpl.substring(0, MAX_TEMPLATE_LENGTH);
       logger.warn({ original_length: input.footerTemplate.length }, '[PDF] footerTemplate truncated');
     }
-    // Defensive: strip <script> tags from template
-    tpl = tpl.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '');
-    result.footerTemplate = tpl;
+    const cleaned = sanitizeMarkup(tpl, { fragment: true });
+    if (cleaned.report.removed) {
+      logger.warn({ removed: sanitizeSummary(cleaned.report) }, '[PDF-SANITIZE] footerTemplate cleaned');
+    }
+    result.footerTemplate = cleaned.html;
     appliedKeys.push('footerTemplate');
   }
 
@@ -368,282 +1267,1864 @@ function sanitizePdfOptions(input) {
     }
   }
 
-  // Log which keys were applied (debug-safe, no full template dump)
-  if (appliedKeys.length > 0) {
-    const logInfo = {
-      applied_keys: appliedKeys,
-    };
-    if (result.format) logInfo.format = result.format;
-    if (result.displayHeaderFooter !== undefined) logInfo.displayHeaderFooter = result.displayHeaderFooter;
-    if (result.printBackground !== undefined) logInfo.printBackground = result.printBackground;
-    if (result.margin) logInfo.margin = Object.keys(result.margin).join(',');
-    if (result.headerTemplate) logInfo.headerTemplate_length = result.headerTemplate.length;
-    if (result.footerTemplate) logInfo.footerTemplate_length = result.footerTemplate.length;
-
-    logger.info(logInfo, '[PDF] pdf_options applied');
+  // metadata: object → info dictionary + XMP (title defaults to <title>)
+  if (input.metadata !== undefined && input.metadata !== null) {
+    if (typeof input.metadata === 'object' && !Array.isArray(input.metadata)) {
+      result.metadata = sanitizeMetadata(input.metadata);
+      appliedKeys.push('metadata');
+    } else {
+      logger.debug('[PDF] Invalid metadata value, ignored');
+    }
   }
 
-  return result;
-}
+  // accessibility: true – tagged PDF plus audit report (see auditAccessibilityInPage).
+  // false is the default and changes nothing, so it is not recorded.
+  if (input.accessibility) {
+    result.accessibility = true;
+    appliedKeys.push('accessibility');
+  }
 
-// -------------------- Slim-Mode (Soft-Landing) --------------------
-// Prepared for future use – reduces HTML size when payload exceeds limit
-// Activated via PDF_SLIM_MODE=1 (default: off)
-function slimHtml(html) {
-  let s = String(html);
-  const originalSize = Buffer.byteLength(s, 'utf8');
+  // inlineAssets: boolean – remote images/fonts/stylesheets as data: URIs (see inlineRemoteAssets)
+  if (input.inlineAssets !== undefined) {
+    result.inlineAssets = !!input.inlineAssets;
+    appliedKeys.push('inlineAssets');
+  }
 
-  // 1. Remove all HTML comments
-  s = s.replace(/<!--[\s\S]*?-->/g, '');
+  // javascript: false | true | { budgetMs } – can only tighten PDF_JAVASCRIPT (see javascriptPolicy)
+  if (input.javascript !== undefined && input.javascript !== null) {
+    const js = input.javascript;
+    if (js === false) {
+      result.javascript = false;
+      appliedKeys.push('javascript');
+    } else if (js !== true && (typeof js !== 'object' || Array.isArray(js))) {
+      logger.warn({ javascript: typeof js }, '[PDF] Invalid javascript option, ignored');
+    } else if (!JAVASCRIPT_DEFAULT) {
+      logger.warn('[PDF] javascript requested but disabled by the operator, ignored');
+    } else {
+      const budget = Number(js === true ? NaN : js.budgetMs);
+      result.javascript = {
+        budgetMs: Number.isFinite(budget) && budget > 0 ? Math.min(Math.round(budget), JAVASCRIPT_BUDGET_MS) : JAVASCRIPT_BUDGET_MS,
+      };
+      appliedKeys.push('javascript');
+    }
+  }
 
-  // 2. Remove data-* attributes (often large, not needed for PDF)
-  s = s.replace(/\s+data-[a-z-]+="[^"]*"/gi, '');
+  // conformance: "PDF/A-2b" – archival output (see makePdfA2b)
+  if (input.conformance !== undefined && input.conformance !== null) {
+    const level = CONFORMANCE_LEVELS.get(String(input.conformance).toLowerCase());
+    if (level) {
+      result.conformance = level;
+      appliedKeys.push('conformance');
+    } else {
+      logger.warn({ conformance: String(input.conformance).slice(0, 40) }, '[PDF] Unsupported conformance, ignored');
+    }
+  }
 
-  // 3. Remove empty class attributes
-  s = s.replace(/\s+class=""/g, '');
+  // header / footer: presets stamped into the PDF (see stampRunningText), no raw template needed
+  for (const where of ['header', 'footer']) {
+    if (input[where] === undefined || input[where] === null || input[where] === false) continue;
+    const running = sanitizeRunningText(input[where]);
+    if (!running) {
+      logger.warn({ [where]: typeof input[where] }, `[PDF] Invalid ${where} preset, ignored`);
+      continue;
+    }
+    result[where] = running;
+    appliedKeys.push(where);
+    if (result.conformance) {
+      throw pdfError(`${where} presets cannot be combined with ${result.conformance}`, 400, 'pdf_options_conflict');
+    }
+    if (result.displayHeaderFooter && result[`${where}Template`]) {
+      throw pdfError(`${where} preset and ${where}Template are mutually exclusive`, 400, 'pdf_options_conflict');
+    }
+  }
 
-  // 4. Aggressively minify CSS
-  s = s.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (match, css) => {
-    let minified = css;
-    // Remove CSS comments
-    minified = minified.replace(/\/\*[\s\S]*?\*\//g, '');
-    // Collapse whitespace
-    minified = minified.replace(/\s+/g, ' ');
-    minified = minified.replace(/\s*([{};:,>+~])\s*/g, '$1');
-    // Remove units from zero values
-    minified = minified.replace(/:0(px|em|rem|%)/g, ':0');
-    return `<style>${minified.trim()}</style>`;
-  });
+  // skipHeaderFooter: first N pages (cover) without header/footer – templates and presets
+  if (input.skipHeaderFooter !== undefined) {
+    const n = Number(input.skipHeaderFooter);
+    if (Number.isInteger(n) && n >= 0) {
+      result.skipHeaderFooter = Math.min(n, MAX_SKIP_HEADER_FOOTER);
+      appliedKeys.push('skipHeaderFooter');
+    } else {
+      logger.debug({ skipHeaderFooter: String(input.skipHeaderFooter).slice(0, 20) }, '[PDF] Invalid skipHeaderFooter, ignored');
+    }
+  }
 
-  // 5. Remove excessive whitespace
-  s = s.replace(/>\s{2,}</g, '> <');
-  s = s.replace(/\n\s*\n/g, '\n');
+  // pageNumberStart: page that is numbered 1, earlier pages count 0, -1, … (presets only)
+  if (input.pageNumberStart !== undefined) {
+    const n = Number(input.pageNumberStart);
+    if (Number.isInteger(n) && n >= 1) {
+      result.pageNumberStart = Math.min(n, MAX_SKIP_HEADER_FOOTER + 1);
+      appliedKeys.push('pageNumberStart');
+      if (!result.header && !result.footer) {
+        // Chromium's pageNumber class cannot be offset
+        logger.warn('[PDF] pageNumberStart only applies to header/footer presets');
+      }
+    } else {
+      logger.debug({ pageNumberStart: String(input.pageNumberStart).slice(0, 20) }, '[PDF] Invalid pageNumberStart, ignored');
+    }
+  }
 
-  // 6. Remove inline styles that are purely decorative (optional aggressive)
-  // s = s.replace(/\s+style="[^"]*"/gi, ''); // Too aggressive, disabled
+  // watermark: object or array (max 4) – drawn into the PDF (see applyWatermarks),
+  // so HTML rewriting (stripAtRules/minifySoft) cannot remove it
+  if (input.watermark !== undefined && input.watermark !== null) {
+    const list = (Array.isArray(input.watermark) ? input.watermark : [input.watermark]).slice(0, WATERMARK_MAX);
+    const watermarks = list.map(sanitizeWatermark).filter(Boolean);
+    if (watermarks.length) {
+      result.watermark = watermarks;
+      appliedKeys.push('watermark');
+      if (result.conformance) {
+        // Watermark text uses a standard font, which PDF/A does not allow
+        throw pdfError(`watermark cannot be combined with ${result.conformance}`, 400, 'pdf_options_conflict');
+      }
+    } else {
+      logger.warn('[PDF] Invalid watermark (text required), ignored');
+    }
+  }
 
-  const slimmedSize = Buffer.byteLength(s, 'utf8');
-  const savedKB = ((originalSize - slimmedSize) / 1024).toFixed(1);
+  // signature: true | { visible, reason, location, page, rect } – PAdES signature (see signPdf)
+  if (input.signature !== undefined && input.signature !== null && input.signature !== false) {
+    if (input.signature === true || (typeof input.signature === 'object' && !Array.isArray(input.signature))) {
+      result.signature = sanitizeSignature(input.signature);
+      appliedKeys.push('signature');
+      if (result.signature.visible && result.conformance) {
+        // The appearance text uses a standard font, which PDF/A does not allow
+        throw pdfError(`a visible signature cannot be combined with ${result.conformance}`, 400, 'pdf_options_conflict');
+      }
+    } else {
+      logger.warn('[PDF] Invalid signature option, ignored');
+    }
+  }
 
-  logger.info({
-    slim_original_bytes: originalSize,
-    slim_result_bytes: slimmedSize,
-    slim_saved_kb: savedKB,
-  }, '[PDF] Slim-Mode applied');
+  // security: { userPassword, ownerPassword, permissions: { print, copy, modify } } – AES-256 (see encryptPdf)
+  if (input.security !== undefined && input.security !== null) {
+    result.security = sanitizeSecurity(input.security);
+    appliedKeys.push('security');
+    if (result.conformance) {
+      throw pdfError(`${result.conformance} does not allow encryption`, 400, 'pdf_options_conflict');
+    }
+    if (result.signature) {
+      throw pdfError('signing encrypted PDFs is not supported', 400, 'pdf_options_conflict');
+    }
+  }
 
-  return s.trim();
-}
+  // outline: true (h1–h2) or { levels: 1..6 } – bookmarks from document headings
+  if (input.outline !== undefined && input.outline !== false && input.outline !== null) {
+    let levels = DEFAULT_OUTLINE_LEVELS;
+    if (typeof input.outline === 'object' && !Array.isArray(input.outline) && input.outline.levels !== undefined) {
+      const n = parseInt(input.outline.levels, 10);
+      levels = Number.isNaN(n) ? DEFAULT_OUTLINE_LEVELS : clamp(n, 1, 6);
+    }
+    if (input.outline === true || typeof input.outline === 'object') {
+      result.outline = { levels };
+      appliedKeys.push('outline');
+    } else {
+      logger.debug({ outline: input.outline }, '[PDF] Invalid outline value, ignored');
+    }
+  }
 
-// Check HTML payload size and apply slim-mode if enabled
-function checkAndSlimPayload(html) {
-  const incomingBytes = Buffer.byteLength(html, 'utf8');
-  const incomingKB = incomingBytes / 1024;
-  const limitKB = HTML_MAX_KB;
+  // Log which keys were applied (debug-safe, no full template dump)
+  if (appliedKeys.length > 0) {
+    const logInfo = {
+      applied_keys: appliedKeys,
+    };
+    if (result.format) logInfo.format = result.format;
+    if (result.width) logInfo.page_size = `${result.width}x${result.height}`;
+    if (result.preferCSSPageSize) logInfo.css_page_mode = true;
+    if (result.displayHeaderFooter !== undefined) logInfo.displayHeaderFooter = result.displayHeaderFooter;
+    if (result.printBackground !== undefined) logInfo.printBackground = result.printBackground;
+    if (result.landscape !== undefined) logInfo.landscape = result.landscape;
+    if (result.margin) logInfo.margin = Object.keys(result.margin).join(',');
+    if (result.headerTemplate) logInfo.headerTemplate_length = result.headerTemplate.length;
+    if (result.footerTemplate) logInfo.footerTemplate_length = result.footerTemplate.length;
+    if (result.outline) logInfo.outline_levels = result.outline.levels;
+    if (result.metadata) logInfo.metadata_keys = Object.keys(result.metadata).join(',');
+    if (result.conformance) logInfo.conformance = result.conformance;
+    if (result.inlineAssets !== undefined) logInfo.inlineAssets = result.inlineAssets;
+    if (result.header) logInfo.header_preset = result.header.preset;
+    if (result.footer) logInfo.footer_preset = result.footer.preset;
+    if (result.skipHeaderFooter !== undefined) logInfo.skipHeaderFooter = result.skipHeaderFooter;
+    if (result.pageNumberStart !== undefined) logInfo.pageNumberStart = result.pageNumberStart;
+    if (result.watermark) logInfo.watermarks = result.watermark.length;
+    if (result.signature) logInfo.signature = result.signature.visible ? 'visible' : 'invisible';
+    if (result.security) {
+      logInfo.security_permissions = SECURITY_PERMISSIONS.filter((k) => result.security.permissions[k]).join(',') || 'none';
+      logInfo.security_user_password = result.security.userPassword.reveal() !== '';
+    }
 
-  logger.info({
-    html_incoming_kb: incomingKB.toFixed(1),
-    html_limit_kb: limitKB,
-    html_incoming_bytes: incomingBytes,
-    html_limit_bytes: HTML_MAX_BYTES,
-  }, '[PDF] Incoming HTML payload');
+    logger.info(logInfo, '[PDF] pdf_options applied');
+  }
 
-  if (incomingBytes > HTML_MAX_BYTES) {
-    if (SLIM_MODE_ENABLED) {
-      logger.warn({
-        html_kb: incomingKB.toFixed(1),
-        limit_kb: limitKB,
-      }, '[PDF] Payload too large – applying SLIM mode');
+  return result;
+}
 
-      const slimmed = slimHtml(html);
-      const slimmedBytes = Buffer.byteLength(slimmed, 'utf8');
+// -------------------- PDF post-processing (pdf-lib) --------------------
+// Chromium's page.pdf() output is final for the plain render path. Features that
+// need to touch the finished document (merge, outline, page stamps) load it with
+// pdf-lib, modify it and save it again.
 
-      // Check if slim was enough
-      if (slimmedBytes > HTML_MAX_BYTES) {
-        logger.warn({
-          slimmed_kb: (slimmedBytes / 1024).toFixed(1),
-          limit_kb: limitKB,
-        }, '[PDF] Slimmed payload still exceeds limit – proceeding anyway');
-      }
+function pdfError(message, status, reason) {
+  const err = new Error(message);
+  err.status = status;
+  err.reason = reason;
+  return err;
+}
 
-      return { html: slimmed, wasSlimmed: true, originalKB: incomingKB, slimmedKB: slimmedBytes / 1024 };
-    } else {
-      // Hard fail if slim mode not enabled
-      const err = new Error(`HTML payload ${incomingKB.toFixed(1)}KB exceeds allowed limit ${limitKB}KB`);
-      err.status = 413;
-      err.reason = 'html_payload_too_large';
-      err.html_kb = incomingKB;
-      err.limit_kb = limitKB;
-      throw err;
-    }
+async function loadPdf(buf, label = 'pdf') {
+  try {
+    return await PDFDocument.load(buf, { updateMetadata: false });
+  } catch (e) {
+    const encrypted = /encrypt/i.test(e.message || '');
+    throw pdfError(
+      `${label}: ${encrypted ? 'encrypted PDFs are not supported' : 'not a readable PDF'}`,
+      400, encrypted ? 'pdf_part_encrypted' : 'invalid_pdf_part',
+    );
   }
-
-  return { html, wasSlimmed: false, originalKB: incomingKB };
 }
 
-// -------------------- Browser Pool & Queue --------------------
-let browser = null;
-const contexts = [];
-const busy = new Set();
-const waitQueue = []; // FIFO
+async function savePdf(doc) {
+  return Buffer.from(await doc.save({ useObjectStreams: true }));
+}
 
-async function initPool() {
-  if (browser) return;
-  browser = await puppeteer.launch({
-    headless: HEADLESS,
-    args: [
-      // Core security/sandbox
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-dev-shm-usage',
-      // GPU/rendering optimization for smaller PDFs
-      '--disable-gpu',
-      '--disable-software-rasterizer',
-      '--disable-extensions',
-      // Font rendering (none = smaller files, less hinting overhead)
-      '--font-render-hinting=none',
-      // Additional size optimizations
-      '--disable-skia-runtime-opts',
-      '--disable-gpu-rasterization',
-      '--disable-accelerated-2d-canvas',
-      '--disable-background-timer-throttling',
-    ]
-  });
+/**
+ * Write a document outline (bookmarks) into the catalog.
+ * @param {PDFDocument} doc
+ * @param {Array<{title: string, pageIndex: number, top?: number, children?: Array}>} entries
+ *   top: y position in PDF points (from the bottom); omitted = top of the page
+ */
+function writeOutline(doc, entries) {
+  if (!entries || entries.length === 0) return;
+  const { context } = doc;
+  const pages = doc.getPages();
 
-  browser.on('disconnected', () => {
-    logger.warn('browser disconnected – resetting pool');
-    contexts.splice(0, contexts.length);
-    busy.clear();
-    browser = null;
-    updatePoolGauge(contexts, busy);
-  });
+  // Returns { first, last, count } where count = visible descendants (all open).
+  const build = (list, parentRef) => {
+    const refs = list.map(() => context.nextRef());
+    let count = 0;
+    list.forEach((entry, i) => {
+      const page = pages[clamp(entry.pageIndex, 0, pages.length - 1)];
+      const top = typeof entry.top === 'number' ? entry.top : page.getHeight();
+      const dict = {
+        Title: PDFHexString.fromText(String(entry.title).slice(0, 512)),
+        Parent: parentRef,
+        Dest: context.obj([page.ref, PDFName.of('XYZ'), PDFNull, PDFNumber.of(top), PDFNull]),
+      };
+      if (i > 0) dict.Prev = refs[i - 1];
+      if (i < list.length - 1) dict.Next = refs[i + 1];
+      count += 1;
+      if (entry.children && entry.children.length) {
+        const sub = build(entry.children, refs[i]);
+        dict.First = sub.first;
+        dict.Last = sub.last;
+        dict.Count = PDFNumber.of(sub.count);
+        count += sub.count;
+      }
+      context.assign(refs[i], context.obj(dict));
+    });
+    return { first: refs[0], last: refs[refs.length - 1], count };
+  };
 
-  const createCtx = browser.createBrowserContext
-    ? () => browser.createBrowserContext()
-    : () => browser.createIncognitoBrowserContext();
+  const rootRef = context.nextRef();
+  const top = build(entries, rootRef);
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: top.first,
+    Last: top.last,
+    Count: PDFNumber.of(top.count),
+  }));
+  doc.catalog.set(PDFName.of('Outlines'), rootRef);
+  doc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
 
-  for (let i=0; i<BROWSER_POOL_SIZE; i++) {
-    // eslint-disable-next-line no-await-in-loop
-    const ctx = await createCtx();
-    contexts.push(ctx);
+// Resolve an explicit destination ([page /XYZ left top zoom], or a dict with /D)
+// to { pageIndex, top }. Returns null for anything we cannot place.
+function resolveDest(dest, pageIndexByRef) {
+  let arr = dest instanceof PDFDict ? dest.lookup(PDFName.of('D')) : dest;
+  if (!(arr instanceof PDFArray) || arr.size() < 1) return null;
+  const pageIndex = pageIndexByRef.get(String(arr.get(0)));
+  if (pageIndex === undefined) return null;
+  let top;
+  if (arr.size() >= 4 && String(arr.get(1)) === '/XYZ') {
+    const t = arr.lookup(3);
+    if (t instanceof PDFNumber) top = t.asNumber();
   }
-  updatePoolGauge(contexts, busy);
+  return { pageIndex, top };
 }
 
-function _acquireImmediate() {
-  for (const ctx of contexts) {
-    if (!busy.has(ctx)) {
-      busy.add(ctx);
-      updatePoolGauge(contexts, busy);
-      return ctx;
+function pageIndexMap(doc) {
+  return new Map(doc.getPages().map((p, i) => [String(p.ref), i]));
+}
+
+// Named destinations (catalog /Dests dict and /Names /Dests name tree) → Map(name → { pageIndex, top }).
+function readNamedDests(doc) {
+  const out = new Map();
+  const pageIndexByRef = pageIndexMap(doc);
+  const dests = doc.catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  if (dests) {
+    for (const [key, value] of dests.entries()) {
+      const target = resolveDest(doc.context.lookup(value), pageIndexByRef);
+      if (target) out.set(key.decodeText(), target);
     }
   }
-  return null;
+  const names = doc.catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  const tree = names && names.lookupMaybe(PDFName.of('Dests'), PDFDict);
+  const walk = (node, depth) => {
+    if (!node || depth > 32) return;
+    const leaf = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+    if (leaf) {
+      for (let i = 0; i + 1 < leaf.size(); i += 2) {
+        const key = leaf.lookup(i);
+        if (!(key instanceof PDFString) && !(key instanceof PDFHexString)) continue;
+        const target = resolveDest(leaf.lookup(i + 1), pageIndexByRef);
+        if (target) out.set(key.decodeText(), target);
+      }
+    }
+    const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+    if (kids) for (let i = 0; i < kids.size(); i++) walk(kids.lookup(i, PDFDict), depth + 1);
+  };
+  walk(tree, 0);
+  return out;
 }
 
-function _release(ctx) {
-  if (busy.has(ctx)) {
-    busy.delete(ctx);
-    updatePoolGauge(contexts, busy);
-    // Wecke nächsten in der FIFO-Queue
-    if (waitQueue.length > 0) {
-      const ticket = waitQueue.shift();
-      const free = _acquireImmediate();
-      if (free) {
-        clearTimeout(ticket.timer);
-        // Asynchron: übergeben des freien Kontextes
-        setImmediate(() => ticket.resolve(free));
+// Map(name → { pageIndex, top }) → catalog /Dests, the form Chromium writes and
+// its link annotations (/Dest /name) resolve against.
+function writeNamedDests(doc, dests) {
+  if (!dests || dests.size === 0) return;
+  const pages = doc.getPages();
+  const dict = doc.context.obj({});
+  for (const [name, target] of dests) {
+    const page = pages[clamp(target.pageIndex, 0, pages.length - 1)];
+    const top = typeof target.top === 'number' ? target.top : page.getHeight();
+    dict.set(PDFName.of(name), doc.context.obj([page.ref, PDFName.of('XYZ'), PDFNull, PDFNumber.of(top), PDFNull]));
+  }
+  doc.catalog.set(PDFName.of('Dests'), doc.context.register(dict));
+}
+
+// Existing outline → entries in the writeOutline() shape (used when merging).
+function readOutline(doc) {
+  const root = doc.catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+  if (!root) return [];
+  const pageIndexByRef = pageIndexMap(doc);
+  let named = null;
+  const seen = new Set();
+  const walk = (first, depth) => {
+    const list = [];
+    let item = first;
+    while (item instanceof PDFDict && !seen.has(item) && depth < 16) {
+      seen.add(item);
+      const titleObj = item.lookup(PDFName.of('Title'));
+      let dest = item.lookup(PDFName.of('Dest'));
+      const action = item.lookupMaybe(PDFName.of('A'), PDFDict);
+      if (!dest && action && String(action.get(PDFName.of('S'))) === '/GoTo') dest = action.lookup(PDFName.of('D'));
+      let target = null;
+      if (dest instanceof PDFArray || dest instanceof PDFDict) {
+        target = resolveDest(dest, pageIndexByRef);
+      } else if (dest instanceof PDFName || dest instanceof PDFString || dest instanceof PDFHexString) {
+        named = named || readNamedDests(doc);
+        target = named.get(dest.decodeText()) || null;
+      }
+      const children = walk(item.lookup(PDFName.of('First')), depth + 1);
+      if (target && titleObj && typeof titleObj.decodeText === 'function') {
+        list.push({ title: titleObj.decodeText(), pageIndex: target.pageIndex, top: target.top, children });
       } else {
-        // falls race: Ticket wieder vorn einsortieren
-        waitQueue.unshift(ticket);
+        list.push(...children);
       }
+      item = item.lookup(PDFName.of('Next'));
     }
-  }
+    return list;
+  };
+  return walk(root.lookup(PDFName.of('First')), 0);
 }
 
-async function acquireContextWait() {
-  const immediate = _acquireImmediate();
-  if (immediate) return immediate;
+function shiftOutline(entries, offset) {
+  return entries.map((e) => ({ ...e, pageIndex: e.pageIndex + offset, children: shiftOutline(e.children || [], offset) }));
+}
 
-  if (waitQueue.length >= QUEUE_MAX) {
-    const err = new Error('PDF service busy – queue full');
-    err.status = 503;
-    throw err;
+/**
+ * Build the heading outline for a freshly rendered PDF.
+ * @param {Buffer} pdf - page.pdf() output
+ * @param {Array<{id: string, level: number, title: string}>} headings - collected in the page, in document order
+ * @returns {Promise<{pdf: Buffer, entries: number}>}
+ */
+async function addHeadingOutline(pdf, headings) {
+  if (!headings || headings.length === 0) return { pdf, entries: 0 };
+  const doc = await loadPdf(pdf);
+  const dests = readNamedDests(doc);
+  const root = [];
+  const stack = [];
+  let placed = 0;
+  for (const h of headings) {
+    const target = dests.get(h.id);
+    if (!target) continue;
+    const entry = { title: h.title, level: h.level, pageIndex: target.pageIndex, top: target.top, children: [] };
+    while (stack.length && stack[stack.length - 1].level >= h.level) stack.pop();
+    (stack.length ? stack[stack.length - 1].children : root).push(entry);
+    stack.push(entry);
+    placed += 1;
   }
-  return new Promise((resolve, reject) => {
-    const ticket = { resolve, reject };
-    ticket.timer = setTimeout(() => {
-      const idx = waitQueue.indexOf(ticket);
-      if (idx >= 0) waitQueue.splice(idx, 1);
-      const err = new Error('PDF service busy – timeout');
-      err.status = 503;
-      reject(err);
-    }, QUEUE_WAIT_MS);
-    waitQueue.push(ticket);
-  });
+  if (placed < headings.length) {
+    logger.debug({ headings: headings.length, placed }, '[PDF] outline: some headings had no destination');
+  }
+  if (placed === 0) return { pdf, entries: 0 };
+  writeOutline(doc, root);
+  return { pdf: await savePdf(doc), entries: placed };
 }
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
+const PDF_PRODUCER = 'make-ki-pdfservice';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
 }
 
-async function renderWithOptions(html, filename, effectiveMaxBytes, opts, pdfOptions = {}, dumper = null) {
-  await initPool();
-  const ctx = await acquireContextWait();
-  const start = Date.now();
-  let page;
-  const htmlBytes = Buffer.byteLength(html, 'utf8');
+/**
+ * XMP packet mirroring the info dictionary (dc/xmp/pdf namespaces).
+ * @param {Object} meta - sanitized metadata, dates as ISO strings
+ * @param {string} [extraDescriptions] - additional rdf:Description blocks (e.g. pdfaid)
+ */
+function buildXmp(meta, extraDescriptions = '') {
+  const alt = (v) => `<rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(v)}</rdf:li></rdf:Alt>`;
+  const dc = [];
+  if (meta.title) dc.push(`<dc:title>${alt(meta.title)}</dc:title>`);
+  if (meta.author) dc.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(meta.author)}</rdf:li></rdf:Seq></dc:creator>`);
+  if (meta.subject) dc.push(`<dc:description>${alt(meta.subject)}</dc:description>`);
+  if (meta.keywords) dc.push(`<dc:subject><rdf:Bag>${meta.keywords.map((k) => `<rdf:li>${escapeXml(k)}</rdf:li>`).join('')}</rdf:Bag></dc:subject>`);
+  if (meta.lang) dc.push(`<dc:language><rdf:Bag><rdf:li>${escapeXml(meta.lang)}</rdf:li></rdf:Bag></dc:language>`);
+  return `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/">
+<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description rdf:about="" xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:format>application/pdf</dc:format>
+${dc.join('\n')}
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/">
+${meta.creator ? `<xmp:CreatorTool>${escapeXml(meta.creator)}</xmp:CreatorTool>` : ''}
+<xmp:CreateDate>${meta.creationDate}</xmp:CreateDate>
+<xmp:ModifyDate>${meta.modDate}</xmp:ModifyDate>
+<xmp:MetadataDate>${meta.modDate}</xmp:MetadataDate>
+</rdf:Description>
+<rdf:Description rdf:about="" xmlns:pdf="http://ns.adobe.com/pdf/1.3/">
+<pdf:Producer>${escapeXml(PDF_PRODUCER)}</pdf:Producer>
+${meta.keywords ? `<pdf:Keywords>${escapeXml(meta.keywords.join(', '))}</pdf:Keywords>` : ''}
+</rdf:Description>
+${extraDescriptions}
+</rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+}
 
-  try {
-    page = await ctx.newPage();
-    // 96 DPI equivalent viewport for A4 portrait
-    await page.setViewport({ width: 794, height: 1123, deviceScaleFactor: 1 });
+function setXmpMetadata(doc, xml) {
+  const stream = doc.context.stream(Buffer.from(xml, 'utf8'), { Type: 'Metadata', Subtype: 'XML' });
+  doc.catalog.set(PDFName.of('Metadata'), doc.context.register(stream));
+}
 
-    // Request interception: SSRF guard (block internal/non-http targets) plus
-    // optional low-fidelity asset blocking. Interception is set once; a single
-    // handler applies both concerns.
-    if (SSRF_GUARD || opts.blockAssets) {
-      await page.setRequestInterception(true);
-      page.on('request', async (request) => {
-        try {
-          const resourceType = request.resourceType();
-          if (opts.blockAssets && (resourceType === 'image' || resourceType === 'font')) {
-            return void request.abort().catch(() => {});
-          }
-          if (SSRF_GUARD && (await isBlockedRequestUrl(request.url()))) {
-            logger.warn({ url: request.url(), resourceType }, '[PDF-SSRF] blocked sub-resource request');
-            return void request.abort().catch(() => {});
-          }
-          request.continue().catch(() => {});
-        } catch (e) {
-          request.abort().catch(() => {});
-        }
-      });
-    }
+/**
+ * Write metadata into the info dictionary, catalog /Lang and XMP.
+ * @param {PDFDocument} doc
+ * @param {Object} meta - sanitized via sanitizeMetadata, merged with page defaults
+ * @returns {Object} effective metadata (dates filled in)
+ */
+function writeMetadata(doc, meta, extraXmp = '') {
+  // Second precision: the info dictionary date format has no fractions, and
+  // PDF/A requires info and XMP dates to match.
+  const isoSeconds = (d) => new Date(Math.floor(new Date(d).getTime() / 1000) * 1000).toISOString();
+  const effective = { ...meta };
+  effective.creationDate = isoSeconds(meta.creationDate || Date.now());
+  effective.modDate = isoSeconds(Date.now());
+  if (effective.title) doc.setTitle(effective.title, { showInWindowTitleBar: true });
+  if (effective.author) doc.setAuthor(effective.author);
+  if (effective.subject) doc.setSubject(effective.subject);
+  // pdf-lib joins keywords with a space; keep multi-word keywords intact
+  if (effective.keywords) doc.setKeywords([effective.keywords.join(', ')]);
+  if (effective.creator) doc.setCreator(effective.creator);
+  if (effective.lang) doc.setLanguage(effective.lang);
+  doc.setProducer(PDF_PRODUCER);
+  doc.setCreationDate(new Date(effective.creationDate));
+  doc.setModificationDate(new Date(effective.modDate));
+  setXmpMetadata(doc, buildXmp(effective, extraXmp));
+  return effective;
+}
 
-    const safeHtml = sanitize(html, dumper);
-    const safeHtmlBytes = Buffer.byteLength(safeHtml, 'utf8');
-    await page.setContent(safeHtml, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+/**
+ * Final post-processing of a rendered PDF in a single load/save:
+ * header/footer presets, watermarks, metadata (info + XMP), accessibility flags, an optional conformance
+ * level and encryption.
+ * @param {Buffer} pdf
+ * @param {Object} opts - { metadata: sanitized metadata | null, conformance: 'PDF/A-2b' | undefined,
+ *   accessibility: audit from auditAccessibilityInPage() | null (completed with the PDF-side checks),
+ *   security: sanitized pdf_options.security | null (applied last),
+ *   running: { header, footer, skip, start, title, lang } | null (stamped first, see stampRunningText),
+ *   watermarks: sanitized pdf_options.watermark | null }
+ * @returns {Promise<Buffer>}
+ */
+async function finalizePdf(pdf, {
+  metadata = null, conformance, accessibility = null, security = null, watermarks = null, running = null,
+} = {}) {
+  if (!metadata && !conformance && !accessibility && !security && !watermarks && !running) return pdf;
+  const doc = await loadPdf(pdf);
+  if (running) await stampRunningText(doc, running, { title: running.title, lang: running.lang });
+  if (watermarks) await applyWatermarks(doc, watermarks);
+  if (accessibility) markAccessible(doc, accessibility);
+  if (conformance === 'PDF/A-2b') {
+    const removed = makePdfA2b(doc);
+    writeMetadata(doc, metadata || {}, PDFA_2B_XMP);
+    if (removed.length) logger.info({ removed }, '[PDF-A] removed/neutralized for PDF/A-2b');
+  } else if (metadata) {
+    writeMetadata(doc, metadata);
+  }
+  if (security) {
+    await doc.flush(); // embed pending fonts before their objects are encrypted
+    encryptPdf(doc, security);
+    // Object streams would be created at save time, after encryption: write a classic file.
+    return Buffer.from(await doc.save({ useObjectStreams: false, updateFieldAppearances: false }));
+  }
+  return savePdf(doc);
+}
 
-    if (dumper) {
-      try {
-        const rendered = await page.content();
-        dumper.dump('4-rendered', rendered);
-      } catch (e) {
-        logger.warn({ err: e.message, dump_id: dumper.id }, '[PDF-DEBUG-DUMP] page.content() failed');
-      }
-    }
+// Document-level settings PDF/UA asks for: /MarkInfo, and viewers showing the
+// title instead of the file name. Chromium's structure tree is kept as is; a
+// PDF without one is reported, not rejected.
+function markAccessible(doc, audit) {
+  const { catalog, context } = doc;
+  audit.tagged = catalog.has(PDFName.of('StructTreeRoot'));
+  if (audit.tagged) {
+    catalog.set(PDFName.of('MarkInfo'), context.obj({ Marked: true }));
+  } else {
+    audit.findings.push({ rule: 'pdf-untagged', count: 1, message: 'PDF has no structure tree', samples: [] });
+  }
+  let prefs = catalog.lookupMaybe(PDFName.of('ViewerPreferences'), PDFDict);
+  if (!prefs) {
+    prefs = context.obj({});
+    catalog.set(PDFName.of('ViewerPreferences'), prefs);
+  }
+  prefs.set(PDFName.of('DisplayDocTitle'), context.obj(true));
+}
 
-    // Default margins (can be overridden by pdfOptions)
-    const defaultMargins = { top: '15mm', bottom: '15mm', left: '15mm', right: '15mm' };
+// -------------------- PDF/A-2b --------------------
+// Chromium output is close to PDF/A-2b (fonts embedded, no encryption) but lacks
+// the output intent, the XMP identification and a few flags. makePdfA2b() adds
+// what is missing, neutralizes what the standard forbids, and throws
+// 422 pdfa_conversion_failed (with `issues`) for what cannot be fixed.
+const CONFORMANCE_LEVELS = new Map([['pdf/a-2b', 'PDF/A-2b']]);
+const PDFA_2B_XMP = `<rdf:Description rdf:about="" xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/">
+<pdfaid:part>2</pdfaid:part>
+<pdfaid:conformance>B</pdfaid:conformance>
+</rdf:Description>`;
 
-    // Build final PDF options: defaults merged with sanitized pdfOptions
+// Minimal ICC v2 display profile for sRGB (IEC 61966-2.1): D50-adapted
+// primaries, D65 media white, 256-entry sRGB tone curve. Built once, ~1 KB.
+let srgbIcc = null;
+function srgbIccProfile() {
+  if (srgbIcc) return srgbIcc;
+  const s15 = (v) => Math.round(v * 65536);
+  const xyzTag = (x, y, z) => {
+    const b = Buffer.alloc(20);
+    b.write('XYZ ', 0, 'ascii');
+    b.writeInt32BE(s15(x), 8); b.writeInt32BE(s15(y), 12); b.writeInt32BE(s15(z), 16);
+    return b;
+  };
+  const curv = Buffer.alloc(12 + 256 * 2);
+  curv.write('curv', 0, 'ascii');
+  curv.writeUInt32BE(256, 8);
+  for (let i = 0; i < 256; i++) {
+    const c = i / 255;
+    const lin = c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    curv.writeUInt16BE(Math.round(lin * 65535), 12 + i * 2);
+  }
+  const descText = 'sRGB IEC61966-2.1';
+  const desc = Buffer.alloc(12 + descText.length + 1 + 4 + 4 + 2 + 1 + 67);
+  desc.write('desc', 0, 'ascii');
+  desc.writeUInt32BE(descText.length + 1, 8);
+  desc.write(descText, 12, 'ascii');
+  const cprtText = 'No copyright, use freely';
+  const cprt = Buffer.alloc(8 + cprtText.length + 1);
+  cprt.write('text', 0, 'ascii');
+  cprt.write(cprtText, 8, 'ascii');
+
+  const tags = [
+    ['desc', desc], ['cprt', cprt],
+    ['wtpt', xyzTag(0.9505, 1.0, 1.0891)],
+    ['rXYZ', xyzTag(0.4360747, 0.2225045, 0.0139322)],
+    ['gXYZ', xyzTag(0.3850649, 0.7168786, 0.0971045)],
+    ['bXYZ', xyzTag(0.1430804, 0.0606169, 0.7141733)],
+    ['rTRC', curv], ['gTRC', curv], ['bTRC', curv],
+  ];
+  const pad4 = (n) => (n + 3) & ~3;
+  const tableSize = 4 + tags.length * 12;
+  let offset = 128 + tableSize;
+  const placed = new Map(); // shared data (TRC) is stored once
+  const table = Buffer.alloc(tableSize);
+  table.writeUInt32BE(tags.length, 0);
+  const chunks = [];
+  tags.forEach(([sig, data], i) => {
+    if (!placed.has(data)) {
+      placed.set(data, offset);
+      const padded = Buffer.alloc(pad4(data.length));
+      data.copy(padded);
+      chunks.push(padded);
+      offset += padded.length;
+    }
+    table.write(sig, 4 + i * 12, 'ascii');
+    table.writeUInt32BE(placed.get(data), 8 + i * 12);
+    table.writeUInt32BE(data.length, 12 + i * 12);
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);              // profile size
+  header.writeUInt32BE(0x02100000, 8);          // version 2.1
+  header.write('mntrRGB XYZ ', 12, 'ascii');    // class, colour space, PCS
+  [2024, 1, 1, 0, 0, 0].forEach((v, i) => header.writeUInt16BE(v, 24 + i * 2));
+  header.write('acsp', 36, 'ascii');
+  header.writeInt32BE(s15(0.9642), 68);         // PCS illuminant D50
+  header.writeInt32BE(s15(1.0), 72);
+  header.writeInt32BE(s15(0.8249), 76);
+  srgbIcc = Buffer.concat([header, table, ...chunks]);
+  return srgbIcc;
+}
+
+const PDFA_FORBIDDEN_ACTIONS = new Set(['/Launch', '/Sound', '/Movie', '/ResetForm', '/ImportData', '/JavaScript',
+  '/Hide', '/SetOCGState', '/Rendition', '/Trans', '/GoTo3DView']);
+const EMBEDDED_FONT_FILES = ['FontFile', 'FontFile2', 'FontFile3'];
+
+/**
+ * Make a loaded document PDF/A-2b conformant (in place).
+ * @param {PDFDocument} doc
+ * @returns {string[]} what was removed or neutralized (for logs)
+ * @throws 422 pdfa_conversion_failed with `issues` when not fixable
+ */
+function makePdfA2b(doc) {
+  const { context, catalog } = doc;
+  const removed = [];
+  const issues = [];
+  const name = (dict, key) => {
+    const v = dict.get(PDFName.of(key));
+    return v instanceof PDFName ? String(v) : null;
+  };
+
+  // Document level: no JavaScript, no embedded files, no XFA, no open/additional actions
+  const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+  if (names) {
+    for (const key of ['JavaScript', 'EmbeddedFiles']) {
+      if (names.has(PDFName.of(key))) { names.delete(PDFName.of(key)); removed.push(`Names/${key}`); }
+    }
+  }
+  const openAction = catalog.lookup(PDFName.of('OpenAction'));
+  if (openAction instanceof PDFDict && PDFA_FORBIDDEN_ACTIONS.has(name(openAction, 'S'))) {
+    catalog.delete(PDFName.of('OpenAction'));
+    removed.push('Catalog/OpenAction');
+  }
+  const acroForm = catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict);
+  if (acroForm) {
+    if (acroForm.has(PDFName.of('XFA'))) { acroForm.delete(PDFName.of('XFA')); removed.push('AcroForm/XFA'); }
+    if (acroForm.has(PDFName.of('NeedAppearances'))) acroForm.delete(PDFName.of('NeedAppearances'));
+  }
+
+  // Object level (the catalog included: /AA goes everywhere)
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    const dict = obj instanceof PDFDict ? obj : (obj && obj.dict instanceof PDFDict ? obj.dict : null);
+    if (!dict) continue;
+    const type = name(dict, 'Type');
+    const subtype = name(dict, 'Subtype');
+
+    if (dict.has(PDFName.of('AA'))) { dict.delete(PDFName.of('AA')); removed.push(`${ref} AA`); }
+    const action = dict.lookupMaybe(PDFName.of('A'), PDFDict);
+    if (action && PDFA_FORBIDDEN_ACTIONS.has(name(action, 'S'))) {
+      dict.delete(PDFName.of('A'));
+      removed.push(`${ref} action ${name(action, 'S')}`);
+    }
+    if (PDFA_FORBIDDEN_ACTIONS.has(name(dict, 'S'))) {
+      // Action objects referenced elsewhere (e.g. /Next chains): make them inert
+      dict.set(PDFName.of('S'), PDFName.of('GoTo'));
+      dict.set(PDFName.of('D'), context.obj([]));
+      removed.push(`${ref} action`);
+    }
+
+    if (type === '/Annot') {
+      // Print flag set; Hidden (2), Invisible (1), NoView (32) cleared
+      const f = dict.lookup(PDFName.of('F'));
+      const flags = f instanceof PDFNumber ? f.asNumber() : 0;
+      dict.set(PDFName.of('F'), PDFNumber.of((flags | 4) & ~(1 | 2 | 32)));
+      if (['/FileAttachment', '/Sound', '/Movie', '/Screen', '/3D', '/RichMedia'].includes(subtype)) {
+        issues.push(`annotation ${subtype.slice(1)} is not allowed`);
+      }
+    }
+
+    if (subtype === '/Image') {
+      for (const key of ['Interpolate', 'Alternates', 'OPI']) {
+        if (dict.has(PDFName.of(key))) { dict.delete(PDFName.of(key)); removed.push(`${ref} ${key}`); }
+      }
+    }
+    if (subtype === '/Form' && dict.has(PDFName.of('OPI'))) { dict.delete(PDFName.of('OPI')); removed.push(`${ref} OPI`); }
+    if (subtype === '/PS') issues.push('PostScript XObject is not allowed');
+    if (type === '/ExtGState' && dict.has(PDFName.of('TR'))) { dict.delete(PDFName.of('TR')); removed.push(`${ref} TR`); }
+
+    const filter = dict.get(PDFName.of('Filter'));
+    if (filter && String(filter).includes('LZWDecode')) issues.push('LZW-compressed stream is not allowed');
+
+    // Fonts: every font except Type3 / Type0 (checked via its descendant) must be embedded
+    if (type === '/Font' && subtype && subtype !== '/Type3' && subtype !== '/Type0') {
+      const descriptor = dict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+      const embedded = descriptor && EMBEDDED_FONT_FILES.some((k) => descriptor.has(PDFName.of(k)));
+      if (!embedded) {
+        const base = dict.get(PDFName.of('BaseFont'));
+        issues.push(`font ${base ? String(base).slice(1) : String(ref)} is not embedded`);
+      }
+    }
+  }
+
+  if (issues.length) {
+    const err = pdfError(`PDF/A-2b conversion failed: ${[...new Set(issues)].join('; ')}`, 422, 'pdfa_conversion_failed');
+    err.issues = [...new Set(issues)];
+    throw err;
+  }
+
+  // Output intent with an embedded sRGB profile
+  const icc = context.flateStream(srgbIccProfile(), { N: 3 });
+  const intent = context.obj({
+    Type: 'OutputIntent',
+    S: 'GTS_PDFA1',
+    OutputConditionIdentifier: PDFString.of('sRGB IEC61966-2.1'),
+    Info: PDFString.of('sRGB IEC61966-2.1'),
+    DestOutputProfile: context.register(icc),
+  });
+  catalog.set(PDFName.of('OutputIntents'), context.obj([context.register(intent)]));
+
+  // File identifier (required by PDF/A)
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  return removed;
+}
+
+// Standard fonts are WinAnsi-encoded: characters outside the set become '?'.
+function encodeStandardText(font, text) {
+  const charset = new Set(font.getCharacterSet());
+  return Array.from(text, (c) => (charset.has(c.codePointAt(0)) ? c : '?')).join('');
+}
+
+/**
+ * Draw one line of (already encoded) text in its own content stream, marked as
+ * /Artifact so screen readers skip it. Placed after the page content, or before
+ * it with `behind`.
+ */
+function drawArtifactText(page, font, text, { x, y, size, color, opacity = 1, angle = 0, behind = false }) {
+  const { context } = page.doc;
+  const fontKey = page.node.newFontDictionary('Art', font.ref);
+  const ops = [beginMarkedContent('Artifact'), pushGraphicsState()];
+  if (opacity < 1) {
+    ops.push(setGraphicsState(page.node.newExtGState('ArtGS', context.obj({ Type: 'ExtGState', ca: opacity, CA: opacity }))));
+  }
+  ops.push(
+    beginText(),
+    setFontAndSize(fontKey, size),
+    setFillingRgbColor(...color),
+    rotateAndSkewTextDegreesAndTranslate(angle, 0, 0, x, y),
+    showText(font.encodeText(text)),
+    endText(),
+    popGraphicsState(),
+    endMarkedContent(),
+  );
+  const stream = context.register(context.contentStream(ops));
+  // Normalized /Contents is [q, ...page content, Q], so the text never inherits page state
+  page.node.addContentStream(stream);
+  if (behind) {
+    const contents = page.node.Contents();
+    contents.remove(contents.size() - 1);
+    contents.insert(0, stream);
+  }
+}
+
+// "all" | "first" | "last" | "1,3-5,8-" (1-based, open ranges run to the end) → page indexes
+function selectPages(spec, count) {
+  if (spec === 'all') return new Set(Array.from({ length: count }, (_, i) => i));
+  if (spec === 'first') return new Set(count ? [0] : []);
+  if (spec === 'last') return new Set(count ? [count - 1] : []);
+  const selected = new Set();
+  for (const part of spec.split(',')) {
+    const [from, to] = part.trim().split('-');
+    const last = to === undefined ? Number(from) : to === '' ? count : Number(to);
+    for (let n = Math.max(1, Number(from)); n <= Math.min(last, count); n++) selected.add(n - 1);
+  }
+  return selected;
+}
+
+/**
+ * Draw watermarks/stamps onto the selected pages. Each mark is its own content
+ * stream, marked as /Artifact (ignored by screen readers), placed after the
+ * page content ('front') or before it ('behind').
+ * @param {PDFDocument} doc
+ * @param {Object[]} watermarks - sanitized pdf_options.watermark
+ */
+async function applyWatermarks(doc, watermarks) {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const pages = doc.getPages();
+  for (const mark of watermarks) {
+    const text = encodeStandardText(font, mark.text);
+    const rad = mark.angle * Math.PI / 180;
+    const [cos, sin] = [Math.cos(rad), Math.sin(rad)];
+    for (const index of selectPages(mark.pages, pages.length)) {
+      const page = pages[index];
+      const { width, height } = page.getSize();
+      let size = mark.fontSize;
+      if (!size) {
+        // Fit 80% of the line through the page centre at this angle
+        const span = Math.min(Math.abs(cos) > 1e-6 ? width / Math.abs(cos) : Infinity, Math.abs(sin) > 1e-6 ? height / Math.abs(sin) : Infinity);
+        size = clamp(0.8 * span / font.widthOfTextAtSize(text, 1), 8, 200);
+      }
+      const textWidth = font.widthOfTextAtSize(text, size);
+      const capMiddle = size * 0.35;
+      let x;
+      let y;
+      if (mark.position === 'center') {
+        // Rotate around the middle of the text box
+        x = width / 2 - (textWidth / 2) * cos + capMiddle * sin;
+        y = height / 2 - (textWidth / 2) * sin - capMiddle * cos;
+      } else {
+        const [vertical, horizontal] = mark.position.split('-');
+        x = horizontal === 'left' ? PAGE_INSET_PT : horizontal === 'right' ? width - PAGE_INSET_PT - textWidth : (width - textWidth) / 2;
+        y = vertical === 'top' ? height - PAGE_INSET_PT / 2 - size * 0.7 : PAGE_INSET_PT / 2;
+      }
+
+      drawArtifactText(page, font, text, {
+        x, y, size, color: mark.color, opacity: mark.opacity, angle: mark.angle, behind: mark.layer === 'behind',
+      });
+    }
+  }
+}
+
+/**
+ * Stamp the pdf_options.header / pdf_options.footer presets: left, center and
+ * right slots with {page}, {total}, {title} and {date} filled in per page.
+ * The first `skip` pages stay clean (default: those before `start`); page `start`
+ * (1-based) is numbered 1, so a cover before it counts as 0 and {total} is the
+ * number of the last page.
+ * @param {PDFDocument} doc
+ * @param {{ header?: Object, footer?: Object, skip?: number, start?: number }} running - presets sanitized via sanitizeRunningText
+ * @param {{ title?: string, lang?: string, date?: Date }} [context] - document defaults
+ * @param {Set<number>} [skipPages] - further page indices counted but not stamped
+ */
+async function stampRunningText(doc, running, { title = '', lang, date = new Date() } = {}, skipPages = new Set()) {
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  const pages = doc.getPages();
+  const { start = 1 } = running;
+  const skip = running.skip !== undefined ? running.skip : start - 1; // default: pages before number 1
+  const total = pages.length - start + 1;
+  for (const where of ['header', 'footer']) {
+    const spec = running[where];
+    if (!spec) continue;
+    const language = spec.lang || runningLang(lang);
+    const labels = PAGE_LABELS[language];
+    const slots = { ...spec.slots };
+    if (spec.preset !== 'none' && slots.right === undefined) slots.right = labels[spec.preset];
+    const values = {
+      title: title || '',
+      date: new Intl.DateTimeFormat(labels.locale, { dateStyle: 'long' }).format(date),
+      total: String(total),
+    };
+    pages.forEach((page, i) => {
+      if (i < skip || skipPages.has(i)) return;
+      const { width, height } = page.getSize();
+      const y = where === 'header' ? height - PAGE_INSET_PT / 2 - spec.fontSize * 0.7 : PAGE_INSET_PT / 2;
+      for (const [slot, template] of Object.entries(slots)) {
+        const text = encodeStandardText(font, template
+          .replace(/\{(page|total|title|date)\}/g, (_, key) => (key === 'page' ? String(i - start + 2) : values[key])));
+        if (!text.trim()) continue;
+        const textWidth = font.widthOfTextAtSize(text, spec.fontSize);
+        const x = slot === 'left' ? PAGE_INSET_PT : slot === 'right' ? width - PAGE_INSET_PT - textWidth : (width - textWidth) / 2;
+        drawArtifactText(page, font, text, { x, y, size: spec.fontSize, color: [0.3, 0.3, 0.3] });
+      }
+    });
+  }
+}
+
+// -------------------- PDF encryption (AES-256) --------------------
+// Standard security handler, revision 6 (ISO 32000-2, AESV3): one random 256-bit
+// file key encrypts every string and stream; /U and /O let the user and owner
+// passwords unwrap it (/UE, /OE), /Perms binds the permission flags.
+
+// /P bits: 3 print, 4 modify, 5 copy, 6 annotations, 9 forms, 10 accessibility
+// (always granted), 11 assemble, 12 high-quality print; 7–8 and 13–32 must be 1.
+const PERMISSION_BITS = { print: 4 | 2048, modify: 8 | 32 | 256 | 1024, copy: 16 };
+const PERMISSIONS_BASE = 0xFFFFF0C0 | 512;
+const ZERO_IV = Buffer.alloc(16);
+
+function aes(algorithm, key, iv, data, padding) {
+  const cipher = crypto.createCipheriv(algorithm, key, iv);
+  cipher.setAutoPadding(padding);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// Algorithm 2.B: iterated SHA-256/384/512 over AES-128-CBC rounds.
+function hashR6(password, salt, udata = Buffer.alloc(0)) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, udata])).digest();
+  for (let round = 1; ; round++) {
+    const k1 = Buffer.concat([password, k, udata]);
+    const e = aes('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32), Buffer.concat(new Array(64).fill(k1)), false);
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += e[i];
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(e).digest();
+    if (round >= 64 && e[e.length - 1] <= round - 32) break;
+  }
+  return k.subarray(0, 32);
+}
+
+function permissionFlags(permissions) {
+  let p = PERMISSIONS_BASE;
+  for (const [key, bits] of Object.entries(PERMISSION_BITS)) {
+    if (permissions[key]) p |= bits;
+  }
+  return p | 0; // signed 32-bit, as written to /P
+}
+
+/**
+ * Build the /Encrypt dictionary values for a random file key.
+ * @returns {{ fileKey: Buffer, U: Buffer, UE: Buffer, O: Buffer, OE: Buffer, Perms: Buffer, P: number }}
+ */
+function securityHandlerR6(security) {
+  const fileKey = crypto.randomBytes(32);
+  const user = Buffer.from(security.userPassword.reveal(), 'utf8');
+  const owner = Buffer.from(security.ownerPassword.reveal(), 'utf8');
+
+  const [uValidation, uKey] = [crypto.randomBytes(8), crypto.randomBytes(8)];
+  const U = Buffer.concat([hashR6(user, uValidation), uValidation, uKey]);
+  const UE = aes('aes-256-cbc', hashR6(user, uKey), ZERO_IV, fileKey, false);
+
+  const [oValidation, oKey] = [crypto.randomBytes(8), crypto.randomBytes(8)];
+  const O = Buffer.concat([hashR6(owner, oValidation, U), oValidation, oKey]);
+  const OE = aes('aes-256-cbc', hashR6(owner, oKey, U), ZERO_IV, fileKey, false);
+
+  const P = permissionFlags(security.permissions);
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(P, 0);
+  perms.writeUInt32LE(0xFFFFFFFF, 4);
+  perms.write('Tadb', 8, 'ascii'); // T = metadata is encrypted too
+  crypto.randomBytes(4).copy(perms, 12);
+  const Perms = aes('aes-256-ecb', fileKey, null, perms, false);
+
+  return { fileKey, U, UE, O, OE, Perms, P };
+}
+
+/**
+ * Encrypt a loaded document in place (strings and streams of every indirect
+ * object) and register the /Encrypt dictionary. Save without object streams.
+ * @param {PDFDocument} doc
+ * @param {Object} security - sanitized pdf_options.security
+ */
+function encryptPdf(doc, security) {
+  const { context } = doc;
+  const handler = securityHandlerR6(security);
+  const seal = (bytes) => {
+    const iv = crypto.randomBytes(16);
+    return Buffer.concat([iv, aes('aes-256-cbc', handler.fileKey, iv, bytes, true)]);
+  };
+  const sealString = (str) => PDFHexString.of(seal(Buffer.from(str.asBytes())).toString('hex'));
+
+  const seen = new Set();
+  const walk = (obj) => {
+    if (!obj || seen.has(obj)) return;
+    if (obj instanceof PDFDict) {
+      seen.add(obj);
+      for (const [key, value] of obj.entries()) {
+        if (value instanceof PDFString || value instanceof PDFHexString) obj.set(key, sealString(value));
+        else walk(value);
+      }
+    } else if (obj instanceof PDFArray) {
+      seen.add(obj);
+      for (let i = 0; i < obj.size(); i++) {
+        const value = obj.get(i);
+        if (value instanceof PDFString || value instanceof PDFHexString) obj.set(i, sealString(value));
+        else walk(value);
+      }
+    }
+  };
+
+  for (const [ref, obj] of context.enumerateIndirectObjects()) {
+    if (obj instanceof PDFString || obj instanceof PDFHexString) continue; // not used by Chromium/pdf-lib
+    if (obj instanceof PDFStream) {
+      walk(obj.dict);
+      // Content streams drawn by pdf-lib are encoded lazily; freeze them as raw streams
+      context.assign(ref, PDFRawStream.of(obj.dict, seal(Buffer.from(obj.getContents()))));
+    } else {
+      walk(obj);
+    }
+  }
+
+  const hex = (buf) => PDFHexString.of(buf.toString('hex'));
+  const encrypt = context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: { StdCF: { Type: 'CryptFilter', CFM: 'AESV3', AuthEvent: 'DocOpen', Length: 32 } },
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    P: handler.P,
+    U: hex(handler.U),
+    UE: hex(handler.UE),
+    O: hex(handler.O),
+    OE: hex(handler.OE),
+    Perms: hex(handler.Perms),
+    EncryptMetadata: true,
+  });
+  context.trailerInfo.Encrypt = context.register(encrypt);
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  // AES-256 is a PDF 2.0 feature; 1.7 readers know it as Adobe extension level 8.
+  context.header = PDFHeader.forVersion(1, 7);
+  doc.catalog.set(PDFName.of('Extensions'), context.obj({ ADBE: { BaseVersion: PDFName.of('1.7'), ExtensionLevel: 8 } }));
+}
+
+// -------------------- PDF signing (PAdES) --------------------
+// PAdES B-B: a detached CMS signature (SubFilter ETSI.CAdES.detached) over the
+// whole file except the /Contents placeholder, with the ESS signing-certificate-v2
+// attribute binding the signer certificate. The signing time is the /M entry of
+// the signature dictionary (PAdES does not use the CMS signing-time attribute).
+
+const OID = {
+  data: '1.2.840.113549.1.7.1',
+  signedData: '1.2.840.113549.1.7.2',
+  contentType: '1.2.840.113549.1.9.3',
+  messageDigest: '1.2.840.113549.1.9.4',
+  signingCertificateV2: '1.2.840.113549.1.9.16.2.47',
+  sha256: '2.16.840.1.101.3.4.2.1',
+  rsaEncryption: '1.2.840.113549.1.1.1',
+  ecdsaWithSha256: '1.2.840.10045.4.3.2',
+};
+const SIGNATURE_RESERVE_BYTES = 4096; // signed attributes + signature value, on top of the certificates
+const BYTE_RANGE_PLACEHOLDER = '**********';
+
+const asn1 = forge.asn1;
+const derOf = (node) => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+const asnSeq = (items) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SEQUENCE, true, items);
+const asnSet = (items) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, items);
+const asnOid = (oid) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OID, false, asn1.oidToDer(oid).getBytes());
+const asnInt = (n) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.INTEGER, false, asn1.integerToDer(n).getBytes());
+const asnOctets = (buf) => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.OCTETSTRING, false, buf.toString('binary'));
+const asnNull = () => asn1.create(asn1.Class.UNIVERSAL, asn1.Type.NULL, false, '');
+const asnTagged = (tag, items) => asn1.create(asn1.Class.CONTEXT_SPECIFIC, tag, true, items);
+const asnRaw = (buf) => asn1.fromDer(buf.toString('binary'));
+
+/**
+ * Load certificate and key from a PKCS#12 file. The signer certificate is the
+ * one matching the private key; the others are sent along as chain.
+ * @returns {{ key: crypto.KeyObject, cert: crypto.X509Certificate, certDer: Buffer, chainDer: Buffer[], name: string }}
+ */
+function loadSigner(p12Path, password) {
+  const p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(fs.readFileSync(p12Path).toString('binary')), false, password);
+  const keyBags = [
+    ...(p12.getBags({ bagType: forge.pki.oids.pkcs8ShroudedKeyBag })[forge.pki.oids.pkcs8ShroudedKeyBag] || []),
+    ...(p12.getBags({ bagType: forge.pki.oids.keyBag })[forge.pki.oids.keyBag] || []),
+  ];
+  if (keyBags.length === 0) throw new Error('no private key in PKCS#12');
+  const bag = keyBags[0];
+  // forge only decodes RSA keys; anything else is handed to Node as PKCS#8
+  const key = bag.key
+    ? crypto.createPrivateKey(forge.pki.privateKeyToPem(bag.key))
+    : crypto.createPrivateKey({ key: derOf(bag.asn1), format: 'der', type: 'pkcs8' });
+
+  const certBags = p12.getBags({ bagType: forge.pki.oids.certBag })[forge.pki.oids.certBag] || [];
+  const certs = certBags.map((b) => derOf(b.cert ? forge.pki.certificateToAsn1(b.cert) : b.asn1));
+  const signerIndex = certs.findIndex((der) => new crypto.X509Certificate(der).checkPrivateKey(key));
+  if (signerIndex < 0) throw new Error('no certificate in PKCS#12 matches the private key');
+  const certDer = certs[signerIndex];
+  const cert = new crypto.X509Certificate(certDer);
+  const cn = /(?:^|\n)CN=([^\n]+)/.exec(cert.subject);
+  return {
+    key,
+    cert,
+    certDer,
+    chainDer: certs.filter((_, i) => i !== signerIndex),
+    name: cn ? cn[1] : cert.subject.split('\n')[0],
+  };
+}
+
+let signer = null;
+let signerError = null;
+function initSigner() {
+  signer = null;
+  signerError = null;
+  if (!SIGN_P12_PATH) return;
+  try {
+    signer = loadSigner(SIGN_P12_PATH, SIGN_P12_PASSWORD);
+    if (new Date(signer.cert.validTo) < new Date()) {
+      logger.warn({ subject: signer.name, valid_to: signer.cert.validTo }, '[PDF-SIGN] certificate has expired');
+    }
+    logger.info({ subject: signer.name, valid_to: signer.cert.validTo, chain: signer.chainDer.length }, '[PDF-SIGN] certificate loaded');
+  } catch (e) {
+    signerError = 'PDF_SIGN_P12_PATH could not be loaded';
+    logger.error({ path: SIGN_P12_PATH, err: e.message }, '[PDF-SIGN] certificate not loaded, signing disabled');
+  }
+}
+
+/**
+ * Detached CMS SignedData (DER) over the given digest.
+ * @param {Buffer} digest - SHA-256 of the signed byte ranges
+ */
+function buildCms(digest, { key, certDer, chainDer }) {
+  const tbs = asnRaw(certDer).value[0];
+  const offset = tbs.value[0].tagClass === asn1.Class.CONTEXT_SPECIFIC ? 1 : 0; // optional [0] version
+  const serial = tbs.value[offset];
+  const issuer = tbs.value[offset + 2];
+  const sha256 = asnSeq([asnOid(OID.sha256)]);
+
+  const signedAttrs = [
+    asnSeq([asnOid(OID.contentType), asnSet([asnOid(OID.data)])]),
+    asnSeq([asnOid(OID.messageDigest), asnSet([asnOctets(digest)])]),
+    asnSeq([asnOid(OID.signingCertificateV2), asnSet([asnSeq([asnSeq([asnSeq([
+      // ESSCertIDv2 (hashAlgorithm defaults to SHA-256)
+      asnOctets(crypto.createHash('sha256').update(certDer).digest()),
+      asnSeq([asnSeq([asnTagged(4, [issuer])]), serial]),
+    ])])])])]),
+  ].map(derOf).sort(Buffer.compare); // DER: SET OF in ascending encoding order
+
+  // The signature covers the attributes encoded as SET (tag 0x31), stored as [0] IMPLICIT
+  const attrsDer = derOf(asnSet(signedAttrs.map(asnRaw)));
+  const signature = crypto.sign('sha256', attrsDer, key);
+  const signatureAlgorithm = key.asymmetricKeyType === 'ec'
+    ? asnSeq([asnOid(OID.ecdsaWithSha256)])
+    : asnSeq([asnOid(OID.rsaEncryption), asnNull()]);
+
+  const signerInfo = asnSeq([
+    asnInt(1),
+    asnSeq([issuer, serial]),
+    sha256,
+    asnTagged(0, signedAttrs.map(asnRaw)),
+    signatureAlgorithm,
+    asnOctets(signature),
+  ]);
+  return derOf(asnSeq([
+    asnOid(OID.signedData),
+    asnTagged(0, [asnSeq([
+      asnInt(1),
+      asnSet([sha256]),
+      asnSeq([asnOid(OID.data)]),
+      asnTagged(0, [certDer, ...chainDer].map(asnRaw)),
+      asnSet([signerInfo]),
+    ])]),
+  ]));
+}
+
+// Visible signature box: frame plus up to three lines of Helvetica.
+function signatureAppearance(doc, font, [width, height], lines) {
+  const encode = (text) => font.encodeText(encodeStandardText(font, text));
+  const size = Math.min(8, (height - 6) / (lines.length * 1.25));
+  const ops = [
+    'q 0.35 0.35 0.35 RG 0.5 w', `0.25 0.25 ${width - 0.5} ${height - 0.5} re S`, 'Q',
+    'BT', `/F1 ${size.toFixed(2)} Tf`, `${(size * 1.25).toFixed(2)} TL`, `4 ${(height - 3 - size).toFixed(2)} Td`,
+    ...lines.map((line, i) => `${i ? 'T* ' : ''}${encode(line)} Tj`),
+    'ET',
+  ];
+  return doc.context.register(doc.context.flateStream(ops.join('\n'), {
+    Type: 'XObject', Subtype: 'Form', BBox: [0, 0, width, height], Resources: { Font: { F1: font.ref } },
+  }));
+}
+
+/**
+ * Sign a final PDF (PAdES B-B) with the configured certificate.
+ * @param {Buffer} pdf
+ * @param {Object} opts - sanitized pdf_options.signature
+ * @returns {Promise<Buffer>}
+ */
+async function signPdf(pdf, opts, current = signer) {
+  if (!current) throw pdfError('signing is not configured', 400, 'signature_not_configured');
+  const doc = await loadPdf(pdf);
+  const { context } = doc;
+  const pages = doc.getPages();
+  const pageIndex = opts.page === 'first' ? 0 : opts.page === 'last' ? pages.length - 1 : Math.min(opts.page, pages.length) - 1;
+  const page = pages[pageIndex];
+
+  const placeholderBytes = [current.certDer, ...current.chainDer].reduce((n, c) => n + c.length, SIGNATURE_RESERVE_BYTES);
+  const signedAt = new Date();
+  const sig = {
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: 'ETSI.CAdES.detached',
+    ByteRange: [0, PDFName.of(BYTE_RANGE_PLACEHOLDER), PDFName.of(BYTE_RANGE_PLACEHOLDER), PDFName.of(BYTE_RANGE_PLACEHOLDER)],
+    Contents: PDFHexString.of('0'.repeat(placeholderBytes * 2)),
+    M: PDFString.fromDate(signedAt),
+    Name: PDFHexString.fromText(current.name),
+  };
+  const reason = opts.reason || SIGN_REASON;
+  const location = opts.location || SIGN_LOCATION;
+  if (reason) sig.Reason = PDFHexString.fromText(reason);
+  if (location) sig.Location = PDFHexString.fromText(location);
+  const sigRef = context.register(context.obj(sig));
+
+  const acroForm = doc.catalog.lookupMaybe(PDFName.of('AcroForm'), PDFDict) || context.obj({ Fields: [] });
+  doc.catalog.set(PDFName.of('AcroForm'), acroForm);
+  const fields = acroForm.lookupMaybe(PDFName.of('Fields'), PDFArray) || context.obj([]);
+  acroForm.set(PDFName.of('Fields'), fields);
+  acroForm.set(PDFName.of('SigFlags'), PDFNumber.of(3)); // SignaturesExist | AppendOnly
+
+  const widget = {
+    Type: 'Annot',
+    Subtype: 'Widget',
+    FT: 'Sig',
+    T: PDFString.of(`Signature${fields.size() + 1}`),
+    V: sigRef,
+    F: 4 | 128, // Print | Locked
+    P: page.ref,
+    Rect: [0, 0, 0, 0],
+  };
+  if (opts.visible) {
+    const { width } = page.getSize();
+    const [x, y, w, h] = opts.rect || [width - PAGE_INSET_PT - 200, 4, 200, 36];
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    const lines = [`Digitally signed by ${current.name}`, `Date: ${signedAt.toISOString().replace('T', ' ').slice(0, 19)} UTC`];
+    if (reason) lines.push(`Reason: ${reason}`);
+    widget.Rect = [x, y, x + w, y + h];
+    widget.AP = { N: signatureAppearance(doc, font, [w, h], lines) };
+  }
+  const widgetRef = context.register(context.obj(widget));
+  fields.push(widgetRef);
+  const annots = page.node.lookupMaybe(PDFName.of('Annots'), PDFArray);
+  if (annots) annots.push(widgetRef);
+  else page.node.set(PDFName.of('Annots'), context.obj([widgetRef]));
+
+  // Classic xref: the signature dictionary must not end up in an object stream
+  const out = Buffer.from(await doc.save({ useObjectStreams: false, updateFieldAppearances: false }));
+
+  const rangeMarker = `/ByteRange [ 0 /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} /${BYTE_RANGE_PLACEHOLDER} ]`;
+  const rangeAt = out.indexOf(rangeMarker, 0, 'latin1');
+  const contentsAt = out.indexOf(`/Contents <${'0'.repeat(64)}`, 0, 'latin1');
+  if (rangeAt < 0 || contentsAt < 0) throw pdfError('signature placeholder not found', 500, 'signing_failed');
+  const start = contentsAt + '/Contents '.length;
+  const end = start + placeholderBytes * 2 + 2; // <hex>
+  const byteRange = [0, start, end, out.length - end];
+  const rangeText = `/ByteRange [ ${byteRange.join(' ')} ]`.padEnd(rangeMarker.length, ' ');
+  out.write(rangeText, rangeAt, 'latin1');
+
+  const digest = crypto.createHash('sha256').update(out.subarray(0, start)).update(out.subarray(end)).digest();
+  const cms = buildCms(digest, current);
+  if (cms.length > placeholderBytes) throw pdfError('signature larger than reserved space', 500, 'signing_failed');
+  out.write(cms.toString('hex').padEnd(placeholderBytes * 2, '0'), start + 1, 'latin1');
+  return out;
+}
+
+// -------------------- Slim-Mode (Soft-Landing) --------------------
+// Prepared for future use – reduces HTML size when payload exceeds limit
+// Activated via PDF_SLIM_MODE=1 (default: off)
+function slimHtml(html) {
+  let s = String(html);
+  const originalSize = Buffer.byteLength(s, 'utf8');
+
+  // 1. Remove all HTML comments
+  s = s.replace(/<!--[\s\S]*?-->/g, '');
+
+  // 2. Remove data-* attributes (often large, not needed for PDF);
+  //    data-pdf-* are rendering instructions (TOC placeholder, ...) and stay
+  s = s.replace(/\s+data-(?!pdf-)[a-z-]+="[^"]*"/gi, '');
+
+  // 3. Remove empty class attributes
+  s = s.replace(/\s+class=""/g, '');
+
+  // 4. Aggressively minify CSS
+  s = s.replace(/<style[^>]*>([\s\S]*?)<\/style>/gi, (match, css) => {
+    let minified = css;
+    // Remove CSS comments
+    minified = minified.replace(/\/\*[\s\S]*?\*\//g, '');
+    // Collapse whitespace
+    minified = minified.replace(/\s+/g, ' ');
+    minified = minified.replace(/\s*([{};:,>+~])\s*/g, '$1');
+    // Remove units from zero values
+    minified = minified.replace(/:0(px|em|rem|%)/g, ':0');
+    return `<style>${minified.trim()}</style>`;
+  });
+
+  // 5. Remove excessive whitespace
+  s = s.replace(/>\s{2,}</g, '> <');
+  s = s.replace(/\n\s*\n/g, '\n');
+
+  // 6. Remove inline styles that are purely decorative (optional aggressive)
+  // s = s.replace(/\s+style="[^"]*"/gi, ''); // Too aggressive, disabled
+
+  const slimmedSize = Buffer.byteLength(s, 'utf8');
+  const savedKB = ((originalSize - slimmedSize) / 1024).toFixed(1);
+
+  logger.info({
+    slim_original_bytes: originalSize,
+    slim_result_bytes: slimmedSize,
+    slim_saved_kb: savedKB,
+  }, '[PDF] Slim-Mode applied');
+
+  return s.trim();
+}
+
+// Check HTML payload size and apply slim-mode if enabled
+function checkAndSlimPayload(html) {
+  const incomingBytes = Buffer.byteLength(html, 'utf8');
+  const incomingKB = incomingBytes / 1024;
+  const limitKB = HTML_MAX_KB;
+
+  logger.info({
+    html_incoming_kb: incomingKB.toFixed(1),
+    html_limit_kb: limitKB,
+    html_incoming_bytes: incomingBytes,
+    html_limit_bytes: HTML_MAX_BYTES,
+  }, '[PDF] Incoming HTML payload');
+
+  if (incomingBytes > HTML_MAX_BYTES) {
+    if (SLIM_MODE_ENABLED) {
+      logger.warn({
+        html_kb: incomingKB.toFixed(1),
+        limit_kb: limitKB,
+      }, '[PDF] Payload too large – applying SLIM mode');
+
+      const slimmed = slimHtml(html);
+      const slimmedBytes = Buffer.byteLength(slimmed, 'utf8');
+
+      // Check if slim was enough
+      if (slimmedBytes > HTML_MAX_BYTES) {
+        logger.warn({
+          slimmed_kb: (slimmedBytes / 1024).toFixed(1),
+          limit_kb: limitKB,
+        }, '[PDF] Slimmed payload still exceeds limit – proceeding anyway');
+      }
+
+      return { html: slimmed, wasSlimmed: true, originalKB: incomingKB, slimmedKB: slimmedBytes / 1024 };
+    } else {
+      // Hard fail if slim mode not enabled
+      const err = new Error(`HTML payload ${incomingKB.toFixed(1)}KB exceeds allowed limit ${limitKB}KB`);
+      err.status = 413;
+      err.reason = 'html_payload_too_large';
+      err.html_kb = incomingKB;
+      err.limit_kb = limitKB;
+      throw err;
+    }
+  }
+
+  return { html, wasSlimmed: false, originalKB: incomingKB };
+}
+
+// -------------------- Browser Pool & Queue --------------------
+let browser = null;
+const contexts = [];
+const busy = new Set();
+const waitQueue = []; // FIFO
+
+async function initPool() {
+  if (browser) return;
+  browser = await puppeteer.launch({
+    headless: HEADLESS,
+    args: [
+      // Core security/sandbox
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      // GPU/rendering optimization for smaller PDFs
+      '--disable-gpu',
+      '--disable-software-rasterizer',
+      '--disable-extensions',
+      // Font rendering (none = smaller files, less hinting overhead)
+      '--font-render-hinting=none',
+      // Additional size optimizations
+      '--disable-skia-runtime-opts',
+      '--disable-gpu-rasterization',
+      '--disable-accelerated-2d-canvas',
+      '--disable-background-timer-throttling',
+      // SSRF guard: sub-resources are fetched by the service (respondFromNetwork),
+      // so any lookup Chromium attempts itself (prefetch, preconnect, ...) fails
+      ...(SSRF_GUARD ? ['--host-resolver-rules=MAP * ~NOTFOUND'] : []),
+    ]
+  });
+
+  browser.on('disconnected', () => {
+    logger.warn('browser disconnected – resetting pool');
+    contexts.splice(0, contexts.length);
+    busy.clear();
+    browser = null;
+    updatePoolGauge(contexts, busy);
+  });
+
+  const createCtx = browser.createBrowserContext
+    ? () => browser.createBrowserContext()
+    : () => browser.createIncognitoBrowserContext();
+
+  for (let i=0; i<BROWSER_POOL_SIZE; i++) {
+    // eslint-disable-next-line no-await-in-loop
+    const ctx = await createCtx();
+    contexts.push(ctx);
+  }
+  updatePoolGauge(contexts, busy);
+}
+
+function _acquireImmediate() {
+  for (const ctx of contexts) {
+    if (!busy.has(ctx)) {
+      busy.add(ctx);
+      updatePoolGauge(contexts, busy);
+      return ctx;
+    }
+  }
+  return null;
+}
+
+function _release(ctx) {
+  if (busy.has(ctx)) {
+    busy.delete(ctx);
+    updatePoolGauge(contexts, busy);
+    // Wecke nächsten in der FIFO-Queue
+    if (waitQueue.length > 0) {
+      const ticket = waitQueue.shift();
+      const free = _acquireImmediate();
+      if (free) {
+        clearTimeout(ticket.timer);
+        // Asynchron: übergeben des freien Kontextes
+        setImmediate(() => ticket.resolve(free));
+      } else {
+        // falls race: Ticket wieder vorn einsortieren
+        waitQueue.unshift(ticket);
+      }
+    }
+  }
+}
+
+async function acquireContextWait() {
+  const immediate = _acquireImmediate();
+  if (immediate) return immediate;
+
+  if (waitQueue.length >= QUEUE_MAX) {
+    const err = new Error('PDF service busy – queue full');
+    err.status = 503;
+    throw err;
+  }
+  return new Promise((resolve, reject) => {
+    const ticket = { resolve, reject };
+    ticket.timer = setTimeout(() => {
+      const idx = waitQueue.indexOf(ticket);
+      if (idx >= 0) waitQueue.splice(idx, 1);
+      const err = new Error('PDF service busy – timeout');
+      err.status = 503;
+      reject(err);
+    }, QUEUE_WAIT_MS);
+    waitQueue.push(ticket);
+  });
+}
+
+function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+// -------------------- Accessibility audit (in-page) --------------------
+// Runs inside the page via page.evaluate(), before the service adds its own
+// helper elements. Reports what tagging cannot fix: missing alt text, language,
+// title, skipped heading levels and links without a name. Elements hidden from
+// assistive technology are not checked.
+function auditAccessibilityInPage() {
+  const MAX_SAMPLES = 3;
+  const rules = new Map();
+  const hit = (rule, message, sample) => {
+    const entry = rules.get(rule) || { rule, count: 0, message, samples: [] };
+    entry.count += 1;
+    if (sample && entry.samples.length < MAX_SAMPLES) entry.samples.push(String(sample).slice(0, 80));
+    rules.set(rule, entry);
+  };
+  const hidden = (el) => !!el.closest('[aria-hidden="true"]');
+  const describe = (el) => {
+    const src = el.getAttribute('src') || '';
+    if (src.startsWith('data:')) return `${el.tagName.toLowerCase()} data:…`;
+    return `${el.tagName.toLowerCase()} ${src.split('/').pop() || el.id || el.className || ''}`.trim();
+  };
+
+  const lang = document.documentElement.getAttribute('lang') || '';
+  if (!/^[A-Za-z]{2,3}(-[A-Za-z0-9]{1,8})*$/.test(lang)) hit('html-lang', '<html lang> missing or invalid', lang);
+  if (!(document.title || '').trim()) hit('document-title', '<title> missing or empty');
+
+  document.querySelectorAll('img, [role="img"]').forEach((el) => {
+    if (hidden(el) || el.getAttribute('role') === 'presentation' || el.getAttribute('role') === 'none') return;
+    const named = el.hasAttribute('aria-label') || el.hasAttribute('aria-labelledby');
+    if (el.tagName === 'IMG' ? !el.hasAttribute('alt') && !named : !named) {
+      hit('img-alt', 'image without alt text', describe(el));
+    }
+  });
+
+  let previous = 0;
+  document.querySelectorAll('h1, h2, h3, h4, h5, h6').forEach((el) => {
+    if (hidden(el)) return;
+    const level = Number(el.tagName.slice(1));
+    if (previous && level > previous + 1) {
+      hit('heading-order', 'heading level skipped', `h${previous} → h${level} ${(el.textContent || '').trim()}`);
+    }
+    previous = level;
+  });
+
+  document.querySelectorAll('a[href]').forEach((el) => {
+    if (hidden(el) || el.hasAttribute('aria-label')) return;
+    const text = (el.textContent || '').trim();
+    const imgAlt = Array.from(el.querySelectorAll('img[alt]')).some((img) => img.getAttribute('alt').trim());
+    if (!text && !imgAlt) hit('link-name', 'link without text', el.getAttribute('href'));
+  });
+
+  return { lang: lang || null, findings: Array.from(rules.values()) };
+}
+
+// -------------------- Headings, outline targets & TOC (in-page) --------------------
+// The functions below run inside the page via page.evaluate() and must not use
+// anything from module scope.
+
+// Give every visible heading up to h<levels> an id and link to it from an
+// empty, zero-size container. Chromium emits a named destination (page + y)
+// for each linked id, which readNamedDests() reads back after page.pdf().
+// Headings inside the TOC placeholder itself are skipped.
+function collectHeadingsInPage(levels) {
+  const selector = Array.from({ length: levels }, (_, i) => `h${i + 1}`).join(',');
+  const holder = document.createElement('div');
+  holder.setAttribute('aria-hidden', 'true');
+  holder.setAttribute('data-pdf-anchors', '');
+  holder.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;overflow:hidden';
+  const found = [];
+  document.querySelectorAll(selector).forEach((el, i) => {
+    if (el.closest('[data-pdf-toc]')) return;
+    const title = (el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 200);
+    if (!title || el.getClientRects().length === 0) return;
+    if (!el.id) el.id = `pdf-heading-${i}`;
+    const a = document.createElement('a');
+    a.setAttribute('href', `#${el.id}`);
+    holder.appendChild(a);
+    found.push({ id: el.id, level: Number(el.tagName.slice(1)), title });
+  });
+  document.body.appendChild(holder);
+  return found;
+}
+
+// Fill the first <nav data-pdf-toc> (levels via data-pdf-toc-levels, default 2)
+// with linked entries. Page numbers start as a placeholder and are set by
+// fillTocInPage(). Default styles go first in <head> so document CSS wins.
+function buildTocInPage(headings) {
+  const nav = document.querySelector('[data-pdf-toc]');
+  if (!nav) return 0;
+  const levels = Math.min(6, Math.max(1, parseInt(nav.getAttribute('data-pdf-toc-levels') || '2', 10) || 2));
+  nav.querySelectorAll('ol.pdf-toc').forEach((el) => el.remove());
+  const list = document.createElement('ol');
+  list.className = 'pdf-toc';
+  let count = 0;
+  headings.filter((h) => h.level <= levels).forEach((h) => {
+    const li = document.createElement('li');
+    li.className = `pdf-toc-entry pdf-toc-level-${h.level}`;
+    const a = document.createElement('a');
+    a.setAttribute('href', `#${h.id}`);
+    const title = document.createElement('span');
+    title.className = 'pdf-toc-title';
+    title.textContent = h.title;
+    const leader = document.createElement('span');
+    leader.className = 'pdf-toc-leader';
+    const pageNo = document.createElement('span');
+    pageNo.className = 'pdf-toc-page';
+    pageNo.setAttribute('data-pdf-toc-target', h.id);
+    pageNo.textContent = '888';
+    a.append(title, leader, pageNo);
+    li.appendChild(a);
+    list.appendChild(li);
+    count += 1;
+  });
+  nav.appendChild(list);
+  const style = document.createElement('style');
+  style.textContent = '.pdf-toc{list-style:none;margin:0;padding:0}'
+    + '.pdf-toc a{display:flex;align-items:baseline;color:inherit;text-decoration:none;margin:.2em 0}'
+    + '.pdf-toc-leader{flex:1;border-bottom:1px dotted #9ca3af;margin:0 .4em}'
+    + '.pdf-toc-page{font-variant-numeric:tabular-nums}'
+    + '.pdf-toc-level-1{font-weight:600}'
+    + '.pdf-toc-level-2{padding-left:1.5em}.pdf-toc-level-3{padding-left:3em}'
+    + '.pdf-toc-level-4,.pdf-toc-level-5,.pdf-toc-level-6{padding-left:4.5em}';
+  document.head.insertBefore(style, document.head.firstChild);
+  return count;
+}
+
+function fillTocInPage(pages) {
+  document.querySelectorAll('[data-pdf-toc-target]').forEach((el) => {
+    const n = pages[el.getAttribute('data-pdf-toc-target')];
+    el.textContent = n ? String(n) : '–';
+  });
+}
+
+// Split the body into print segments around <... data-pdf-orientation="landscape|portrait">
+// (outermost marked elements). Each marked element is its own segment; the
+// content between them forms flow segments in the default orientation. Leaves
+// get data-pdf-segment="n"; ancestors of marked elements stay visible, as does
+// the heading-link holder (Chromium only writes destinations for linked ids).
+// Text directly in <body> or in such an ancestor is wrapped in a <span>, since
+// a bare text node cannot be hidden and would print in every segment.
+// Returns the non-empty segments in order, or [] when nothing is marked.
+function markSegmentsInPage() {
+  const marked = Array.from(document.querySelectorAll('[data-pdf-orientation]'))
+    .filter((el) => !el.parentElement || !el.parentElement.closest('[data-pdf-orientation]'));
+  if (marked.length === 0) return [];
+  const segments = [];
+  const flow = (index) => {
+    if (!segments[index]) segments[index] = { index, orientation: null, content: false };
+    return segments[index];
+  };
+  let seen = 0;
+  const visit = (node) => {
+    if (node.nodeType === Node.TEXT_NODE && node.data.trim()) {
+      const span = document.createElement('span');
+      node.replaceWith(span);
+      span.appendChild(node);
+      visit(span);
+      return;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    const el = node;
+    if (el.hasAttribute('data-pdf-anchors')) return;
+    const isMarked = marked.includes(el);
+    if (!isMarked && marked.some((m) => el.contains(m))) {
+      Array.from(el.childNodes).forEach(visit);
+      return;
+    }
+    const index = isMarked ? 2 * seen + 1 : 2 * seen;
+    const seg = flow(index);
+    if (isMarked) {
+      seen += 1;
+      const value = el.getAttribute('data-pdf-orientation').trim().toLowerCase();
+      seg.orientation = value === 'landscape' || value === 'portrait' ? value : null;
+    }
+    el.setAttribute('data-pdf-segment', String(index));
+    const rect = el.getBoundingClientRect();
+    if (rect.width > 0 && rect.height > 0) seg.content = true;
+  };
+  Array.from(document.body.childNodes).forEach(visit);
+  return segments.filter((seg) => seg && seg.content).map(({ index, orientation }) => ({ index, orientation }));
+}
+
+// Show only the given segment (null = everything).
+function showSegmentInPage(index) {
+  let style = document.getElementById('pdf-segment-style');
+  if (!style) {
+    style = document.createElement('style');
+    style.id = 'pdf-segment-style';
+    document.head.appendChild(style);
+  }
+  style.textContent = index === null ? '' : `[data-pdf-segment]:not([data-pdf-segment="${index}"]){display:none!important}`;
+}
+
+// id → 1-based page number, from the named destinations of a rendered PDF.
+async function headingPages(pdf) {
+  const doc = await loadPdf(pdf);
+  const out = {};
+  for (const [id, target] of readNamedDests(doc)) out[id] = target.pageIndex + 1;
+  return out;
+}
+
+const TOC_MAX_PASSES = 3;
+
+// Measuring loop: print, read where each heading landed, write the numbers into
+// the TOC and print again. Filling in numbers can move page breaks (e.g. a long
+// TOC), so repeat until the numbers are stable or TOC_MAX_PASSES is reached.
+async function printWithToc(page, pdfConfig, print = (config) => page.pdf(config)) {
+  let pdf = await print(pdfConfig);
+  let pages = await headingPages(pdf);
+  for (let pass = 1; pass <= TOC_MAX_PASSES; pass++) {
+    // eslint-disable-next-line no-await-in-loop
+    await page.evaluate(fillTocInPage, pages);
+    // eslint-disable-next-line no-await-in-loop
+    pdf = await print(pdfConfig);
+    // eslint-disable-next-line no-await-in-loop
+    const after = await headingPages(pdf);
+    if (JSON.stringify(after) === JSON.stringify(pages)) return pdf;
+    pages = after;
+  }
+  logger.warn({ passes: TOC_MAX_PASSES }, '[PDF] toc: page numbers did not settle, using last measurement');
+  await page.evaluate(fillTocInPage, pages);
+  return print(pdfConfig);
+}
+
+// class="pageNumber" / "totalPages" in a Chromium header/footer template
+const CHROMIUM_PAGE_COUNTER_REGEX = /class\s*=\s*["']?[^"'>]*\b(pageNumber|totalPages)\b/;
+
+/**
+ * Mixed orientation: print each segment (see markSegmentsInPage) on its own,
+ * with its orientation, and put the pages back together in order. Named
+ * destinations are merged with their page offsets, so internal links, the
+ * outline and TOC page numbers work across segments. Page ranges do not apply
+ * to a segmented print; callers take the pages they need. Chromium numbers the
+ * pages of each print from 1, so displayHeaderFooter templates with
+ * pageNumber/totalPages are rejected; the header/footer presets number the
+ * merged document.
+ * @param {Page} page
+ * @param {Object} pdfConfig - page.pdf() options; landscape is the flow default
+ * @param {Array<{index: number, orientation: string|null}>} segments
+ */
+async function printSegments(page, pdfConfig, segments) {
+  const { pageRanges, ...config } = pdfConfig;
+  if (config.displayHeaderFooter && CHROMIUM_PAGE_COUNTER_REGEX.test(`${config.headerTemplate}${config.footerTemplate}`)) {
+    throw pdfError('pageNumber/totalPages in headerTemplate/footerTemplate would restart in every data-pdf-orientation '
+      + 'segment; use the header/footer presets ({page}, {total}) instead', 400, 'pdf_options_conflict');
+  }
+  const merged = await PDFDocument.create();
+  const dests = new Map();
+  try {
+    for (const seg of segments) {
+      // eslint-disable-next-line no-await-in-loop
+      await page.evaluate(showSegmentInPage, seg.index);
+      const landscape = seg.orientation ? seg.orientation === 'landscape' : !!config.landscape;
+      // eslint-disable-next-line no-await-in-loop
+      const part = await loadPdf(await page.pdf({ ...config, landscape }));
+      const offset = merged.getPageCount();
+      // eslint-disable-next-line no-await-in-loop
+      const copied = await merged.copyPages(part, part.getPageIndices());
+      copied.forEach((p) => merged.addPage(p));
+      for (const [name, target] of readNamedDests(part)) {
+        if (!dests.has(name)) dests.set(name, { ...target, pageIndex: target.pageIndex + offset });
+      }
+    }
+  } finally {
+    await page.evaluate(showSegmentInPage, null);
+  }
+  writeNamedDests(merged, dests);
+  return savePdf(merged);
+}
+
+/**
+ * Chromium prints displayHeaderFooter templates on every page. For the first
+ * `count` pages, swap in the content of a print without them: same layout and
+ * margins, so link annotations and the rest of the page stay valid.
+ * @param {Function} print - (pdfConfig) => Promise<Buffer>, page.pdf or printSegments
+ */
+async function clearHeaderFooter(print, pdfConfig, pdf, count) {
+  const doc = await loadPdf(pdf);
+  const n = Math.min(count, doc.getPageCount());
+  if (n === 0) return pdf;
+  const plain = await PDFDocument.load(await print({ ...pdfConfig, displayHeaderFooter: false, pageRanges: `1-${n}` }));
+  const copier = PDFObjectCopier.for(plain.context, doc.context);
+  plain.getPages().slice(0, n).forEach((src, i) => {
+    const dst = doc.getPage(i).node;
+    dst.set(PDFName.of('Contents'), copier.copy(src.node.get(PDFName.of('Contents'))));
+    dst.set(PDFName.of('Resources'), copier.copy(src.node.Resources()));
+  });
+  return savePdf(doc);
+}
+
+/**
+ * Sanitize the HTML of one render the way every pass prints it.
+ * @returns {{ html: string, report: Object }} - report receives what was removed (see sanitizeMarkup)
+ */
+function sanitizeForRender(html, pdfOptions, dumper = null) {
+  const js = javascriptPolicy(pdfOptions);
+  const report = {};
+  const safeHtml = sanitizeHtml(html, dumper, {
+    keepPageRules: !!pdfOptions.preferCSSPageSize, report, scripts: js.enabled, csp: js.csp,
+  });
+  return { html: safeHtml, report };
+}
+
+// opts.safe is the sanitizeForRender() result for `html`
+async function renderWithOptions(html, filename, effectiveMaxBytes, opts, pdfOptions = {}, dumper = null) {
+  const js = javascriptPolicy(pdfOptions);
+  const sanitized = opts.safe.report;
+  let safeHtml = opts.safe.html;
+  // Remote assets are fetched before a browser context is taken (see inlineRemoteAssets)
+  let inlined = null;
+  if (opts.inliner) {
+    ({ html: safeHtml, report: inlined } = await inlineRemoteAssets(safeHtml, opts.inliner, { media: !opts.blockAssets }));
+    if (dumper) dumper.dump('3-inlined', safeHtml);
+  }
+  const safeHtmlBytes = Buffer.byteLength(safeHtml, 'utf8');
+
+  await initPool();
+  const ctx = await acquireContextWait();
+  if (typeof opts.onAcquired === 'function') opts.onAcquired();
+  const start = Date.now();
+  let page;
+  let jsOutcome = null;
+  const htmlBytes = Buffer.byteLength(html, 'utf8');
+
+  try {
+    page = await ctx.newPage();
+    // 96 DPI equivalent viewport for A4 portrait
+    await page.setViewport({ width: 794, height: 1123, deviceScaleFactor: 1 });
+
+    // Request interception: sub-resource policy (SSRF guard, allowlist, request
+    // budget) plus optional low-fidelity asset blocking. Interception is set once;
+    // a single handler applies all concerns. Upload renders are served from the
+    // upload only (see respondFromUpload); with the guard on, admitted requests
+    // are fetched by the service (see respondFromNetwork).
+    const assets = opts.assets || null;
+    const budget = makeSubresourceBudget(opts.policy || DEFAULT_ASSET_POLICY);
+    await page.setRequestInterception(true);
+    page.on('request', async (request) => {
+      try {
+        if (assets) {
+          return void respondFromUpload(request, assets, safeHtml, opts.blockAssets).catch(() => {});
+        }
+        const resourceType = request.resourceType();
+        if (opts.blockAssets && (resourceType === 'image' || resourceType === 'font')) {
+          return void request.abort().catch(() => {});
+        }
+        const reason = await admitSubresource(request.url(), budget);
+        if (reason) {
+          countBlockedSubresource(budget, request.url(), reason, resourceType);
+          return void request.abort().catch(() => {});
+        }
+        if (SSRF_GUARD && /^https?:/i.test(request.url())) {
+          return void respondFromNetwork(request, budget).catch(() => {});
+        }
+        request.continue().catch(() => {});
+      } catch (e) {
+        request.abort().catch(() => {});
+      }
+    });
+    // Byte budget: once exceeded, loads in flight are stopped and later requests
+    // aborted. With the guard on, respondFromNetwork meters the bytes itself.
+    if (!assets && !SSRF_GUARD) {
+      const cdp = await page.target().createCDPSession();
+      await cdp.send('Network.enable');
+      cdp.on('Network.dataReceived', (event) => {
+        budget.bytes += event.dataLength;
+        if (budget.bytes > budget.policy.maxBytes && exhaustByteBudget(budget)) {
+          cdp.send('Page.stopLoading').catch(() => {});
+        }
+      });
+    }
+
+    const scripts = await applyJavaScriptPolicy(page, js);
+    try {
+      if (assets) {
+        await page.goto(`${UPLOAD_ORIGIN}/index.html`, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+      } else {
+        await page.setContent(safeHtml, { waitUntil: 'networkidle0', timeout: RENDER_TIMEOUT_MS });
+      }
+    } finally {
+      jsOutcome = await scripts.finish();
+    }
+
+    const audit = pdfOptions.accessibility ? await page.evaluate(auditAccessibilityInPage) : null;
+
+    // Headings for outline and/or TOC (see collectHeadingsInPage). A TOC
+    // placeholder is filled in the same page, so every adaptive pass measures
+    // with its own scale/background settings.
+    const wantsToc = safeHtml.includes('data-pdf-toc');
+    let headings = null;
+    let tocEntries = 0;
+    if (pdfOptions.outline || wantsToc) {
+      headings = await page.evaluate(collectHeadingsInPage, 6);
+    }
+    if (wantsToc) {
+      tocEntries = await page.evaluate(buildTocInPage, headings);
+    }
+
+    if (dumper) {
+      try {
+        const rendered = await page.content();
+        dumper.dump('4-rendered', rendered);
+      } catch (e) {
+        logger.warn({ err: e.message, dump_id: dumper.id }, '[PDF-DEBUG-DUMP] page.content() failed');
+      }
+    }
+
+    // Build final PDF options: defaults merged with sanitized pdfOptions
     const pdfConfig = {
       // Base defaults
       format: 'A4',
-      landscape: false,
+      landscape: !!pdfOptions.landscape,
       // FIX-1027.5.3: preferCSSPageSize=false — @page-margin doppelte sonst
       // zum page.pdf-margin (Cutoff S.4). format:'A4' bleibt (R2 kein Letter-Kipp).
-      // @page @bottom-* ist toter Code in Chromium; R1-Seitenzahl via footerTemplate.
+      // @page @bottom-* ist toter Code in Chromium; R1-Seitenzahl via footerTemplate
+      // oder pdf_options.footer-Preset (stampRunningText).
       preferCSSPageSize: false,
       // Adaptive rendering options
       printBackground: !!opts.printBackground,
@@ -651,176 +3132,1227 @@ async function renderWithOptions(html, filename, effectiveMaxBytes, opts, pdfOpt
       // Default: no header/footer
       displayHeaderFooter: false,
       // Default margins
-      margin: { ...defaultMargins },
+      margin: { ...DEFAULT_MARGINS },
+    };
+
+    // Apply sanitized pdfOptions (whitelist-validated by sanitizePdfOptions)
+    if (pdfOptions.format) {
+      pdfConfig.format = pdfOptions.format;
+    }
+    if (pdfOptions.width) {
+      // Puppeteer: width/height take precedence over format
+      pdfConfig.width = pdfOptions.width;
+      pdfConfig.height = pdfOptions.height;
+    }
+    if (pdfOptions.preferCSSPageSize) {
+      // CSS page mode (opt-in): @page size and margins apply alone, so the page.pdf()
+      // margin drops to 0 unless given explicitly – no doubling (see FIX-1027.5.3)
+      pdfConfig.preferCSSPageSize = true;
+      pdfConfig.margin = { top: '0mm', right: '0mm', bottom: '0mm', left: '0mm' };
+    }
+    if (pdfOptions.printBackground !== undefined) {
+      // pdfOptions.printBackground overrides adaptive opts only if explicitly set
+      pdfConfig.printBackground = pdfOptions.printBackground;
+    }
+    if (pdfOptions.displayHeaderFooter !== undefined) {
+      pdfConfig.displayHeaderFooter = pdfOptions.displayHeaderFooter;
+    }
+    if (pdfOptions.displayHeaderFooter) {
+      // When header/footer is enabled, apply templates (with sensible defaults)
+      pdfConfig.headerTemplate = pdfOptions.headerTemplate || '<div></div>';
+      pdfConfig.footerTemplate = pdfOptions.footerTemplate || '<div></div>';
+    }
+    if (pdfOptions.margin) {
+      // Merge margin (partial overrides allowed)
+      pdfConfig.margin = { ...(pdfConfig.preferCSSPageSize ? pdfConfig.margin : DEFAULT_MARGINS), ...pdfOptions.margin };
+    }
+    if (pdfOptions.accessibility) {
+      pdfConfig.tagged = true;
+    }
+
+    // Mixed orientation: <section data-pdf-orientation="landscape"> prints as its own segment
+    const segments = safeHtml.includes('data-pdf-orientation') ? await page.evaluate(markSegmentsInPage) : [];
+    const print = segments.length > 0
+      ? (config) => printSegments(page, config, segments)
+      : (config) => page.pdf(config);
+    let pdf = tocEntries > 0 ? await printWithToc(page, pdfConfig, print) : await print(pdfConfig);
+    if (pdfConfig.displayHeaderFooter && pdfOptions.skipHeaderFooter) {
+      pdf = await clearHeaderFooter(print, pdfConfig, pdf, pdfOptions.skipHeaderFooter);
+    }
+    let outlineEntries = 0;
+    if (pdfOptions.outline) {
+      const outlineHeadings = headings.filter((h) => h.level <= pdfOptions.outline.levels);
+      ({ pdf, entries: outlineEntries } = await addHeadingOutline(pdf, outlineHeadings));
+    }
+    let meta = null;
+    let running = null;
+    const needsMeta = !!(pdfOptions.metadata || pdfOptions.conformance || audit);
+    if (needsMeta || pdfOptions.header || pdfOptions.footer) {
+      // Defaults from the document: <title> and <html lang>
+      const pageDefaults = await page.evaluate(() => ({
+        title: (document.title || '').replace(/\s+/g, ' ').trim(),
+        lang: document.documentElement.getAttribute('lang') || '',
+      }));
+      meta = { ...(pdfOptions.metadata || {}) };
+      if (!meta.title && pageDefaults.title) meta.title = pageDefaults.title.slice(0, METADATA_TEXT_LIMITS.title);
+      if (!meta.lang && LANG_REGEX.test(pageDefaults.lang)) meta.lang = pageDefaults.lang;
+      if (pdfOptions.header || pdfOptions.footer) {
+        running = {
+          header: pdfOptions.header,
+          footer: pdfOptions.footer,
+          skip: pdfOptions.skipHeaderFooter,
+          start: pdfOptions.pageNumberStart,
+          title: meta.title,
+          lang: meta.lang,
+        };
+      }
+      if (!needsMeta) meta = null;
+    }
+    pdf = await finalizePdf(pdf, {
+      metadata: meta,
+      conformance: pdfOptions.conformance,
+      accessibility: audit,
+      security: pdfOptions.security,
+      watermarks: pdfOptions.watermark,
+      running,
+    });
+    if (audit && opts.report) opts.report.accessibility = audit;
+    if (inlined && opts.report) opts.report.inline_assets = inlined;
+    if (sanitized.removed && opts.report) opts.report.sanitized = sanitized;
+
+    const durationMs = Date.now() - start;
+    renderDur.observe(durationMs / 1000);
+
+    // Size monitoring
+    const compressionRatio = safeHtmlBytes > 0 ? (pdf.length / safeHtmlBytes).toFixed(2) : 'N/A';
+    const logPayload = {
+      html_bytes: htmlBytes,
+      html_minified_bytes: safeHtmlBytes,
+      pdf_bytes: pdf.length,
+      compression_ratio: compressionRatio,
+      scale: pdfConfig.scale,
+      print_bg: pdfConfig.printBackground,
+      format: pdfConfig.width ? `${pdfConfig.width}x${pdfConfig.height}` : pdfConfig.format,
+      duration_ms: durationMs,
     };
+    // Add pdf_options info (debug-safe: no template content)
+    if (pdfOptions.outline) logPayload.outline_entries = outlineEntries;
+    if (tocEntries > 0) logPayload.toc_entries = tocEntries;
+    if (segments.length > 0) logPayload.segments = segments.map((seg) => seg.orientation || 'default').join(',');
+    if (pdfConfig.landscape) logPayload.landscape = true;
+    if (pdfConfig.preferCSSPageSize) logPayload.css_page_mode = true;
+    if (assets) logPayload.upload_assets = assets.size;
+    if (inlined) logPayload.inline_assets = `inlined=${inlined.inlined},failed=${inlined.failed},skipped=${inlined.skipped}`;
+    if (sanitized.removed) logPayload.sanitized = sanitizeSummary(sanitized);
+    if (js.enabled) {
+      logPayload.javascript_budget_ms = js.budgetMs;
+      if (jsOutcome.exhausted) logPayload.javascript_budget_exhausted = true;
+    }
+    if (budget.requests > 0) {
+      logPayload.subresources = budget.requests;
+      logPayload.subresource_bytes = budget.bytes;
+    }
+    if (budget.blocked > 0) logPayload.subresources_blocked = budget.blocked;
+    if (budget.policy.tenant) logPayload.tenant = budget.policy.tenant;
+    if (pdfOptions.conformance) logPayload.conformance = pdfOptions.conformance;
+    if (pdfOptions.security) logPayload.encrypted = 'AES-256';
+    if (audit) {
+      logPayload.a11y_tagged = audit.tagged;
+      logPayload.a11y_findings = audit.findings.map((f) => `${f.rule}=${f.count}`).join(',') || 'none';
+    }
+    if (pdfConfig.displayHeaderFooter) {
+      logPayload.header_footer = true;
+      if (pdfConfig.footerTemplate) logPayload.footer_template_length = pdfConfig.footerTemplate.length;
+      if (pdfConfig.headerTemplate) logPayload.header_template_length = pdfConfig.headerTemplate.length;
+    }
+    logger.info(logPayload, 'pdf rendered');
+
+    // Soft warnings
+    if (pdf.length > 15 * 1024 * 1024) {
+      logger.warn({ pdf_bytes: pdf.length, limit_bytes: effectiveMaxBytes }, 'pdf exceeds 15 MB soft limit');
+    }
+
+    // Größenprüfung
+    if (pdf.length > effectiveMaxBytes) {
+      const err = new Error(`PDF larger than limit (${pdf.length} > ${effectiveMaxBytes})`);
+      err.status = 413;
+      err.html_bytes = htmlBytes;
+      err.html_minified_bytes = safeHtmlBytes;
+      err.pdf_bytes = pdf.length;
+      err.limit_bytes = effectiveMaxBytes;
+      throw err;
+    }
+
+    // Signing comes last and only on the pass that fits: the limit applies to
+    // the unsigned PDF, the signature adds its reserved space on top.
+    if (pdfOptions.signature) {
+      pdf = await signPdf(pdf, pdfOptions.signature);
+      logger.info({ pdf_bytes: pdf.length, visible: pdfOptions.signature.visible, signer: signer.name }, '[PDF-SIGN] signed');
+    }
+    return pdf;
+  } finally {
+    if (page) { try { await page.close(); } catch { /* ignore */ } }
+    _release(ctx);
+  }
+}
+
+// onProgress (optional) is called with the 1-based pass number once that pass
+// holds a browser context; async jobs use it to report "rendering / pass N".
+// report (optional) is a plain object the successful pass fills with per-request
+// findings (e.g. report.accessibility); see reportHeaders().
+// sources (optional): { assets, policy, safe } – assets is the Map of a multipart upload
+// (see parseUpload), policy the caller's sub-resource policy (see assetPolicyFor),
+// safe the sanitizeForRender() result if the caller already has it.
+// The HTML is sanitized once for all passes. With inlineAssets the passes share
+// one inliner, so remote assets are fetched once.
+async function renderToBufferAdaptive(html, filename, effectiveMaxBytes, pdfOptions = {}, dumper = null, onProgress = null, report = null, sources = {}) {
+  const { assets = null, policy = DEFAULT_ASSET_POLICY } = sources;
+  const safe = sources.safe || sanitizeForRender(html, pdfOptions, dumper);
+  // 4 Degradierungsstufen, um 413 zu vermeiden (optimierte Skalierung)
+  const passes = [
+    { printBackground: PDF_PRINT_BG, blockAssets: false, scale: PDF_SCALE },      // Default optimized
+    { printBackground: false,        blockAssets: false, scale: PDF_SCALE },      // No background
+    { printBackground: false,        blockAssets: false, scale: 0.90 },           // Reduced scale
+    { printBackground: false,        blockAssets: true,  scale: 0.85 },           // Low-fi mode
+  ];
+  const inliner = (pdfOptions.inlineAssets ?? INLINE_ASSETS_DEFAULT) && !assets ? makeInliner(policy) : null;
+  let last;
+  let passIndex = 0;
+  for (const p of passes) {
+    // Only dump on the first pass — later passes are 413-driven retries
+    const passDumper = passIndex === 0 ? dumper : null;
+    passIndex += 1;
+    const passNo = passIndex;
+    const passOpts = { ...p, report, assets, policy, inliner, safe };
+    if (onProgress) passOpts.onAcquired = () => onProgress(passNo);
+    try {
+      return await renderWithOptions(html, filename, effectiveMaxBytes, passOpts, pdfOptions, passDumper);
+    } catch (e) {
+      last = e;
+      if (e && e.status === 413) {
+        // nächste Stufe probieren
+        continue;
+      }
+      throw e;
+    }
+  }
+  throw last;
+}
+
+// -------------------- App --------------------
+async function handleMetrics(req, res) {
+  res.set('Content-Type', client.register.contentType);
+  res.end(await client.register.metrics());
+}
+
+function handleHealth(req, res) {
+  updatePoolGauge(contexts, busy);
+  res.json({
+    ok: true,
+    ts: new Date().toISOString(),
+    pool: { total: contexts.length, busy: busy.size, queue: waitQueue.length },
+    jobs: { total: jobs.size, max: JOBS_MAX, ttl_sec: JOB_TTL_MS / 1000 },
+    idempotency: {
+      keys: idempotency.size, max: IDEMPOTENCY_MAX, ttl_sec: IDEMPOTENCY_TTL_MS / 1000,
+      bytes: idempotencyBytes, max_bytes: IDEMPOTENCY_MAX_BYTES,
+    },
+    cache: {
+      enabled: CACHE_ENABLED,
+      entries: renderCache.size,
+      bytes: renderCacheBytes,
+      max_bytes: CACHE_MAX_BYTES,
+      ttl_sec: CACHE_TTL_MS / 1000,
+      disk: !!CACHE_DIR,
+    },
+    batch: { max_items: BATCH_MAX_ITEMS },
+    merge: { max_parts: MERGE_MAX_PARTS },
+    subresources: {
+      ssrf_guard: SSRF_GUARD,
+      allowlist: DEFAULT_ASSET_POLICY.allow.length,
+      max_requests: DEFAULT_ASSET_POLICY.maxRequests,
+      max_bytes: DEFAULT_ASSET_POLICY.maxBytes,
+      tenants: TENANTS.length,
+    },
+    javascript: { enabled: JAVASCRIPT_DEFAULT, budget_ms: JAVASCRIPT_BUDGET_MS },
+    templates: listTemplates().map((t) => `${t.name}@${t.version}`),
+    signing: signer
+      ? { configured: true, subject: signer.name, valid_to: signer.cert.validTo }
+      : { configured: false, error: signerError || undefined },
+    headless: HEADLESS,
+    pdf: { default_max_bytes: PDF_MAX_DEFAULT, cap_bytes: PDF_MAX_CAP },
+    html: { max_kb: HTML_MAX_KB, max_bytes: HTML_MAX_BYTES, slim_mode: SLIM_MODE_ENABLED },
+    pdf_options: {
+      supported: true,
+      allowed_keys: ['format', 'width', 'height', 'preferCSSPageSize', 'landscape', 'printBackground', 'displayHeaderFooter', 'headerTemplate', 'footerTemplate', 'margin', 'header', 'footer', 'skipHeaderFooter', 'pageNumberStart', 'outline', 'metadata', 'watermark', 'accessibility', 'inlineAssets', 'javascript', 'conformance', 'security', 'signature'],
+      conformance_levels: Array.from(CONFORMANCE_LEVELS.values()),
+      allowed_formats: Array.from(ALLOWED_PDF_FORMATS),
+      max_template_length: MAX_TEMPLATE_LENGTH,
+    },
+    limits: { json: JSON_LIMIT, html: HTML_LIMIT },
+    safety: { render_timeout_ms: RENDER_TIMEOUT_MS, memory_limit_mb: PDF_MEMORY_LIMIT_MB },
+    always_pdf: ALWAYS_PDF,
+    host: os.hostname(),
+  });
+}
+
+function handleHealthHtml(req, res) {
+  updatePoolGauge(contexts, busy);
+  const html = `<!doctype html><meta charset="utf-8"><title>PDF Service /health</title>
+  <style>body{font:14px system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;max-width:880px;margin:2rem auto}
+  .card{border:1px solid #e5e7eb;border-radius:8px;padding:1rem;margin:.75rem 0;box-shadow:0 1px 2px rgba(0,0,0,.04)}</style>
+  <h1>PDF Service <small>v2.4.0</small></h1>
+  <div class="card"><b>Status:</b> OK<br>Time: ${new Date().toISOString()}<br>
+  Pool: ${contexts.length} contexts, busy: ${busy.size}, queue: ${waitQueue.length}<br>
+  Jobs: ${jobs.size} (max ${JOBS_MAX})<br>
+  Limits: JSON=${JSON_LIMIT} · HTML=${HTML_LIMIT} · PDF default=${PDF_MAX_DEFAULT} cap=${PDF_MAX_CAP}<br>
+  pdf_options: supported (format, width, height, preferCSSPageSize, landscape, printBackground, displayHeaderFooter, headerTemplate, footerTemplate, margin, header, footer, skipHeaderFooter, pageNumberStart, outline, metadata, watermark, accessibility, inlineAssets, javascript, conformance, security, signature)<br>
+  Always-PDF: ${ALWAYS_PDF}<br>
+  Host: ${os.hostname()}</div>
+  <p><a href="/metrics">/metrics</a></p>`;
+  res.set('Content-Type','text/html; charset=utf-8').send(html);
+}
+
+// Shared request preparation: validates html, applies the payload limit (and
+// slim-mode), sanitizes pdf_options and resolves the effective PDF size limit.
+// Returns null when the html field is missing so callers can answer 400.
+function prepareRender(body) {
+  const { html, filename, maxBytes, pdf_options } = body || {};
+  if (!html || typeof html !== 'string') return null;
+
+  // Check HTML payload size (and apply slim-mode if enabled)
+  const payloadCheck = checkAndSlimPayload(html);
+  const processedHtml = payloadCheck.html;
+
+  // Sanitize pdf_options (whitelist validation)
+  const sanitizedPdfOptions = sanitizePdfOptions(pdf_options);
+  const hasPdfOptions = Object.keys(sanitizedPdfOptions).length > 0;
+
+  logger.debug({
+    html_length_bytes: Buffer.byteLength(processedHtml, 'utf8'),
+    html_limit_bytes: HTML_MAX_BYTES,
+    was_slimmed: payloadCheck.wasSlimmed,
+    has_pdf_options: hasPdfOptions,
+  }, '[PDF] HTML payload validated');
+
+  // Request-basiertes Limit (auf Cap geclamped) oder Default
+  const reqMax = typeof maxBytes === 'number' ? maxBytes : PDF_MAX_DEFAULT;
+  const effectiveMaxBytes = clamp(reqMax, MIN_PDF_BYTES, PDF_MAX_CAP);
+
+  return {
+    html: processedHtml,
+    filename: filename || 'report.pdf',
+    effectiveMaxBytes,
+    pdfOptions: sanitizedPdfOptions,
+    hasPdfOptions,
+    payloadCheck,
+  };
+}
+
+// Maps a render error to { status, payload } and logs it. Shared by the
+// synchronous handler and the async job runner so both report the same reasons.
+function describeRenderError(e) {
+  const status = e.status || 500;
+  const payload = { ok: false, error: String(e.message || e) };
+
+  if (status === 413) {
+    // Distinguish between HTML payload too large vs PDF too large
+    if (e.reason === 'html_payload_too_large') {
+      payload.reason = 'html_payload_too_large';
+      if (typeof e.html_kb === 'number') payload.html_kb = e.html_kb;
+      if (typeof e.limit_kb === 'number') payload.limit_kb = e.limit_kb;
+      logger.warn({
+        status,
+        reason: 'html_payload_too_large',
+        html_kb: e.html_kb,
+        limit_kb: e.limit_kb,
+      }, '[PDF] Request rejected: HTML payload exceeds limit');
+    } else {
+      // pdf_too_large unless the thrower named a more specific reason
+      payload.reason = e.reason || 'pdf_too_large';
+      if (typeof e.html_bytes === 'number') payload.html_bytes = e.html_bytes;
+      if (typeof e.pdf_bytes === 'number')  payload.pdf_bytes  = e.pdf_bytes;
+      if (typeof e.limit_bytes === 'number') payload.limit_bytes = e.limit_bytes;
+      logger.warn({
+        status,
+        reason: payload.reason,
+        pdf_bytes: e.pdf_bytes,
+        limit_bytes: e.limit_bytes,
+      }, '[PDF] Render failed: PDF exceeds size limit');
+    }
+  } else {
+    if (e.reason) payload.reason = e.reason;
+    if (Array.isArray(e.issues)) payload.issues = e.issues;
+    logger.warn({ status, reason: e.reason, err: e.message }, '[PDF] Render failed');
+  }
+
+  return { status, payload };
+}
+
+function rejectUnauthorized(req, res, route) {
+  if (isAuthorized(req)) return false;
+  httpReqs.labels(route, '401').inc();
+  logger.warn({ route }, '[PDF] Request rejected: missing/invalid X-PDF-Secret');
+  res.status(401).json({ ok: false, error: 'unauthorized' });
+  return true;
+}
+
+// Opt-in HTML dump: header X-PDF-Debug-Dump must be exactly '1' AND the
+// operator must have enabled dumping server-side (PDF_DEBUG_DUMP).
+function dumperForRequest(req) {
+  const debugDumpHeader = req.headers['x-pdf-debug-dump'];
+  return makeDumper(DEBUG_DUMP_ALLOWED && (debugDumpHeader === '1' || debugDumpHeader === 1));
+}
+
+// Response headers for the per-request report filled by renderToBufferAdaptive().
+// The full report goes into JSON answers (job status, batch manifest, base64 mode).
+function reportHeaders(res, report) {
+  const audit = report && report.accessibility;
+  if (audit) {
+    const parts = [audit.tagged ? 'tagged' : 'untagged', `findings=${audit.findings.length}`];
+    for (const f of audit.findings) parts.push(`${f.rule}=${f.count}`);
+    res.setHeader('X-PDF-Accessibility', parts.join('; '));
+  }
+  const inlined = report && report.inline_assets;
+  if (inlined) {
+    res.setHeader('X-PDF-Inline-Assets', `inlined=${inlined.inlined}; failed=${inlined.failed}; skipped=${inlined.skipped}`);
+  }
+  const sanitized = report && report.sanitized;
+  if (sanitized && SANITIZE_HEADER) {
+    let value = `removed=${sanitized.removed}; ${sanitizeSummary(sanitized)}`;
+    // Whole entries only; the report in JSON answers and the log stays complete
+    if (value.length > SANITIZE_HEADER_MAX) value = `${value.slice(0, SANITIZE_HEADER_MAX - 4).replace(/,[^,]*$/, '')},...`;
+    res.setHeader('X-PDF-Sanitized', value);
+  }
+}
 
-    // Apply sanitized pdfOptions (whitelist-validated by sanitizePdfOptions)
-    if (pdfOptions.format) {
-      pdfConfig.format = pdfOptions.format;
+function safeFilename(filename) {
+  return (filename || 'report.pdf').replace(/[^a-zA-Z0-9_.-]+/g, '_');
+}
+
+// -------------------- Multipart uploads --------------------
+// /generate-pdf also takes multipart/form-data: an index.html file part plus
+// asset files (images, fonts, CSS), or a ZIP bundle holding index.html and its
+// assets. A file part's filename is its path relative to index.html (e.g.
+// img/logo.png); the text fields filename, maxBytes and pdf_options (JSON) mirror
+// the JSON body. The page is loaded as UPLOAD_ORIGIN/index.html and the request
+// handler answers that origin from the upload; every other request is aborted,
+// so an upload render never touches the network. HTML and assets (unpacked)
+// count against HTML_MAX_BYTES together; slim mode does not apply to uploads.
+const UPLOAD_ORIGIN = 'https://upload.invalid';
+const UPLOAD_FIELDS = ['html', 'filename', 'maxBytes', 'pdf_options'];
+const UPLOAD_MIME = {
+  '.html': 'text/html; charset=utf-8', '.htm': 'text/html; charset=utf-8', '.css': 'text/css; charset=utf-8',
+  '.svg': 'image/svg+xml', '.png': 'image/png', '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.gif': 'image/gif',
+  '.webp': 'image/webp', '.avif': 'image/avif', '.ico': 'image/x-icon', '.bmp': 'image/bmp',
+  '.woff': 'font/woff', '.woff2': 'font/woff2', '.ttf': 'font/ttf', '.otf': 'font/otf',
+  '.json': 'application/json', '.txt': 'text/plain; charset=utf-8',
+};
+
+// Normalized relative path, or null for empty/absolute-escaping names
+function uploadPath(name) {
+  if (typeof name !== 'string') return null;
+  const rel = path.posix.normalize(name.replace(/\\/g, '/')).replace(/^\/+/, '');
+  if (!rel || rel === '.' || rel === '..' || rel.startsWith('../') || rel.endsWith('/')) return null;
+  return rel;
+}
+
+function uploadMime(rel) {
+  return UPLOAD_MIME[path.posix.extname(rel).toLowerCase()] || 'application/octet-stream';
+}
+
+// Running total of HTML + asset bytes against HTML_MAX_BYTES
+function uploadBudget() {
+  let used = 0;
+  return (bytes) => {
+    used += bytes;
+    if (used > HTML_MAX_BYTES) {
+      const err = pdfError(`Upload exceeds allowed limit ${HTML_MAX_KB}KB (HTML plus assets)`, 413, 'html_payload_too_large');
+      err.html_kb = used / 1024;
+      err.limit_kb = HTML_MAX_KB;
+      throw err;
     }
-    if (pdfOptions.printBackground !== undefined) {
-      // pdfOptions.printBackground overrides adaptive opts only if explicitly set
-      pdfConfig.printBackground = pdfOptions.printBackground;
+  };
+}
+
+// Stable digest of the asset map (idempotency fingerprint, cache key)
+function assetsDigest(assets) {
+  const h = crypto.createHash('sha256');
+  for (const rel of [...assets.keys()].sort()) {
+    h.update(`${rel}\0${crypto.createHash('sha256').update(assets.get(rel)).digest('hex')}\n`);
+  }
+  return h.digest('hex');
+}
+
+// Stream the multipart body; file bytes are charged while they arrive. ZIP
+// content is charged when unpacked, the raw ZIP bytes against a budget of their own.
+function readUpload(req) {
+  return new Promise((resolve, reject) => {
+    let bb;
+    try {
+      bb = busboy({
+        headers: req.headers,
+        preservePath: true, // filenames carry the relative path
+        limits: { files: UPLOAD_MAX_FILES, fields: UPLOAD_FIELDS.length, fieldSize: HTML_MAX_BYTES, fileSize: HTML_MAX_BYTES },
+      });
+    } catch (e) {
+      return reject(pdfError('Malformed multipart request', 400, 'invalid_upload'));
     }
-    if (pdfOptions.displayHeaderFooter !== undefined) {
-      pdfConfig.displayHeaderFooter = pdfOptions.displayHeaderFooter;
+    const charge = uploadBudget();
+    const chargeZip = uploadBudget(); // raw ZIP bytes; their content goes to charge
+    const fields = {};
+    const parts = [];
+    let failed = false;
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      req.unpipe(bb);
+      req.resume();
+      reject(err);
+    };
+
+    bb.on('field', (name, value, info) => {
+      if (!UPLOAD_FIELDS.includes(name)) return;
+      // busboy cuts a field at fieldSize; rendering the rest would be silent data loss
+      if (info.valueTruncated) {
+        const err = pdfError(`Upload field ${name} exceeds allowed limit ${HTML_MAX_KB}KB`, 413, 'html_payload_too_large');
+        err.limit_kb = HTML_MAX_KB;
+        fail(err);
+        return;
+      }
+      try {
+        if (name === 'html') charge(Buffer.byteLength(value, 'utf8'));
+        fields[name] = value;
+      } catch (e) {
+        fail(e);
+      }
+    });
+    bb.on('file', (name, stream, info) => {
+      const zip = isZipPart(info);
+      const chunks = [];
+      stream.on('data', (chunk) => {
+        if (failed) return;
+        try {
+          (zip ? chargeZip : charge)(chunk.length);
+          chunks.push(chunk);
+        } catch (e) {
+          fail(e);
+        }
+      });
+      stream.on('limit', () => fail(pdfError(`Upload file ${info.filename} exceeds allowed limit ${HTML_MAX_KB}KB`, 413, 'html_payload_too_large')));
+      stream.on('end', () => parts.push({ name, filename: info.filename, zip, data: Buffer.concat(chunks) }));
+    });
+    bb.on('filesLimit', () => fail(pdfError(`Upload has more than ${UPLOAD_MAX_FILES} files`, 413, 'too_many_files')));
+    bb.on('error', () => fail(pdfError('Malformed multipart request', 400, 'invalid_upload')));
+    bb.on('close', () => { if (!failed) resolve({ fields, parts, charge }); });
+    req.pipe(bb);
+  });
+}
+
+function isZipPart(info) {
+  return /\.zip$/i.test(info.filename || '') || /^application\/(x-)?zip(-compressed)?$/i.test(info.mimeType || '');
+}
+
+// Inflate one ZIP entry, charging bytes as they come out (zip bombs stop early)
+function inflateEntry(entry, charge) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    const stream = entry.internalStream('nodebuffer');
+    stream
+      .on('data', (chunk) => {
+        try {
+          charge(chunk.length);
+          chunks.push(chunk);
+        } catch (e) {
+          stream.pause();
+          reject(e);
+        }
+      })
+      .on('error', () => reject(pdfError(`ZIP entry ${entry.name} could not be read`, 400, 'invalid_upload')))
+      .on('end', () => resolve(Buffer.concat(chunks)))
+      .resume();
+  });
+}
+
+// A zipped folder (every entry below one top-level directory) is unpacked as
+// if that directory were the root.
+async function unpackBundle(buf, files, charge) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buf);
+  } catch (e) {
+    throw pdfError('ZIP bundle could not be read', 400, 'invalid_upload');
+  }
+  const entries = Object.values(zip.files).filter((entry) => !entry.dir);
+  const tops = new Set(entries.map((entry) => entry.name.split('/')[0]));
+  const prefix = tops.size === 1 && entries.every((entry) => entry.name.includes('/')) ? `${[...tops][0]}/` : '';
+  for (const entry of entries) {
+    const rel = uploadPath(entry.name.slice(prefix.length));
+    if (!rel) throw pdfError(`Invalid path in ZIP bundle: ${entry.name}`, 400, 'invalid_upload');
+    if (files.size >= UPLOAD_MAX_FILES) throw pdfError(`Upload has more than ${UPLOAD_MAX_FILES} files`, 413, 'too_many_files');
+    files.set(rel, await inflateEntry(entry, charge));
+  }
+}
+
+/**
+ * Parse a multipart render request into the JSON body shape plus an asset map.
+ * @returns {Promise<{ body: object, assets: Map<string, Buffer> }>}
+ */
+async function parseUpload(req) {
+  const { fields, parts, charge } = await readUpload(req);
+  const files = new Map();
+  for (const part of parts) {
+    if (part.zip) {
+      await unpackBundle(part.data, files, charge);
+      continue;
     }
-    if (pdfOptions.displayHeaderFooter) {
-      // When header/footer is enabled, apply templates (with sensible defaults)
-      pdfConfig.headerTemplate = pdfOptions.headerTemplate || '<div></div>';
-      pdfConfig.footerTemplate = pdfOptions.footerTemplate || '<div></div>';
+    const rel = uploadPath(part.filename);
+    if (!rel) throw pdfError(`Invalid upload path: ${part.filename}`, 400, 'invalid_upload');
+    files.set(rel, part.data);
+  }
+
+  let html = fields.html;
+  if (files.has('index.html')) {
+    html = files.get('index.html').toString('utf8');
+    files.delete('index.html');
+  }
+  if (typeof html !== 'string' || !html) {
+    throw pdfError('Upload needs an index.html file (or a ZIP bundle containing one)', 400, 'invalid_upload');
+  }
+
+  const body = { html };
+  if (fields.filename) body.filename = fields.filename;
+  const maxBytes = Number(fields.maxBytes);
+  if (fields.maxBytes !== undefined && Number.isFinite(maxBytes)) body.maxBytes = maxBytes;
+  if (fields.pdf_options !== undefined) {
+    try {
+      body.pdf_options = JSON.parse(fields.pdf_options);
+    } catch (e) {
+      throw pdfError('pdf_options must be a JSON object', 400, 'invalid_upload');
     }
-    if (pdfOptions.margin) {
-      // Merge margin (partial overrides allowed)
-      pdfConfig.margin = { ...defaultMargins, ...pdfOptions.margin };
+  }
+  return { body, assets: files };
+}
+
+// Route middleware: turns a multipart request into req.body / req.assets before
+// idempotency and the handler see it. Unauthorized uploads are not parsed.
+async function acceptUpload(req, res, next) {
+  if (!req.is('multipart/form-data') || !isAuthorized(req)) return next();
+  try {
+    const { body, assets } = await parseUpload(req);
+    req.body = body;
+    req.assets = assets;
+    logger.info({
+      route: req.path,
+      assets: assets.size,
+      asset_bytes: [...assets.values()].reduce((sum, buf) => sum + buf.length, 0),
+    }, '[PDF-UPLOAD] multipart upload accepted');
+  } catch (e) {
+    const { status, payload } = describeRenderError(e);
+    httpReqs.labels(req.path, String(status)).inc();
+    return res.status(status).json(payload);
+  }
+  return next();
+}
+
+// Request handler for upload renders: UPLOAD_ORIGIN is served from the upload,
+// everything else (except data: URLs) is aborted.
+function respondFromUpload(request, assets, html, blockAssets) {
+  const url = request.url();
+  if (url.startsWith('data:')) return request.continue();
+  let rel = null;
+  if (url.startsWith(`${UPLOAD_ORIGIN}/`)) {
+    try {
+      rel = uploadPath(decodeURIComponent(new URL(url).pathname));
+    } catch (e) {
+      rel = null;
     }
+  }
+  if (rel === 'index.html' && request.isNavigationRequest()) {
+    return request.respond({ status: 200, contentType: UPLOAD_MIME['.html'], body: html });
+  }
+  const resourceType = request.resourceType();
+  if (blockAssets && (resourceType === 'image' || resourceType === 'font')) return request.abort();
+  const body = rel ? assets.get(rel) : undefined;
+  if (!body) {
+    logger.warn({ url, resourceType }, rel ? '[PDF-UPLOAD] asset missing from upload' : '[PDF-UPLOAD] blocked network request');
+    return request.abort();
+  }
+  return request.respond({ status: 200, contentType: uploadMime(rel), body });
+}
 
-    const pdf = await page.pdf(pdfConfig);
+// -------------------- Asset inlining --------------------
+// pdf_options.inlineAssets (default PDF_INLINE_ASSETS) fetches the remote
+// images, fonts and stylesheets of a document once per request, after sanitize
+// and before a browser context is taken, and inlines them: images/fonts as data:
+// URIs, stylesheets as <style> (their url() and @import targets inlined too).
+// Every fetch and redirect hop goes through the SSRF guard, with per-asset size
+// and time caps plus a total budget. An asset that fails or is skipped keeps its
+// URL and loads as before. Outcomes land in report.inline_assets; the debug dump
+// gets the inlined HTML as stage 3-inlined. Uploads are never inlined (offline).
+const INLINE_MAX_REDIRECTS = 3;
+const INLINE_MAX_IMPORT_DEPTH = 3;
+const INLINE_TAG_REGEX = /<(img|source|image|link)\b[^>]*>/gi;
+const INLINE_STYLE_BLOCK_REGEX = /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi;
+const INLINE_STYLE_ATTR_TAG_REGEX = /<[a-zA-Z][\w:-]*\s[^>]*\bstyle\s*=[^>]*>/g;
+const CSS_IMPORT_REGEX = /@import\s+(?:url\(\s*(["']?)([^"')]+)\1\s*\)|(["'])([^"']+)\3)\s*([^;]*);/gi;
+const CSS_URL_REGEX = /url\(\s*(["']?)([^"')]+)\1\s*\)/gi;
 
-    const durationMs = Date.now() - start;
-    renderDur.observe(durationMs / 1000);
+// The caller's sub-resource policy applies: allowlist, and its request/byte
+// limits where they are lower than the inlining caps.
+function makeInliner(policy = DEFAULT_ASSET_POLICY) {
+  return {
+    policy,
+    maxAssets: Math.min(INLINE_MAX_ASSETS, policy.maxRequests),
+    maxBytes: Math.min(INLINE_MAX_TOTAL_BYTES, policy.maxBytes),
+    fetches: new Map(),
+    entries: [],
+    bytes: 0,
+  };
+}
 
-    // Size monitoring
-    const compressionRatio = safeHtmlBytes > 0 ? (pdf.length / safeHtmlBytes).toFixed(2) : 'N/A';
-    const logPayload = {
-      html_bytes: htmlBytes,
-      html_minified_bytes: safeHtmlBytes,
-      pdf_bytes: pdf.length,
-      compression_ratio: compressionRatio,
-      scale: pdfConfig.scale,
-      print_bg: pdfConfig.printBackground,
-      format: pdfConfig.format,
-      duration_ms: durationMs,
-    };
-    // Add pdf_options info (debug-safe: no template content)
-    if (pdfConfig.displayHeaderFooter) {
-      logPayload.header_footer = true;
-      if (pdfConfig.footerTemplate) logPayload.footer_template_length = pdfConfig.footerTemplate.length;
-      if (pdfConfig.headerTemplate) logPayload.header_template_length = pdfConfig.headerTemplate.length;
+function attrRegex(name) {
+  return new RegExp(`(\\s${name}\\s*=\\s*)(?:"([^"]*)"|'([^']*)'|([^\\s"'>]+))`, 'i');
+}
+
+function readAttr(tag, name) {
+  const m = attrRegex(name).exec(tag);
+  if (!m) return null;
+  const value = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4];
+  return value.replace(/&quot;/g, '"').replace(/&#0*39;|&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function escapeAttr(value) {
+  return value.replace(/&/g, '&amp;').replace(/"/g, '&quot;');
+}
+
+function writeAttr(tag, name, value) {
+  return tag.replace(attrRegex(name), (match, lead) => `${lead}"${escapeAttr(value)}"`);
+}
+
+// Absolute http(s) URL for a reference, or null (data:, fragments, unresolvable)
+function resolveInlineUrl(raw, base) {
+  const ref = String(raw || '').trim();
+  if (!ref || /^(data|blob|about|javascript):/i.test(ref) || ref.startsWith('#')) return null;
+  try {
+    const u = new URL(ref, base || undefined);
+    return u.protocol === 'http:' || u.protocol === 'https:' ? u.href : null;
+  } catch {
+    return null;
+  }
+}
+
+// Accepted response types per kind; octet-stream falls back to the extension
+function inlineMime(kind, header, url) {
+  const type = String(header || '').split(';')[0].trim().toLowerCase();
+  const byExt = uploadMime(new URL(url).pathname).split(';')[0];
+  if (kind === 'stylesheet') return type === 'text/css' || (!type && byExt === 'text/css') ? 'text/css' : null;
+  if (/^(image|font)\//.test(type) || /^application\/((x-)?font-[\w.+-]+|vnd\.ms-fontobject)$/.test(type)) return type;
+  if ((!type || type === 'application/octet-stream') && /^(image|font)\//.test(byExt)) return byExt;
+  return null;
+}
+
+// GET with manual redirects (each hop re-checked against the policy), a timeout
+// for the whole chain and a size cap. Pinned connections, see guardedFetch.
+async function fetchAsset(url, kind, policy = DEFAULT_ASSET_POLICY) {
+  const deadline = Date.now() + INLINE_TIMEOUT_MS;
+  let current = url;
+  for (let hop = 0; hop <= INLINE_MAX_REDIRECTS; hop += 1) {
+    const blocked = /^https?:/i.test(current) ? await checkSubresource(current, policy) : 'scheme';
+    if (blocked) {
+      subresourcesBlocked.labels(blocked).inc();
+      throw new Error(`blocked (${blocked})`);
     }
-    logger.info(logPayload, 'pdf rendered');
+    let resp;
+    try {
+      resp = await guardedFetch(current, {
+        headers: { 'User-Agent': 'make-ki-pdfservice', Accept: kind === 'stylesheet' ? 'text/css,*/*;q=0.1' : '*/*' },
+        timeoutMs: Math.max(1, deadline - Date.now()),
+        maxBytes: INLINE_MAX_ASSET_BYTES,
+      });
+    } catch (e) {
+      if (e.code !== 'ESSRF') throw e;
+      subresourcesBlocked.labels('ssrf').inc();
+      throw new Error('blocked (ssrf)');
+    }
+    const location = resp.headers.location;
+    if (resp.status >= 300 && resp.status < 400 && location) {
+      current = new URL(location, current).href;
+      continue;
+    }
+    if (resp.status < 200 || resp.status >= 300) throw new Error(`HTTP ${resp.status}`);
+    const mime = inlineMime(kind, resp.headers['content-type'], current);
+    if (!mime) throw new Error(`unexpected content-type ${resp.headers['content-type'] || '(none)'}`);
+    return { mime, data: resp.body };
+  }
+  throw new Error('too many redirects');
+}
 
-    // Soft warnings
-    if (pdf.length > 15 * 1024 * 1024) {
-      logger.warn({ pdf_bytes: pdf.length, limit_bytes: effectiveMaxBytes }, 'pdf exceeds 15 MB soft limit');
+// One fetch per (kind, URL) and request; `used` collects what this pass touched.
+function inlineFetch(inliner, used, url, kind) {
+  const id = `${kind} ${url}`;
+  if (!inliner.fetches.has(id)) inliner.fetches.set(id, fetchForInline(inliner, url, kind));
+  const entry = inliner.fetches.get(id).entry;
+  used.add(entry);
+  return inliner.fetches.get(id);
+}
+
+function fetchForInline(inliner, url, kind) {
+  const entry = { url, kind, status: 'skipped' };
+  inliner.entries.push(entry);
+  const run = (async () => {
+    if (inliner.entries.length > inliner.maxAssets) {
+      entry.error = `more than ${inliner.maxAssets} assets`;
+      inlineAssetsTotal.labels('skipped').inc();
+      return null;
+    }
+    try {
+      const asset = await fetchAsset(url, kind, inliner.policy);
+      if (kind === 'media') entry.kind = asset.mime.startsWith('image/') ? 'image' : 'font';
+      if (inliner.bytes + asset.data.length > inliner.maxBytes) {
+        entry.error = `total exceeds ${inliner.maxBytes} bytes`;
+        inlineAssetsTotal.labels('skipped').inc();
+        return null;
+      }
+      inliner.bytes += asset.data.length;
+      entry.status = 'inlined';
+      entry.bytes = asset.data.length;
+      inlineAssetsTotal.labels('inlined').inc();
+      return asset;
+    } catch (e) {
+      entry.status = 'failed';
+      entry.error = e.name === 'TimeoutError' || e.name === 'AbortError' ? 'timeout' : String(e.message || e);
+      inlineAssetsTotal.labels('failed').inc();
+      logger.warn({ url, kind, err: entry.error, tenant: inliner.policy.tenant }, '[PDF-INLINE] asset not inlined');
+      return null;
     }
+  })();
+  run.entry = entry;
+  return run;
+}
 
-    // Größenprüfung
-    if (pdf.length > effectiveMaxBytes) {
-      const err = new Error(`PDF larger than limit (${pdf.length} > ${effectiveMaxBytes})`);
-      err.status = 413;
-      err.html_bytes = htmlBytes;
-      err.html_minified_bytes = safeHtmlBytes;
-      err.pdf_bytes = pdf.length;
-      err.limit_bytes = effectiveMaxBytes;
-      throw err;
+const dataUri = (asset) => `data:${asset.mime};base64,${asset.data.toString('base64')}`;
+
+async function replaceAsync(str, regex, fn) {
+  const pending = [];
+  str.replace(regex, (...args) => {
+    pending.push(fn(...args));
+    return args[0];
+  });
+  if (!pending.length) return str;
+  const results = await Promise.all(pending);
+  let i = 0;
+  return str.replace(regex, () => results[i++]);
+}
+
+// Inline @import (up to INLINE_MAX_IMPORT_DEPTH) and, with media, url() targets.
+// References that stay remote are made absolute: the CSS no longer lives at `base`.
+async function inlineCss(css, base, ctx, depth = 0) {
+  const imported = await replaceAsync(css, CSS_IMPORT_REGEX, async (match, q1, url1, q2, url2, media) => {
+    const url = resolveInlineUrl(url1 || url2, base);
+    if (!url) return match;
+    const asset = depth < INLINE_MAX_IMPORT_DEPTH && !/\b(layer|supports)\b/i.test(media)
+      ? await inlineFetch(ctx.inliner, ctx.used, url, 'stylesheet')
+      : null;
+    if (!asset) return `@import url("${url}")${media.trim() ? ` ${media.trim()}` : ''};`;
+    const inner = await inlineCss(asset.data.toString('utf8'), url, ctx, depth + 1);
+    return media.trim() ? `@media ${media.trim()}{${inner}}` : inner;
+  });
+  return replaceAsync(imported, CSS_URL_REGEX, async (match, quote, raw, offset, whole) => {
+    if (/@import\s*$/i.test(whole.slice(Math.max(0, offset - 16), offset))) return match;
+    const url = resolveInlineUrl(raw, base);
+    if (!url) return match;
+    const asset = ctx.media ? await inlineFetch(ctx.inliner, ctx.used, url, 'media') : null;
+    return asset ? `url(${dataUri(asset)})` : `url("${url}")`;
+  });
+}
+
+// srcset candidates: URL [descriptor], comma-separated (URLs may contain commas)
+function splitSrcset(value) {
+  const candidates = [];
+  let rest = value.trim();
+  while (rest) {
+    let url = /^\S+/.exec(rest)[0];
+    rest = rest.slice(url.length);
+    let descriptor = '';
+    if (url.endsWith(',')) {
+      url = url.replace(/,+$/, '');
+    } else {
+      const d = /^([^,]*)(,|$)/.exec(rest);
+      descriptor = d[1].trim();
+      rest = rest.slice(d[0].length);
     }
-    return pdf;
-  } finally {
-    if (page) { try { await page.close(); } catch { /* ignore */ } }
-    _release(ctx);
+    if (url) candidates.push({ url, descriptor });
+    rest = rest.trim();
   }
+  return candidates;
 }
 
-async function renderToBufferAdaptive(html, filename, effectiveMaxBytes, pdfOptions = {}, dumper = null) {
-  // 4 Degradierungsstufen, um 413 zu vermeiden (optimierte Skalierung)
-  const passes = [
-    { printBackground: PDF_PRINT_BG, blockAssets: false, scale: PDF_SCALE },      // Default optimized
-    { printBackground: false,        blockAssets: false, scale: PDF_SCALE },      // No background
-    { printBackground: false,        blockAssets: false, scale: 0.90 },           // Reduced scale
-    { printBackground: false,        blockAssets: true,  scale: 0.85 },           // Low-fi mode
-  ];
-  let last;
-  let passIndex = 0;
-  for (const p of passes) {
-    // Only dump on the first pass — later passes are 413-driven retries
-    const passDumper = passIndex === 0 ? dumper : null;
-    passIndex += 1;
+/**
+ * Inline remote assets of already sanitized HTML (see section comment).
+ * `media: false` (low-fi pass) inlines stylesheets only, so the request
+ * handler can still block images and fonts.
+ * @returns {Promise<{ html: string, report: object }>}
+ */
+async function inlineRemoteAssets(html, inliner, { media = true } = {}) {
+  const ctx = { inliner, used: new Set(), media };
+  const baseHref = readAttr((/<base\b[^>]*>/i.exec(html) || [''])[0], 'href');
+  const base = resolveInlineUrl(baseHref, undefined);
+
+  let out = await replaceAsync(html, INLINE_STYLE_BLOCK_REGEX, async (match, open, css, close) =>
+    `${open}${(await inlineCss(css, base, ctx)).replace(/<\/style/gi, '<\\/style')}${close}`);
+
+  out = await replaceAsync(out, INLINE_STYLE_ATTR_TAG_REGEX, async (tag) => {
+    const style = readAttr(tag, 'style');
+    if (!style || !/url\(|@import/i.test(style)) return tag;
+    const css = await inlineCss(style, base, ctx);
+    return css === style ? tag : writeAttr(tag, 'style', css);
+  });
+
+  out = await replaceAsync(out, INLINE_TAG_REGEX, async (tag, name) => {
+    const tagName = name.toLowerCase();
+    if (tagName === 'link') {
+      const rel = readAttr(tag, 'rel') || '';
+      const url = /\bstylesheet\b/i.test(rel) && !/\balternate\b/i.test(rel) ? resolveInlineUrl(readAttr(tag, 'href'), base) : null;
+      const asset = url && (await inlineFetch(inliner, ctx.used, url, 'stylesheet'));
+      if (!asset) return tag;
+      const css = await inlineCss(asset.data.toString('utf8'), url, ctx);
+      const mediaAttr = readAttr(tag, 'media');
+      return `<style${mediaAttr ? ` media="${escapeAttr(mediaAttr)}"` : ''}>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+    }
+    if (!media) return tag;
+    let result = tag;
+    const attrs = { img: ['src'], image: ['href', 'xlink:href'], source: [] }[tagName]; // <source src> is audio/video
+    for (const attr of attrs) {
+      const url = resolveInlineUrl(readAttr(result, attr), base);
+      const asset = url && (await inlineFetch(inliner, ctx.used, url, 'media'));
+      if (asset) result = writeAttr(result, attr, dataUri(asset));
+    }
+    const srcset = readAttr(result, 'srcset');
+    if (srcset) {
+      const candidates = await Promise.all(splitSrcset(srcset).map(async (c) => {
+        const url = resolveInlineUrl(c.url, base);
+        const asset = url && (await inlineFetch(inliner, ctx.used, url, 'media'));
+        const ref = asset ? dataUri(asset) : c.url;
+        return c.descriptor ? `${ref} ${c.descriptor}` : ref;
+      }));
+      result = writeAttr(result, 'srcset', candidates.join(', '));
+    }
+    return result;
+  });
+
+  const assets = inliner.entries.filter((entry) => ctx.used.has(entry)).map((entry) => ({ ...entry }));
+  const count = (status) => assets.filter((a) => a.status === status).length;
+  return {
+    html: out,
+    report: {
+      inlined: count('inlined'),
+      failed: count('failed'),
+      skipped: count('skipped'),
+      bytes: assets.reduce((sum, a) => sum + (a.bytes || 0), 0),
+      assets,
+    },
+  };
+}
+
+// -------------------- Render cache --------------------
+// Content-addressed: the key is a hash of the sanitized HTML plus everything
+// that shapes the PDF (sanitized pdf_options, size limit, scale/background
+// defaults). Entries live in memory (LRU by bytes, CACHE_TTL_MS) and, with
+// PDF_CACHE_DIR, as <key>.pdf/<key>.json on local disk. The ETag is derived
+// from the key, so If-None-Match is answered with 304 without rendering.
+// Encrypted output is never cached (passwords are not part of the key and the
+// file must not sit on disk), nor is signed output (each download gets its own
+// signing time); neither are debug-dump requests. A {date} in the header/footer
+// presets puts the current day into the key.
+const CACHE_KEY_VERSION = 1;
+const renderCache = new Map(); // key → { pdf, report, expires }
+let renderCacheBytes = 0;
+
+// `safeHtml` is the sanitizeForRender() output the render prints. The
+// sub-resource policy is part of the key: tenants with different allowlists
+// must not share renders. So is the effective JavaScript policy, which depends
+// on the operator default as well as on pdf_options.
+function renderCacheKey(safeHtml, pdfOptions, effectiveMaxBytes, { assets = null, policy = DEFAULT_ASSET_POLICY } = {}) {
+  if (!CACHE_ENABLED || pdfOptions.security || pdfOptions.signature) return null;
+  const js = javascriptPolicy(pdfOptions);
+  const { allow, maxRequests, maxBytes } = policy;
+  const dated = [pdfOptions.header, pdfOptions.footer].some((spec) => spec && Object.values(spec.slots).some((t) => t.includes('{date}')));
+  const hash = crypto.createHash('sha256')
+    .update(JSON.stringify({
+      v: CACHE_KEY_VERSION, pdfOptions, maxBytes: effectiveMaxBytes, scale: PDF_SCALE, printBackground: PDF_PRINT_BG,
+      policy: { allow, maxRequests, maxBytes }, javascript: { enabled: js.enabled, budgetMs: js.budgetMs },
+      date: dated ? new Date().toDateString() : undefined,
+    }))
+    .update('\0')
+    .update(safeHtml);
+  if (assets) hash.update('\0').update(assetsDigest(assets));
+  return hash.digest('hex');
+}
+
+const cacheEtag = (key) => `W/"pdf-${key.slice(0, 40)}"`;
+
+// Weak comparison (RFC 9110 13.1.2): ignore W/ prefixes. "*" matches only when
+// a representation exists (`exists`): an empty 304 gives the client nothing to reuse.
+function etagMatches(header, etag, exists = false) {
+  if (typeof header !== 'string' || !header) return false;
+  const bare = etag.replace(/^W\//, '');
+  return header.split(',').some((tag) => {
+    const t = tag.trim();
+    return t === '*' ? exists : t.replace(/^W\//, '') === bare;
+  });
+}
+
+function cacheDelete(key) {
+  const entry = renderCache.get(key);
+  if (!entry) return;
+  renderCache.delete(key);
+  renderCacheBytes -= entry.pdf.length;
+}
+
+function cacheRemember(key, pdf, report, expires) {
+  cacheDelete(key);
+  renderCache.set(key, { pdf, report, expires });
+  renderCacheBytes += pdf.length;
+  // Map order is insertion order: the oldest / least recently used go first
+  for (const oldest of renderCache.keys()) {
+    if (renderCacheBytes <= CACHE_MAX_BYTES) break;
+    cacheDelete(oldest);
+  }
+}
+
+async function cacheGet(key) {
+  const entry = renderCache.get(key);
+  if (entry && entry.expires > Date.now()) {
+    cacheRemember(key, entry.pdf, entry.report, entry.expires); // refresh LRU position
+    cacheLookups.labels('hit').inc();
+    return entry;
+  }
+  if (entry) cacheDelete(key);
+  if (CACHE_DIR) {
     try {
-      return await renderWithOptions(html, filename, effectiveMaxBytes, p, pdfOptions, passDumper);
+      const file = path.join(CACHE_DIR, `${key}.pdf`);
+      const { mtimeMs } = await fs.promises.stat(file);
+      if (mtimeMs + CACHE_TTL_MS > Date.now()) {
+        const [pdf, report] = await Promise.all([
+          fs.promises.readFile(file),
+          fs.promises.readFile(path.join(CACHE_DIR, `${key}.json`), 'utf8').then(JSON.parse),
+        ]);
+        cacheRemember(key, pdf, report, mtimeMs + CACHE_TTL_MS);
+        cacheLookups.labels('disk_hit').inc();
+        return { pdf, report };
+      }
     } catch (e) {
-      last = e;
-      if (e && e.status === 413) {
-        // nächste Stufe probieren
-        continue;
+      if (e.code !== 'ENOENT') logger.warn({ err: e.message }, '[PDF-CACHE] disk read failed');
+    }
+  }
+  cacheLookups.labels('miss').inc();
+  return null;
+}
+
+// A fresh entry exists (memory or disk); not counted as a lookup
+async function cacheHas(key) {
+  const entry = renderCache.get(key);
+  if (entry && entry.expires > Date.now()) return true;
+  if (!CACHE_DIR) return false;
+  try {
+    const { mtimeMs } = await fs.promises.stat(path.join(CACHE_DIR, `${key}.pdf`));
+    return mtimeMs + CACHE_TTL_MS > Date.now();
+  } catch {
+    return false;
+  }
+}
+
+async function cachePut(key, pdf, report) {
+  if (pdf.length > CACHE_MAX_BYTES / 4) return; // one entry must not flush the cache
+  cacheRemember(key, pdf, report, Date.now() + CACHE_TTL_MS);
+  if (!CACHE_DIR) return;
+  try {
+    await fs.promises.mkdir(CACHE_DIR, { recursive: true });
+    // Report first: a .pdf without its .json is never served
+    await fs.promises.writeFile(path.join(CACHE_DIR, `${key}.json`), JSON.stringify(report));
+    await fs.promises.writeFile(path.join(CACHE_DIR, `${key}.pdf`), pdf);
+    await pruneCacheDir();
+  } catch (e) {
+    logger.warn({ err: e.message }, '[PDF-CACHE] disk write failed');
+  }
+}
+
+// Drop expired entries, then the oldest until the directory fits CACHE_DISK_MAX_BYTES.
+async function pruneCacheDir() {
+  const names = (await fs.promises.readdir(CACHE_DIR)).filter((n) => /^[0-9a-f]{64}\.(pdf|json)$/.test(n));
+  const files = await Promise.all(names.map(async (name) => {
+    const { size, mtimeMs } = await fs.promises.stat(path.join(CACHE_DIR, name)).catch(() => ({ size: 0, mtimeMs: 0 }));
+    return { name, size, mtimeMs };
+  }));
+  files.sort((a, b) => a.mtimeMs - b.mtimeMs);
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  for (const f of files) {
+    if (total <= CACHE_DISK_MAX_BYTES && f.mtimeMs + CACHE_TTL_MS > Date.now()) break;
+    await fs.promises.rm(path.join(CACHE_DIR, f.name), { force: true });
+    total -= f.size;
+  }
+}
+
+/**
+ * Render through the cache: sets ETag/X-PDF-Cache, answers a matching
+ * If-None-Match with 304 (returns null), serves hits and stores misses.
+ * `report` is filled like renderToBufferAdaptive() does.
+ */
+async function renderThroughCache(req, res, route, { html, filename, effectiveMaxBytes, pdfOptions, dumper, report, assets = null }) {
+  const { render } = req.app.locals;
+  const sources = { assets, policy: assetPolicyFor(req) };
+  // Debug dumps record the sanitizer's steps, so those requests sanitize in the renderer
+  if (!dumper) sources.safe = sanitizeForRender(html, pdfOptions);
+  const key = dumper ? null : renderCacheKey(sources.safe.html, pdfOptions, effectiveMaxBytes, sources);
+  if (!key) return render(html, filename, effectiveMaxBytes, pdfOptions, dumper, null, report, sources);
+
+  const etag = cacheEtag(key);
+  res.setHeader('ETag', etag);
+  const ifNoneMatch = req.headers['if-none-match'];
+  const exists = typeof ifNoneMatch === 'string' && ifNoneMatch.includes('*') ? await cacheHas(key) : false;
+  if (etagMatches(ifNoneMatch, etag, exists)) {
+    cacheLookups.labels('not_modified').inc();
+    httpReqs.labels(route, '304').inc();
+    res.status(304).end();
+    return null;
+  }
+  const cached = await cacheGet(key);
+  if (cached) {
+    res.setHeader('X-PDF-Cache', 'hit');
+    Object.assign(report, cached.report);
+    return cached.pdf;
+  }
+  res.setHeader('X-PDF-Cache', 'miss');
+  const pdf = await render(html, filename, effectiveMaxBytes, pdfOptions, dumper, null, report, sources);
+  await cachePut(key, pdf, report);
+  return pdf;
+}
+
+// -------------------- Idempotency keys --------------------
+// A POST with an Idempotency-Key header runs once per (route, key). Requests
+// arriving while it runs wait for it; later ones get the stored response
+// (status, headers, body) for IDEMPOTENCY_TTL_MS, marked Idempotent-Replayed.
+// The same key with a different body is a client bug → 409. 5xx answers (busy,
+// timeout) and 304s are not stored, so a retry renders again; neither are bodies
+// over IDEMPOTENCY_MAX_BYTES/4, and stored bodies are capped at
+// IDEMPOTENCY_MAX_BYTES in total (oldest dropped first). Unauthorized
+// requests never see stored responses: they go straight to the handler. Keys
+// are scoped per tenant (PDF_TENANTS): a tenant neither gets another tenant's
+// PDF, rendered under that tenant's policy, nor learns that a key is in use.
+const IDEMPOTENCY_KEY_REGEX = /^[\x21-\x7e]{1,255}$/;
+const idempotency = new Map(); // `${tenant}\0${route}\0${key}` → { fingerprint, done: Promise<snapshot|null>, expires, bytes }
+let idempotencyBytes = 0;
+
+function idempotencyDelete(id) {
+  const entry = idempotency.get(id);
+  if (!entry) return;
+  idempotency.delete(id);
+  idempotencyBytes -= entry.bytes;
+}
+
+function pruneIdempotency() {
+  const now = Date.now();
+  for (const [id, entry] of idempotency) {
+    if (entry.expires <= now) idempotencyDelete(id);
+  }
+  // Oldest finished entries go first; running ones are never dropped
+  for (const [id, entry] of idempotency) {
+    if (idempotency.size <= IDEMPOTENCY_MAX && idempotencyBytes <= IDEMPOTENCY_MAX_BYTES) break;
+    if (entry.expires !== Infinity) idempotencyDelete(id);
+  }
+}
+
+// Per-response headers that must not be replayed
+const IDEMPOTENCY_SKIP_HEADERS = /^(date|connection|keep-alive|transfer-encoding|(x-)?ratelimit(-.*)?|retry-after)$/i;
+
+function replayResponse(res, snapshot) {
+  res.status(snapshot.status);
+  for (const [name, value] of Object.entries(snapshot.headers)) {
+    if (!IDEMPOTENCY_SKIP_HEADERS.test(name)) res.setHeader(name, value);
+  }
+  res.setHeader('Idempotent-Replayed', 'true');
+  res.end(snapshot.body);
+}
+
+function withIdempotency(handler) {
+  return async function idempotent(req, res) {
+    const key = req.headers['idempotency-key'];
+    if (key === undefined || !isAuthorized(req)) return handler(req, res);
+    if (!IDEMPOTENCY_KEY_REGEX.test(key)) {
+      httpReqs.labels(req.path, '400').inc();
+      return res.status(400).json({ ok: false, error: 'Idempotency-Key must be 1-255 visible ASCII characters', reason: 'invalid_idempotency_key' });
+    }
+    const id = `${assetPolicyFor(req).tenant || ''}\0${req.path}\0${key}`;
+    const fingerprint = crypto.createHash('sha256')
+      .update(JSON.stringify(req.body || null))
+      .update(req.assets ? assetsDigest(req.assets) : '')
+      .digest('hex');
+    pruneIdempotency();
+
+    const existing = idempotency.get(id);
+    if (existing) {
+      if (existing.fingerprint !== fingerprint) {
+        idempotencyTotal.labels('conflict').inc();
+        httpReqs.labels(req.path, '409').inc();
+        return res.status(409).json({
+          ok: false,
+          error: 'Idempotency-Key was already used with a different request body',
+          reason: 'idempotency_key_reused',
+        });
+      }
+      const waited = existing.expires === Infinity;
+      const snapshot = await existing.done;
+      if (snapshot) {
+        idempotencyTotal.labels(waited ? 'waited' : 'replayed').inc();
+        return replayResponse(res, snapshot);
+      }
+      // The first request ended without a storable answer: run this one instead
+      if (idempotency.get(id) === existing) idempotencyDelete(id);
+    }
+
+    let settle;
+    const entry = { fingerprint, done: new Promise((resolve) => { settle = resolve; }), expires: Infinity, bytes: 0 };
+    idempotency.set(id, entry);
+    idempotencyTotal.labels('executed').inc();
+
+    // Capture what the handler sends (send/json end in res.end)
+    let snapshot = null;
+    const end = res.end;
+    res.end = function endAndCapture(chunk, encoding, cb) {
+      res.end = end;
+      const body = typeof chunk === 'function' || chunk == null ? Buffer.alloc(0)
+        : Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+      snapshot = { status: res.statusCode, headers: res.getHeaders(), body };
+      return end.call(this, chunk, encoding, cb);
+    };
+    try {
+      await handler(req, res);
+    } finally {
+      res.end = end;
+      // One large body (a batch ZIP) must not flush every other key
+      const storable = snapshot && snapshot.status < 500 && snapshot.status !== 304 &&
+        snapshot.body.length <= IDEMPOTENCY_MAX_BYTES / 4;
+      settle(snapshot);
+      if (storable && idempotency.get(id) === entry) {
+        entry.expires = Date.now() + IDEMPOTENCY_TTL_MS;
+        entry.bytes = snapshot.body.length;
+        idempotencyBytes += entry.bytes;
+        pruneIdempotency();
+      } else if (idempotency.get(id) === entry) {
+        idempotency.delete(id);
       }
-      throw e;
     }
-  }
-  throw last;
+  };
 }
 
-// -------------------- App --------------------
-const app = express();
-app.set('x-powered-by', false);
-// Behind Railway's proxy, honor X-Forwarded-For so the rate limiter keys on the
-// real client IP instead of the proxy address. Defaults to 1 hop.
-app.set('trust proxy', Number(process.env.TRUST_PROXY || 1));
-app.use(helmet());
-app.use(express.json({ limit: JSON_LIMIT }));
-app.use(express.urlencoded({ extended: false, limit: HTML_LIMIT }));
-
-const limiter = rateLimit({ windowMs: 60 * 1000, max: parseInt(process.env.RATE_LIMIT_PER_MIN || '180', 10) });
-app.use(limiter);
-
-app.get('/metrics', async (req, res) => {
-  res.set('Content-Type', client.register.contentType);
-  res.end(await client.register.metrics());
-});
-
-app.get('/health', (req, res) => {
-  updatePoolGauge(contexts, busy);
-  res.json({
-    ok: true,
-    ts: new Date().toISOString(),
-    pool: { total: contexts.length, busy: busy.size, queue: waitQueue.length },
-    headless: HEADLESS,
-    pdf: { default_max_bytes: PDF_MAX_DEFAULT, cap_bytes: PDF_MAX_CAP },
-    html: { max_kb: HTML_MAX_KB, max_bytes: HTML_MAX_BYTES, slim_mode: SLIM_MODE_ENABLED },
-    pdf_options: {
-      supported: true,
-      allowed_keys: ['format', 'printBackground', 'displayHeaderFooter', 'headerTemplate', 'footerTemplate', 'margin'],
-      allowed_formats: Array.from(ALLOWED_PDF_FORMATS),
-      max_template_length: MAX_TEMPLATE_LENGTH,
-    },
-    limits: { json: JSON_LIMIT, html: HTML_LIMIT },
-    safety: { render_timeout_ms: RENDER_TIMEOUT_MS, memory_limit_mb: PDF_MEMORY_LIMIT_MB },
-    always_pdf: ALWAYS_PDF,
-    host: os.hostname(),
-  });
-});
-
-app.get('/health/html', (req, res) => {
-  updatePoolGauge(contexts, busy);
-  const html = `<!doctype html><meta charset="utf-8"><title>PDF Service /health</title>
-  <style>body{font:14px system-ui,Segoe UI,Roboto,Helvetica,Arial,sans-serif;max-width:880px;margin:2rem auto}
-  .card{border:1px solid #e5e7eb;border-radius:8px;padding:1rem;margin:.75rem 0;box-shadow:0 1px 2px rgba(0,0,0,.04)}</style>
-  <h1>PDF Service <small>v2.4.0</small></h1>
-  <div class="card"><b>Status:</b> OK<br>Time: ${new Date().toISOString()}<br>
-  Pool: ${contexts.length} contexts, busy: ${busy.size}, queue: ${waitQueue.length}<br>
-  Limits: JSON=${JSON_LIMIT} · HTML=${HTML_LIMIT} · PDF default=${PDF_MAX_DEFAULT} cap=${PDF_MAX_CAP}<br>
-  pdf_options: supported (format, printBackground, displayHeaderFooter, headerTemplate, footerTemplate, margin)<br>
-  Always-PDF: ${ALWAYS_PDF}<br>
-  Host: ${os.hostname()}</div>
-  <p><a href="/metrics">/metrics</a></p>`;
-  res.set('Content-Type','text/html; charset=utf-8').send(html);
-});
-
 // Core render handler (shared)
 async function handleRender(req, res) {
   const route = req.path;
-  if (!isAuthorized(req)) {
-    httpReqs.labels(route, '401').inc();
-    logger.warn({ route }, '[PDF] Request rejected: missing/invalid X-PDF-Secret');
-    return res.status(401).json({ ok: false, error: 'unauthorized' });
-  }
-  // Opt-in HTML dump: header X-PDF-Debug-Dump must be exactly '1' AND the
-  // operator must have enabled dumping server-side (PDF_DEBUG_DUMP).
-  const debugDumpHeader = req.headers['x-pdf-debug-dump'];
-  const dumper = makeDumper(DEBUG_DUMP_ALLOWED && (debugDumpHeader === '1' || debugDumpHeader === 1));
+  if (rejectUnauthorized(req, res, route)) return;
+  const dumper = dumperForRequest(req);
   try {
-    const { html, filename, maxBytes, pdf_options } = req.body || {};
-    if (!html || typeof html !== 'string') {
+    const prepared = prepareRender(req.body);
+    if (!prepared) {
       httpReqs.labels(route, '400').inc();
       logger.debug({ route }, '[PDF] Request rejected: html field missing or invalid');
       return res.status(400).json({ ok: false, error: 'html required' });
@@ -832,27 +4364,14 @@ async function handleRender(req, res) {
         route,
       }, '[PDF-DEBUG-DUMP] enabled for this request');
     }
+    const { filename, effectiveMaxBytes, pdfOptions, hasPdfOptions, payloadCheck } = prepared;
 
-    // Check HTML payload size (and apply slim-mode if enabled)
-    const payloadCheck = checkAndSlimPayload(html);
-    const processedHtml = payloadCheck.html;
-
-    // Sanitize pdf_options (whitelist validation)
-    const sanitizedPdfOptions = sanitizePdfOptions(pdf_options);
-    const hasPdfOptions = Object.keys(sanitizedPdfOptions).length > 0;
-
-    logger.debug({
-      html_length_bytes: Buffer.byteLength(processedHtml, 'utf8'),
-      html_limit_bytes: HTML_MAX_BYTES,
-      was_slimmed: payloadCheck.wasSlimmed,
-      has_pdf_options: hasPdfOptions,
-    }, '[PDF] HTML payload validated');
-
-    // Request-basiertes Limit (auf Cap geclamped) oder Default
-    const reqMax = typeof maxBytes === 'number' ? maxBytes : PDF_MAX_DEFAULT;
-    const effectiveMaxBytes = clamp(reqMax, MIN_PDF_BYTES, PDF_MAX_CAP);
-
-    const buf = await renderToBufferAdaptive(processedHtml, filename || 'report.pdf', effectiveMaxBytes, sanitizedPdfOptions, dumper);
+    const report = {};
+    const assets = req.assets || null;
+    const buf = await renderThroughCache(req, res, route, {
+      html: prepared.html, filename, effectiveMaxBytes, pdfOptions, dumper, report, assets,
+    });
+    if (!buf) return; // 304 Not Modified
 
     // Diagnostik-Header
     res.setHeader('X-PDF-Bytes', String(buf.length));
@@ -862,93 +4381,762 @@ async function handleRender(req, res) {
       res.setHeader('X-PDF-Debug-Dump-Dir', DEBUG_DUMP_DIR);
     }
     res.setHeader('X-HTML-Original-KB', payloadCheck.originalKB.toFixed(1));
+    if (assets) res.setHeader('X-PDF-Upload-Assets', String(assets.size));
     if (payloadCheck.wasSlimmed) {
       res.setHeader('X-HTML-Slimmed', '1');
       res.setHeader('X-HTML-Slimmed-KB', payloadCheck.slimmedKB.toFixed(1));
     }
     if (hasPdfOptions) {
       res.setHeader('X-PDF-Options-Applied', '1');
-      if (sanitizedPdfOptions.displayHeaderFooter) {
+      if (pdfOptions.displayHeaderFooter || pdfOptions.header || pdfOptions.footer) {
         res.setHeader('X-PDF-HeaderFooter', '1');
       }
+      if (pdfOptions.watermark) {
+        res.setHeader('X-PDF-Watermark', String(pdfOptions.watermark.length));
+      }
+      if (pdfOptions.conformance) {
+        res.setHeader('X-PDF-Conformance', pdfOptions.conformance);
+      }
+      if (pdfOptions.security) {
+        res.setHeader('X-PDF-Encrypted', 'AES-256');
+      }
+      if (pdfOptions.signature) {
+        res.setHeader('X-PDF-Signed', pdfOptions.signature.visible ? 'visible' : 'invisible');
+      }
     }
+    reportHeaders(res, report);
 
     // Immer PDF?
     if (ALWAYS_PDF || !RETURN_JSON_BASE64_DEFAULT) {
       httpReqs.labels(route, '200').inc();
       res.setHeader('Content-Type', 'application/pdf');
-      res.setHeader('Content-Disposition', `inline; filename="${(filename || 'report.pdf').replace(/[^a-zA-Z0-9_.-]+/g,'_')}"`);
+      res.setHeader('Content-Disposition', `inline; filename="${safeFilename(filename)}"`);
       return res.send(buf);
     }
 
     // Optional JSON/Base64 (nur falls explizit gewünscht)
     httpReqs.labels(route, '200').inc();
-    return res.json({ ok: true, pdf_base64: buf.toString('base64'), bytes: buf.length });
+    return res.json({ ok: true, pdf_base64: buf.toString('base64'), bytes: buf.length, ...report });
   } catch (e) {
-    const status = e.status || 500;
+    const { status, payload } = describeRenderError(e);
     httpReqs.labels(route, String(status)).inc();
-    const payload = { ok: false, error: String(e.message || e) };
-
-    if (status === 413) {
-      // Distinguish between HTML payload too large vs PDF too large
-      if (e.reason === 'html_payload_too_large') {
-        payload.reason = 'html_payload_too_large';
-        if (typeof e.html_kb === 'number') payload.html_kb = e.html_kb;
-        if (typeof e.limit_kb === 'number') payload.limit_kb = e.limit_kb;
-        logger.warn({
-          status,
-          reason: 'html_payload_too_large',
-          html_kb: e.html_kb,
-          limit_kb: e.limit_kb,
-        }, '[PDF] Request rejected: HTML payload exceeds limit');
-      } else {
-        payload.reason = 'pdf_too_large';
-        if (typeof e.html_bytes === 'number') payload.html_bytes = e.html_bytes;
-        if (typeof e.pdf_bytes === 'number')  payload.pdf_bytes  = e.pdf_bytes;
-        if (typeof e.limit_bytes === 'number') payload.limit_bytes = e.limit_bytes;
-        logger.warn({
-          status,
-          reason: 'pdf_too_large',
-          pdf_bytes: e.pdf_bytes,
-          limit_bytes: e.limit_bytes,
-        }, '[PDF] Render failed: PDF exceeds size limit');
+    return res.status(status).json(payload);
+  }
+}
+
+// -------------------- Job callbacks (webhook) --------------------
+// When a job carries a callback_url, the result metadata is POSTed there once the
+// job finishes. The body is signed with HMAC-SHA256; the key is derived from
+// PDF_SHARED_SECRET via HKDF so the shared secret itself never doubles as a MAC
+// key. Receivers derive the same key and compare X-PDF-Signature:
+//   key = HKDF-SHA256(ikm=PDF_SHARED_SECRET, salt='', info=CALLBACK_KEY_INFO, 32)
+//   X-PDF-Signature: sha256=<hex(HMAC-SHA256(key, raw body))>
+// The target must pass the same SSRF guard as sub-resources, redirects are not
+// followed, and failed deliveries (network, 429, 5xx) are retried with backoff.
+const CALLBACK_KEY_INFO = 'make-ki-pdfservice/callback/v1';
+const CALLBACK_KEY = PDF_SHARED_SECRET
+  ? Buffer.from(crypto.hkdfSync('sha256', PDF_SHARED_SECRET, '', CALLBACK_KEY_INFO, 32))
+  : null;
+
+function signCallbackBody(body) {
+  return 'sha256=' + crypto.createHmac('sha256', CALLBACK_KEY).update(body).digest('hex');
+}
+
+// Returns a rejection message, or null when the URL may be used as callback target.
+async function checkCallbackUrl(rawUrl) {
+  if (typeof rawUrl !== 'string' || rawUrl.length > 2048) return 'callback_url must be a string';
+  let u;
+  try { u = new URL(rawUrl); } catch { return 'callback_url is not a valid URL'; }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') return 'callback_url must use http(s)';
+  if (SSRF_GUARD && (await isBlockedRequestUrl(rawUrl))) return 'callback_url targets a blocked host';
+  return null;
+}
+
+function callbackPayload(job) {
+  const payload = {
+    event: 'pdf.job.finished',
+    job_id: job.id,
+    status: job.status,
+    filename: job.filename,
+    pass: job.pass || null,
+    duration_ms: job.finishedAt - job.createdAt,
+    finished_at: new Date(job.finishedAt).toISOString(),
+  };
+  if (job.status === 'done') payload.bytes = job.pdf.length;
+  if (job.status === 'failed') {
+    payload.error = job.error.error;
+    payload.reason = job.error.reason || null;
+  }
+  return payload;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function deliverCallback(url, payload) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'make-ki-pdfservice',
+    'X-PDF-Signature': signCallbackBody(body),
+  };
+  if (payload.job_id) headers['X-PDF-Job-Id'] = payload.job_id;
+
+  let attempts = 0;
+  let lastError = null;
+  while (attempts <= CALLBACK_RETRIES) {
+    if (attempts > 0) await sleep(CALLBACK_BACKOFF_MS * 2 ** (attempts - 1));
+    attempts += 1;
+    // Re-check on every attempt: DNS may have changed since the job was accepted.
+    // (Names are checked again on connect, see pinnedLookup.)
+    const rejected = await checkCallbackUrl(url);
+    if (rejected) {
+      lastError = rejected;
+      break;
+    }
+    let retryable = true;
+    try {
+      // Pinned connection: the address checked at connect time is the one used
+      const resp = await guardedFetch(url, {
+        method: 'POST', headers, body, timeoutMs: CALLBACK_TIMEOUT_MS, readBody: false,
+      });
+      if (resp.status >= 200 && resp.status < 300) {
+        callbacksTotal.labels('delivered').inc();
+        logger.info({ job_id: payload.job_id, attempts, status: resp.status }, '[PDF-CALLBACK] delivered');
+        return { delivered: true, attempts, status: resp.status };
+      }
+      lastError = `HTTP ${resp.status}`;
+      retryable = resp.status === 429 || resp.status >= 500;
+    } catch (e) {
+      lastError = e.name === 'TimeoutError' ? 'timeout' : String(e.message || e);
+      if (e.code === 'ESSRF') retryable = false;
+    }
+    logger.warn({ job_id: payload.job_id, attempts, err: lastError, retryable }, '[PDF-CALLBACK] attempt failed');
+    if (!retryable) break;
+  }
+  callbacksTotal.labels('failed').inc();
+  logger.warn({ job_id: payload.job_id, attempts, err: lastError }, '[PDF-CALLBACK] giving up');
+  return { delivered: false, attempts, error: lastError };
+}
+
+// -------------------- Async render jobs --------------------
+// POST /jobs enqueues the same work as /generate-pdf and answers 202 with a job
+// id right away. Jobs go through renderToBufferAdaptive and therefore share the
+// context pool and FIFO waitQueue with synchronous requests.
+// Lifecycle: queued -> rendering (pass N) -> done | failed. Finished jobs (and
+// their PDF buffers) are dropped JOB_TTL_MS after they finished.
+const jobs = new Map();
+
+function jobView(job) {
+  const view = {
+    ok: true,
+    id: job.id,
+    status: job.status,
+    created_at: new Date(job.createdAt).toISOString(),
+  };
+  if (job.pass) view.pass = job.pass;
+  if (job.startedAt) view.started_at = new Date(job.startedAt).toISOString();
+  if (job.finishedAt) {
+    view.finished_at = new Date(job.finishedAt).toISOString();
+    view.duration_ms = job.finishedAt - job.createdAt;
+  }
+  if (job.status === 'done') view.bytes = job.pdf.length;
+  if (job.report.accessibility) view.accessibility = job.report.accessibility;
+  if (job.report.inline_assets) view.inline_assets = job.report.inline_assets;
+  if (job.report.sanitized) view.sanitized = job.report.sanitized;
+  if (job.status === 'failed') view.error = job.error;
+  if (job.callback) view.callback = { ...job.callback };
+  return view;
+}
+
+// A job is visible to the tenant that created it only; anyone else gets the
+// same 404 as for an unknown id.
+function jobFor(req) {
+  const job = jobs.get(req.params.id);
+  return job && job.tenant === assetPolicyFor(req).tenant ? job : undefined;
+}
+
+function sweepJobs(now = Date.now()) {
+  for (const [id, job] of jobs) {
+    if (job.finishedAt && now - job.finishedAt > JOB_TTL_MS) jobs.delete(id);
+  }
+}
+setInterval(() => sweepJobs(), Math.min(JOB_TTL_MS, 60 * 1000)).unref();
+
+async function runJob(job, prepared, dumper, policy, render) {
+  try {
+    const buf = await render(
+      prepared.html, prepared.filename, prepared.effectiveMaxBytes, prepared.pdfOptions, dumper,
+      (pass) => {
+        job.status = 'rendering';
+        job.pass = pass;
+        if (!job.startedAt) job.startedAt = Date.now();
+      },
+      job.report,
+      { policy },
+    );
+    job.pdf = buf;
+    job.status = 'done';
+  } catch (e) {
+    const { payload } = describeRenderError(e);
+    delete payload.ok;
+    job.error = payload;
+    job.status = 'failed';
+  } finally {
+    job.finishedAt = Date.now();
+    jobsTotal.labels(job.status).inc();
+    logger.info({ job_id: job.id, status: job.status, pass: job.pass, duration_ms: job.finishedAt - job.createdAt }, '[PDF-JOB] finished');
+  }
+  if (job.callbackUrl) {
+    job.callback.state = 'delivering';
+    const result = await deliverCallback(job.callbackUrl, callbackPayload(job));
+    job.callback.state = result.delivered ? 'delivered' : 'failed';
+    job.callback.attempts = result.attempts;
+    if (result.error) job.callback.error = result.error;
+  }
+}
+
+async function handleJobCreate(req, res) {
+  const route = '/jobs';
+  if (rejectUnauthorized(req, res, route)) return;
+  const dumper = dumperForRequest(req);
+  try {
+    const prepared = prepareRender(req.body);
+    if (!prepared) {
+      httpReqs.labels(route, '400').inc();
+      return res.status(400).json({ ok: false, error: 'html required' });
+    }
+    const callbackUrl = req.body.callback_url;
+    if (callbackUrl !== undefined && callbackUrl !== null && callbackUrl !== '') {
+      const rejected = CALLBACK_KEY
+        ? await checkCallbackUrl(callbackUrl)
+        : 'callback_url requires PDF_SHARED_SECRET (used to sign callbacks)';
+      if (rejected) {
+        httpReqs.labels(route, '400').inc();
+        logger.warn({ route, err: rejected }, '[PDF-JOB] rejected: callback_url');
+        return res.status(400).json({ ok: false, error: rejected, reason: 'callback_url_rejected' });
+      }
+    }
+    sweepJobs();
+    if (jobs.size >= JOBS_MAX) {
+      httpReqs.labels(route, '503').inc();
+      logger.warn({ jobs: jobs.size, max: JOBS_MAX }, '[PDF-JOB] rejected: job store full');
+      return res.status(503).json({ ok: false, error: 'PDF service busy – too many jobs', reason: 'jobs_full' });
+    }
+
+    const policy = assetPolicyFor(req);
+    const job = {
+      id: crypto.randomUUID(),
+      tenant: policy.tenant,
+      status: 'queued',
+      pass: 0,
+      filename: prepared.filename,
+      effectiveMaxBytes: prepared.effectiveMaxBytes,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      pdf: null,
+      report: {},
+      error: null,
+      callbackUrl: callbackUrl || null,
+      callback: callbackUrl ? { state: 'pending', attempts: 0 } : null,
+    };
+    jobs.set(job.id, job);
+    logger.info({ job_id: job.id, queue: waitQueue.length }, '[PDF-JOB] queued');
+    runJob(job, prepared, dumper, policy, req.app.locals.render);
+
+    httpReqs.labels(route, '202').inc();
+    res.setHeader('Location', `/jobs/${job.id}`);
+    if (dumper) res.setHeader('X-PDF-Debug-Dump-Id', dumper.id);
+    return res.status(202).json(jobView(job));
+  } catch (e) {
+    const { status, payload } = describeRenderError(e);
+    httpReqs.labels(route, String(status)).inc();
+    return res.status(status).json(payload);
+  }
+}
+
+function handleJobStatus(req, res) {
+  const route = '/jobs/:id';
+  if (rejectUnauthorized(req, res, route)) return;
+  const job = jobFor(req);
+  if (!job) {
+    httpReqs.labels(route, '404').inc();
+    return res.status(404).json({ ok: false, error: 'job not found' });
+  }
+  httpReqs.labels(route, '200').inc();
+  return res.json(jobView(job));
+}
+
+function handleJobPdf(req, res) {
+  const route = '/jobs/:id/pdf';
+  if (rejectUnauthorized(req, res, route)) return;
+  const job = jobFor(req);
+  if (!job) {
+    httpReqs.labels(route, '404').inc();
+    return res.status(404).json({ ok: false, error: 'job not found' });
+  }
+  if (job.status !== 'done') {
+    // No PDF (yet): queued/rendering, or failed – the body says which.
+    httpReqs.labels(route, '409').inc();
+    return res.status(409).json({ ...jobView(job), ok: false });
+  }
+  httpReqs.labels(route, '200').inc();
+  res.setHeader('X-PDF-Bytes', String(job.pdf.length));
+  res.setHeader('X-PDF-Limit', String(job.effectiveMaxBytes));
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${safeFilename(job.filename)}"`);
+  return res.send(job.pdf);
+}
+
+// -------------------- Batch rendering --------------------
+// POST /generate-pdf/batch renders many documents in one request. Items are
+// spread over the context pool with at most BROWSER_POOL_SIZE in flight, so a
+// batch never floods the shared waitQueue. Each item is prepared and rendered
+// independently: one oversized or broken item is reported in the manifest and
+// does not fail the batch.
+// Response: ZIP (PDFs + manifest.json, default) or JSON manifest with base64.
+// ZIP entries are keyed by name, so every name (also a generated "-2" one, and
+// the manifest's) must be unused or JSZip silently replaces the earlier file.
+function uniqueFilenames(items) {
+  const seen = new Set(['manifest.json']);
+  return items.map((item, i) => {
+    const base = safeFilename(item && typeof item.filename === 'string' ? item.filename : `report-${i + 1}.pdf`);
+    let name = base;
+    for (let n = 2; seen.has(name); n++) name = base.replace(/(\.\w+)?$/, `-${n}$1`);
+    seen.add(name);
+    return name;
+  });
+}
+
+async function renderBatchItem(item, filename, policy, render) {
+  const start = Date.now();
+  try {
+    const prepared = prepareRender({ ...(item || {}), filename });
+    if (!prepared) {
+      return { result: { filename, status: 'failed', error: 'html required', reason: 'html_missing' } };
+    }
+    const report = {};
+    const buf = await render(prepared.html, filename, prepared.effectiveMaxBytes, prepared.pdfOptions, null, null, report, { policy });
+    return { result: { filename, status: 'ok', bytes: buf.length, duration_ms: Date.now() - start, ...report }, pdf: buf };
+  } catch (e) {
+    const { status, payload } = describeRenderError(e);
+    return {
+      result: { filename, status: 'failed', http_status: status, error: payload.error, reason: payload.reason || null },
+    };
+  }
+}
+
+async function renderBatch(items, policy, render) {
+  const filenames = uniqueFilenames(items);
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next;
+      next += 1;
+      // eslint-disable-next-line no-await-in-loop
+      results[i] = await renderBatchItem(items[i], filenames[i], policy, render);
+    }
+  };
+  const workers = [];
+  for (let w = 0; w < Math.min(BROWSER_POOL_SIZE, items.length); w++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+async function handleBatch(req, res) {
+  const route = '/generate-pdf/batch';
+  if (rejectUnauthorized(req, res, route)) return;
+  const { items, output } = req.body || {};
+  if (!Array.isArray(items) || items.length === 0) {
+    httpReqs.labels(route, '400').inc();
+    return res.status(400).json({ ok: false, error: 'items required (non-empty array)' });
+  }
+  if (items.length > BATCH_MAX_ITEMS) {
+    httpReqs.labels(route, '413').inc();
+    return res.status(413).json({
+      ok: false, error: `batch has ${items.length} items, limit is ${BATCH_MAX_ITEMS}`,
+      reason: 'batch_too_large', items: items.length, limit_items: BATCH_MAX_ITEMS,
+    });
+  }
+  const asJson = output === 'json';
+  if (output !== undefined && output !== 'json' && output !== 'zip') {
+    httpReqs.labels(route, '400').inc();
+    return res.status(400).json({ ok: false, error: 'output must be "zip" or "json"' });
+  }
+
+  try {
+    const start = Date.now();
+    const rendered = await renderBatch(items, assetPolicyFor(req), req.app.locals.render);
+    const manifest = rendered.map((r) => r.result);
+    const failed = manifest.filter((m) => m.status !== 'ok').length;
+    logger.info({
+      items: items.length, failed, output: asJson ? 'json' : 'zip', duration_ms: Date.now() - start,
+    }, '[PDF-BATCH] finished');
+
+    res.setHeader('X-PDF-Batch-Items', String(items.length));
+    res.setHeader('X-PDF-Batch-Failed', String(failed));
+    httpReqs.labels(route, '200').inc();
+
+    if (asJson) {
+      return res.json({
+        ok: failed === 0,
+        items: rendered.map((r) => (r.pdf ? { ...r.result, pdf_base64: r.pdf.toString('base64') } : r.result)),
+      });
+    }
+
+    const zip = new JSZip();
+    for (const r of rendered) {
+      if (r.pdf) zip.file(r.result.filename, r.pdf);
+    }
+    zip.file('manifest.json', JSON.stringify({ ok: failed === 0, items: manifest }, null, 2));
+    // PDFs are already compressed; STORE keeps the CPU on rendering.
+    const buf = await zip.generateAsync({ type: 'nodebuffer', compression: 'STORE' });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', 'attachment; filename="reports.zip"');
+    return res.send(buf);
+  } catch (e) {
+    const { status, payload } = describeRenderError(e);
+    httpReqs.labels(route, String(status)).inc();
+    return res.status(status).json(payload);
+  }
+}
+
+// -------------------- Server-side templates --------------------
+// Named, versioned report layouts rendered from JSON data, so the backend does
+// not have to ship full HTML + CSS per request. Each file in TEMPLATE_DIR exports
+// { name, version, description, required, render(data, { html, raw }) }.
+// `html` is a tagged template that escapes every interpolated value (arrays are
+// joined, nested `html` results pass through); `raw()` opts a trusted constant
+// out of escaping. The generated HTML then takes the regular path through
+// sanitizeHtml() and renderToBufferAdaptive.
+class SafeHtml {
+  constructor(value) { this.value = value; }
+  toString() { return this.value; }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function htmlPart(value) {
+  if (value == null || value === false) return '';
+  if (value instanceof SafeHtml) return value.value;
+  if (Array.isArray(value)) return value.map(htmlPart).join('');
+  return escapeHtml(value);
+}
+
+function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((v, i) => { out += htmlPart(v) + strings[i + 1]; });
+  return new SafeHtml(out);
+}
+
+const raw = (value) => new SafeHtml(String(value));
+
+// name -> Map(version -> template)
+const templates = new Map();
+
+function loadTemplates(dir = TEMPLATE_DIR) {
+  let files = [];
+  try {
+    files = fs.readdirSync(dir).filter((f) => f.endsWith('.js'));
+  } catch (e) {
+    logger.warn({ dir, err: e.message }, '[PDF-TEMPLATE] template dir not readable');
+  }
+  for (const file of files) {
+    try {
+      const tpl = require(path.join(dir, file));
+      if (!tpl || typeof tpl.name !== 'string' || !Number.isInteger(tpl.version) || typeof tpl.render !== 'function') {
+        logger.warn({ file }, '[PDF-TEMPLATE] skipped: missing name/version/render');
+        continue;
+      }
+      if (!templates.has(tpl.name)) templates.set(tpl.name, new Map());
+      templates.get(tpl.name).set(tpl.version, tpl);
+    } catch (e) {
+      logger.warn({ file, err: e.message }, '[PDF-TEMPLATE] failed to load');
+    }
+  }
+  logger.info({ templates: listTemplates().map((t) => `${t.name}@${t.version}`) }, '[PDF-TEMPLATE] templates loaded');
+}
+
+function listTemplates() {
+  const out = [];
+  for (const versions of templates.values()) {
+    for (const tpl of versions.values()) {
+      out.push({ name: tpl.name, version: tpl.version, description: tpl.description || '', required: tpl.required || [] });
+    }
+  }
+  return out;
+}
+
+// "name" resolves to the highest version, "name@2" to that exact version.
+function resolveTemplate(id) {
+  const m = /^([a-z0-9][a-z0-9_-]{0,63})(?:@(\d{1,4}))?$/i.exec(String(id || ''));
+  if (!m) return null;
+  const versions = templates.get(m[1]);
+  if (!versions) return null;
+  if (m[2]) return versions.get(parseInt(m[2], 10)) || null;
+  return versions.get(Math.max(...versions.keys())) || null;
+}
+
+function renderTemplate(tpl, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw pdfError('data must be a JSON object', 400, 'template_data_invalid');
+  }
+  const missing = (tpl.required || []).filter((k) => data[k] == null || data[k] === '');
+  if (missing.length) {
+    const err = pdfError(`missing template fields: ${missing.join(', ')}`, 400, 'template_data_invalid');
+    err.missing = missing;
+    throw err;
+  }
+  try {
+    return String(tpl.render(data, { html, raw, escapeHtml }));
+  } catch (e) {
+    throw pdfError(`template ${tpl.name}@${tpl.version} failed: ${e.message}`, 400, 'template_data_invalid');
+  }
+}
+
+async function handleTemplateRender(req, res) {
+  const route = '/render/:template';
+  if (rejectUnauthorized(req, res, route)) return;
+  const tpl = resolveTemplate(req.params.template);
+  if (!tpl) {
+    httpReqs.labels(route, '404').inc();
+    return res.status(404).json({ ok: false, error: `unknown template: ${req.params.template}`, reason: 'template_not_found' });
+  }
+  const dumper = dumperForRequest(req);
+  try {
+    const { data, filename, maxBytes, pdf_options } = req.body || {};
+    // Generated HTML is held to the same limit (and slim mode) as incoming HTML
+    const generated = checkAndSlimPayload(renderTemplate(tpl, data));
+    const reqMax = typeof maxBytes === 'number' ? maxBytes : PDF_MAX_DEFAULT;
+    const effectiveMaxBytes = clamp(reqMax, MIN_PDF_BYTES, PDF_MAX_CAP);
+    const report = {};
+    const buf = await renderThroughCache(req, res, route, {
+      html: generated.html,
+      filename: filename || 'report.pdf',
+      effectiveMaxBytes,
+      pdfOptions: sanitizePdfOptions(pdf_options),
+      dumper,
+      report,
+    });
+    if (!buf) return; // 304 Not Modified
+
+    httpReqs.labels(route, '200').inc();
+    res.setHeader('X-PDF-Bytes', String(buf.length));
+    res.setHeader('X-PDF-Limit', String(effectiveMaxBytes));
+    res.setHeader('X-PDF-Template', `${tpl.name}@${tpl.version}`);
+    reportHeaders(res, report);
+    if (dumper) {
+      res.setHeader('X-PDF-Debug-Dump-Id', dumper.id);
+      res.setHeader('X-PDF-Debug-Dump-Dir', DEBUG_DUMP_DIR);
+    }
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${safeFilename(filename)}"`);
+    return res.send(buf);
+  } catch (e) {
+    const { status, payload } = describeRenderError(e);
+    if (e.missing) payload.missing = e.missing;
+    httpReqs.labels(route, String(status)).inc();
+    return res.status(status).json(payload);
+  }
+}
+
+function handleTemplateList(req, res) {
+  if (rejectUnauthorized(req, res, '/templates')) return;
+  res.json({ ok: true, templates: listTemplates() });
+}
+
+loadTemplates();
+initSigner();
+
+// -------------------- Merge --------------------
+// POST /merge-pdf concatenates parts into one document. A part is either HTML
+// (rendered through the regular adaptive pipeline) or an existing PDF as base64.
+// Parts with a title get a top-level bookmark on their first page (the part's
+// own bookmarks nest below it, shifted to their new pages); optional
+// page_numbers (a footer preset, see sanitizeMergePageNumbers) are stamped
+// continuously over the merged document. The size policy (maxBytes clamped to
+// PDF_MAX_CAP) applies to the merged output.
+async function mergeParts(parts, effectiveMaxBytes, pageNumbers, metadata = null, policy = DEFAULT_ASSET_POLICY, render = renderToBufferAdaptive) {
+  const merged = await PDFDocument.create();
+  const outline = [];
+  const skipPages = new Set();
+  const summary = [];
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = parts[i] || {};
+    const label = `part ${i + 1}`;
+    let buf;
+    if (typeof part.pdf_base64 === 'string') {
+      buf = Buffer.from(part.pdf_base64, 'base64');
+      if (buf.length > PDF_MAX_CAP) {
+        throw pdfError(`${label}: PDF exceeds ${PDF_MAX_CAP} bytes`, 413, 'pdf_part_too_large');
       }
+    } else if (typeof part.html === 'string' && part.html) {
+      const prepared = prepareRender({ html: part.html, pdf_options: part.pdf_options });
+      // eslint-disable-next-line no-await-in-loop
+      buf = await render(prepared.html, `${label}.pdf`, effectiveMaxBytes, prepared.pdfOptions, null, null, null, { policy });
     } else {
-      logger.warn({ status, err: e.message }, '[PDF] Render failed');
+      throw pdfError(`${label}: html or pdf_base64 required`, 400, 'invalid_pdf_part');
     }
 
+    // eslint-disable-next-line no-await-in-loop
+    const src = await loadPdf(buf, label);
+    const firstPage = merged.getPageCount();
+    // eslint-disable-next-line no-await-in-loop
+    const copied = await merged.copyPages(src, src.getPageIndices());
+    copied.forEach((p) => merged.addPage(p));
+    if (part.numbered === false) {
+      for (let k = 0; k < copied.length; k++) skipPages.add(firstPage + k);
+    }
+    // Bookmarks continue across parts: the part's own outline (headings or an
+    // existing PDF outline) is shifted to its new pages and nested under title.
+    const partOutline = shiftOutline(readOutline(src), firstPage);
+    if (typeof part.title === 'string' && part.title.trim() && copied.length > 0) {
+      outline.push({ title: part.title.trim(), pageIndex: firstPage, children: partOutline });
+    } else {
+      outline.push(...partOutline);
+    }
+    summary.push({ part: i + 1, source: part.pdf_base64 ? 'pdf' : 'html', first_page: firstPage + 1, pages: copied.length });
+  }
+
+  writeOutline(merged, outline);
+  if (pageNumbers) {
+    const context = metadata ? { title: metadata.title, lang: metadata.lang } : {};
+    await stampRunningText(merged, pageNumbers, context, skipPages);
+  }
+  if (metadata) writeMetadata(merged, metadata);
+  const out = await savePdf(merged);
+
+  if (out.length > effectiveMaxBytes) {
+    const err = new Error(`PDF larger than limit (${out.length} > ${effectiveMaxBytes})`);
+    err.status = 413;
+    err.pdf_bytes = out.length;
+    err.limit_bytes = effectiveMaxBytes;
+    throw err;
+  }
+  return { pdf: out, pages: merged.getPageCount(), summary };
+}
+
+async function handleMerge(req, res) {
+  const route = '/merge-pdf';
+  if (rejectUnauthorized(req, res, route)) return;
+  const { parts, filename, maxBytes, page_numbers, metadata } = req.body || {};
+  if (!Array.isArray(parts) || parts.length === 0) {
+    httpReqs.labels(route, '400').inc();
+    return res.status(400).json({ ok: false, error: 'parts required (non-empty array)' });
+  }
+  if (parts.length > MERGE_MAX_PARTS) {
+    httpReqs.labels(route, '413').inc();
+    return res.status(413).json({
+      ok: false, error: `merge has ${parts.length} parts, limit is ${MERGE_MAX_PARTS}`,
+      reason: 'merge_too_large', parts: parts.length, limit_parts: MERGE_MAX_PARTS,
+    });
+  }
+  try {
+    const reqMax = typeof maxBytes === 'number' ? maxBytes : PDF_MAX_DEFAULT;
+    const effectiveMaxBytes = clamp(reqMax, MIN_PDF_BYTES, PDF_MAX_CAP);
+    const start = Date.now();
+    const { pdf, pages, summary } = await mergeParts(
+      parts, effectiveMaxBytes, sanitizeMergePageNumbers(page_numbers), metadata ? sanitizeMetadata(metadata) : null,
+      assetPolicyFor(req), req.app.locals.render,
+    );
+    logger.info({ parts: parts.length, pages, pdf_bytes: pdf.length, duration_ms: Date.now() - start }, '[PDF-MERGE] merged');
+
+    httpReqs.labels(route, '200').inc();
+    res.setHeader('X-PDF-Bytes', String(pdf.length));
+    res.setHeader('X-PDF-Limit', String(effectiveMaxBytes));
+    res.setHeader('X-PDF-Pages', String(pages));
+    res.setHeader('X-PDF-Merge-Parts', JSON.stringify(summary));
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${safeFilename(filename)}"`);
+    return res.send(pdf);
+  } catch (e) {
+    const { status, payload } = describeRenderError(e);
+    httpReqs.labels(route, String(status)).inc();
     return res.status(status).json(payload);
   }
 }
 
-app.post('/generate-pdf', handleRender);
-app.post('/render-pdf', handleRender); // legacy
+// -------------------- Routes --------------------
+/**
+ * Build the Express app. Apps share the service state (browser pool, queue,
+ * cache, jobs, idempotency keys); `render` is what every route renders with
+ * (handlers read it from req.app.locals.render), e.g. a stand-in without
+ * Chromium in tests.
+ * @param {{ render?: Function }} [options] - render: signature of renderToBufferAdaptive
+ * @returns {express.Application}
+ */
+function createApp({ render = renderToBufferAdaptive } = {}) {
+  const app = express();
+  app.locals.render = render;
+  app.set('x-powered-by', false);
+  // Behind Railway's proxy, honor X-Forwarded-For so the rate limiter keys on the
+  // real client IP instead of the proxy address. Defaults to 1 hop.
+  app.set('trust proxy', Number(process.env.TRUST_PROXY || 1));
+  app.use(helmet());
+  app.use(express.json({ limit: JSON_LIMIT }));
+  app.use(express.urlencoded({ extended: false, limit: HTML_LIMIT }));
+  app.use(rateLimit({ windowMs: 60 * 1000, max: parseInt(process.env.RATE_LIMIT_PER_MIN || '180', 10) }));
+
+  app.get('/metrics', handleMetrics);
+  app.get('/health', handleHealth);
+  app.get('/health/html', handleHealthHtml);
+
+  app.post('/generate-pdf', acceptUpload, withIdempotency(handleRender));
+  app.post('/generate-pdf/batch', withIdempotency(handleBatch));
+  app.post('/merge-pdf', withIdempotency(handleMerge));
+  app.get('/templates', handleTemplateList);
+  app.post('/render/:template', withIdempotency(handleTemplateRender));
+  app.post('/render-pdf', acceptUpload, withIdempotency(handleRender)); // legacy
+  app.post('/jobs', withIdempotency(handleJobCreate));
+  app.get('/jobs/:id', handleJobStatus);
+  app.get('/jobs/:id/pdf', handleJobPdf);
+
+  app.get('/', (req, res) => res.type('text/html').send('<h1>make-ki-pdfservice</h1><p>OK</p>'));
+  return app;
+}
+
+// Started only when run directly (node index.js); tests require() the module
+// and build their own app without opening a port or launching Chromium.
+function start() {
+  process.on('SIGTERM', async () => {
+    logger.info('shutting down...');
+    try { if (browser) await browser.close(); } catch { /* ignore */ }
+    process.exit(0);
+  });
 
-app.get('/', (req, res) => res.type('text/html').send('<h1>make-ki-pdfservice</h1><p>OK</p>'));
+  createApp().listen(PORT, async () => {
+    await initPool();
+    logger.info({ port: PORT, pool: BROWSER_POOL_SIZE }, '[PDF] Service listening');
+    console.log(`[pdfservice] PDF_CONSOLIDATE_STYLES=${process.env.PDF_CONSOLIDATE_STYLES ?? "(unset → off)"}`);
+    logger.info({
+      html_max_kb: HTML_MAX_KB,
+      html_max_bytes: HTML_MAX_BYTES,
+      slim_mode_enabled: SLIM_MODE_ENABLED,
+    }, '[PDF] HTML payload limits configured');
+    logger.info({
+      pdf_max_default_mb: (PDF_MAX_DEFAULT / 1024 / 1024).toFixed(1),
+      pdf_max_cap_mb: (PDF_MAX_CAP / 1024 / 1024).toFixed(1),
+      pdf_scale: PDF_SCALE,
+      pdf_print_bg: PDF_PRINT_BG,
+    }, '[PDF] PDF optimization settings configured');
+    logger.info({
+      render_timeout_sec: RENDER_TIMEOUT_MS / 1000,
+      memory_limit_mb: PDF_MEMORY_LIMIT_MB,
+    }, '[PDF] Safety limits configured');
+  });
+}
 
-process.on('SIGTERM', async () => {
-  logger.info('shutting down...');
-  try { if (browser) await browser.close(); } catch { /* ignore */ }
-  process.exit(0);
-});
+if (require.main === module) {
+  start();
+}
 
-app.listen(PORT, async () => {
-  await initPool();
-  logger.info({ port: PORT, pool: BROWSER_POOL_SIZE }, '[PDF] Service listening');
-  console.log(`[pdfservice] PDF_CONSOLIDATE_STYLES=${process.env.PDF_CONSOLIDATE_STYLES ?? "(unset → off)"}`);
-  logger.info({
-    html_max_kb: HTML_MAX_KB,
-    html_max_bytes: HTML_MAX_BYTES,
-    slim_mode_enabled: SLIM_MODE_ENABLED,
-  }, '[PDF] HTML payload limits configured');
-  logger.info({
-    pdf_max_default_mb: (PDF_MAX_DEFAULT / 1024 / 1024).toFixed(1),
-    pdf_max_cap_mb: (PDF_MAX_CAP / 1024 / 1024).toFixed(1),
-    pdf_scale: PDF_SCALE,
-    pdf_print_bg: PDF_PRINT_BG,
-  }, '[PDF] PDF optimization settings configured');
-  logger.info({
-    render_timeout_sec: RENDER_TIMEOUT_MS / 1000,
-    memory_limit_mb: PDF_MEMORY_LIMIT_MB,
-  }, '[PDF] Safety limits configured');
-});
+module.exports = { createApp };
@@ -0,0 +1,228 @@
+// filename: templates/ki-status-report.v1.js
+/* KI-Status-Report layout, version 1
+ * Data = profile object as in test/test-profiles.js (DE) or
+ * test/test-profiles-dual-lang.js (lang + labels). Optional lists override the
+ * built-in defaults: quick_wins [{ title, text }], roadmap [{ title, items[] }],
+ * glossary [{ term, definition }].
+ * Every interpolation goes through the `html` tag and is escaped; only `raw()`
+ * values (the static CSS below) are emitted verbatim.
+ */
+'use strict';
+
+const LABELS = {
+  de: {
+    report: 'KI-Status-Report',
+    executive_summary: 'Executive Summary',
+    strategic_context: 'Strategischer Kontext & Leitplanken',
+    quick_wins: 'Quick Wins & Sofortmaßnahmen',
+    roadmap: 'Strategische Roadmap',
+    glossary: 'Glossar',
+    focus: 'Fokus',
+    key_challenges: 'Wesentliche Belastungen',
+    guardrails: 'KI-Leitplanken (Guardrails)',
+    goals: 'Strategische Ziele',
+    processes: 'Zeitkritische Prozesse',
+    model: 'Geschäftsmodell-Evolution',
+    vision: 'Vision (3 Jahre)',
+    projects: 'Bisherige KI-Projekte',
+    intro: (p) => `Dieser Report analysiert das KI-Potenzial für ${p} und liefert konkrete Handlungsempfehlungen.`,
+    employees: 'MA',
+  },
+  en: {
+    report: 'AI Status Report',
+    executive_summary: 'Executive Summary',
+    strategic_context: 'Strategic Context & Guidelines',
+    quick_wins: 'Quick Wins & Immediate Actions',
+    roadmap: 'Strategic Roadmap',
+    glossary: 'Glossary',
+    focus: 'Focus',
+    key_challenges: 'Key Challenges',
+    guardrails: 'AI Guardrails',
+    goals: 'Strategic Goals',
+    processes: 'Time-Critical Processes',
+    model: 'Business Model Evolution',
+    vision: 'Vision (3 Years)',
+    projects: 'AI Projects So Far',
+    intro: (p) => `This report analyses the AI potential for ${p} and provides concrete recommendations.`,
+    employees: 'employees',
+  },
+};
+
+const DEFAULTS = {
+  de: {
+    quick_wins: [
+      { title: 'KI-gestützte Dokumentation', text: 'Direkte Zeitersparnis durch Vorlagen und Textgenerierung.' },
+      { title: 'Prozess-Analyse', text: 'Weitere Automatisierungspotenziale identifizieren.' },
+      { title: 'Team-Enablement', text: 'Mitarbeitende für den effektiven KI-Einsatz schulen.' },
+    ],
+    roadmap: [
+      { title: 'Phase 1: Foundation (Monate 1–3)', items: ['KI-Readiness-Assessment', 'Datenqualität prüfen', 'Quick Wins umsetzen'] },
+      { title: 'Phase 2: Expansion (Monate 4–8)', items: ['Pilot-Projekte ausrollen', 'KI-Governance etablieren', 'ROI-Messung'] },
+      { title: 'Phase 3: Skalierung (Monate 9–12)', items: ['Piloten unternehmensweit ausrollen', 'Kontinuierliche Verbesserung'] },
+    ],
+    glossary: [
+      { term: 'KI (Künstliche Intelligenz)', definition: 'Technologien, die menschenähnliche kognitive Fähigkeiten simulieren.' },
+      { term: 'LLM (Large Language Model)', definition: 'Große Sprachmodelle wie GPT-4, Claude oder LLaMA.' },
+      { term: 'Guardrails', definition: 'Definierte Grenzen und Regeln für den ethischen KI-Einsatz.' },
+      { term: 'DSGVO', definition: 'Datenschutz-Grundverordnung der Europäischen Union.' },
+    ],
+  },
+  en: {
+    quick_wins: [
+      { title: 'AI-assisted documentation', text: 'Immediate time savings through templates and text generation.' },
+      { title: 'Process analysis', text: 'Identify further automation potential.' },
+      { title: 'Team enablement', text: 'Train employees to use AI effectively.' },
+    ],
+    roadmap: [
+      { title: 'Phase 1: Foundation (months 1–3)', items: ['AI readiness assessment', 'Check data quality', 'Implement quick wins'] },
+      { title: 'Phase 2: Expansion (months 4–8)', items: ['Roll out pilot projects', 'Establish AI governance', 'Measure ROI'] },
+      { title: 'Phase 3: Scaling (months 9–12)', items: ['Roll out pilots company-wide', 'Continuous improvement'] },
+    ],
+    glossary: [
+      { term: 'AI (Artificial Intelligence)', definition: 'Technologies that simulate human-like cognitive abilities.' },
+      { term: 'LLM (Large Language Model)', definition: 'Large language models such as GPT-4, Claude or LLaMA.' },
+      { term: 'Guardrails', definition: 'Defined limits and rules for ethical AI use.' },
+      { term: 'GDPR', definition: 'General Data Protection Regulation of the European Union.' },
+    ],
+  },
+};
+
+const CSS = `
+*{box-sizing:border-box;margin:0;padding:0}
+html,body{font-family:'Segoe UI','Helvetica Neue',Arial,sans-serif;font-size:10pt;line-height:1.5;color:#1f2937}
+.chapter,.annex-section{page-break-before:always}
+.no-break{page-break-inside:avoid}
+.header{display:flex;justify-content:space-between;align-items:flex-end;padding-bottom:15px;border-bottom:2px solid #1E3A8A;margin-bottom:20px}
+.meta-info{text-align:right;font-size:9pt;color:#6b7280}
+.executive-summary{background:#f8fafc;border:1px solid #e2e8f0;border-radius:8px;padding:24px}
+.exec-title{font-size:20pt;color:#1E3A8A;margin-bottom:16px}
+.exec-highlight{border-left:4px solid #3B82F6;background:rgba(59,130,246,.05);padding:12px 16px;margin:12px 0;border-radius:0 6px 6px 0}
+.exec-highlight.guardrails{border-left-color:#DC8383;background:rgba(220,131,131,.05)}
+h2{font-size:16pt;color:#1e40af;margin:0 0 12px;padding-bottom:6px;border-bottom:2px solid #dbeafe}
+h3{font-size:13pt;margin:16px 0 8px}
+h4{font-size:11pt;margin:0 0 8px}
+p{margin-bottom:10px}
+ul,ol{margin:8px 0 12px 20px}
+li{margin-bottom:4px}
+.context-grid{display:grid;grid-template-columns:repeat(2,1fr);gap:16px;margin:20px 0}
+.context-card{border:1px solid rgba(59,130,246,.15);background:rgba(59,130,246,.03);border-radius:8px;padding:16px}
+.context-card-title{font-weight:600;font-size:11pt;color:#1E3A8A;margin-bottom:8px}
+.context-card p{font-size:9.5pt;overflow-wrap:break-word;hyphens:auto}
+.callout-guardrails{border:2px solid #DC8383;border-left-width:4px;background:rgba(220,131,131,.05);border-radius:8px;padding:16px 20px;margin:20px 0}
+.callout-guardrails h4{color:#DC8383}
+.quick-wins{background:#f0fdf4;border:1px solid #bbf7d0;border-radius:8px;padding:16px}
+.roadmap-phase{background:#fefce8;border:1px solid #fef08a;border-radius:8px;padding:16px;margin:12px 0}
+.roadmap-phase h4{color:#854d0e}
+.glossary-term{font-weight:600;color:#1E3A8A;margin-bottom:2px}
+.glossary-def{color:#4b5563;margin:0 0 12px 16px}
+`;
+
+function list(value) {
+  return Array.isArray(value) ? value.filter((v) => v != null && v !== '') : [];
+}
+
+function render(data, { html, raw }) {
+  const lang = data.lang === 'en' ? 'en' : 'de';
+  // data.labels (dual-lang profiles) may override the plain-text labels only
+  const L = { ...LABELS[lang] };
+  const labels = data.labels && typeof data.labels === 'object' ? data.labels : {};
+  for (const [key, value] of Object.entries(labels)) {
+    if (typeof value === 'string' && typeof L[key] === 'string') L[key] = value;
+  }
+  const guardrails = list(data.ki_guardrails);
+  const quickWins = list(data.quick_wins).length ? list(data.quick_wins) : DEFAULTS[lang].quick_wins;
+  const roadmap = list(data.roadmap).length ? list(data.roadmap) : DEFAULTS[lang].roadmap;
+  const glossary = list(data.glossary).length ? list(data.glossary) : DEFAULTS[lang].glossary;
+  const created = new Date().toISOString().slice(0, 10);
+
+  const header = html`
+<header class="header">
+  <div><strong>${L.report}</strong></div>
+  <div class="meta-info">
+    ${data.name}${data.code ? html` (${data.code})` : ''}<br>
+    ${data.branche || ''}${data.mitarbeiter != null ? html` · ${data.mitarbeiter} ${L.employees}` : ''}<br>
+    <small>${created}</small>
+  </div>
+</header>`;
+
+  const executiveSummary = html`
+<section class="executive-summary">
+  <h1 class="exec-title">${L.executive_summary}</h1>
+  <div class="exec-highlight"><p><strong>${L.focus}:</strong> ${data.strategische_ziele}</p></div>
+  ${data.zeitersparnis_prioritaet ? html`<div class="exec-highlight"><p><strong>${L.key_challenges}:</strong> ${data.zeitersparnis_prioritaet}</p></div>` : ''}
+  ${data.hauptleistung ? html`<p>${L.intro(data.hauptleistung)}</p>` : ''}
+  ${guardrails.length ? html`<div class="exec-highlight guardrails"><p><strong>${L.guardrails}:</strong> ${guardrails.length}</p></div>` : ''}
+</section>`;
+
+  const card = (title, text) => (text ? html`
+    <div class="context-card no-break">
+      <div class="context-card-title">${title}</div>
+      <p>${text}</p>
+    </div>` : '');
+
+  const contextGrid = html`
+<section class="chapter">
+  <h2>${L.strategic_context}</h2>
+  <div class="context-grid">
+    ${card(L.goals, data.strategische_ziele)}
+    ${card(L.processes, data.zeitersparnis_prioritaet)}
+    ${card(L.model, data.geschaeftsmodell_evolution)}
+    ${card(L.vision, data.vision_3_jahre)}
+  </div>
+  ${guardrails.length ? html`
+  <div class="callout-guardrails no-break">
+    <h4>${L.guardrails}</h4>
+    <ul>${guardrails.map((g) => html`<li>${g}</li>`)}</ul>
+  </div>` : ''}
+  ${data.ki_projekte ? html`<p><strong>${L.projects}:</strong> ${data.ki_projekte}</p>` : ''}
+</section>`;
+
+  const quickWinsSection = html`
+<section class="chapter">
+  <h2>${L.quick_wins}</h2>
+  <div class="quick-wins no-break">
+    <ol>${quickWins.map((q) => html`<li><strong>${q.title}:</strong> ${q.text || ''}</li>`)}</ol>
+  </div>
+</section>`;
+
+  const roadmapSection = html`
+<section class="chapter">
+  <h2>${L.roadmap}</h2>
+  ${roadmap.map((phase) => html`
+  <div class="roadmap-phase no-break">
+    <h4>${phase.title}</h4>
+    <ul>${list(phase.items).map((item) => html`<li>${item}</li>`)}</ul>
+  </div>`)}
+</section>`;
+
+  const glossarySection = html`
+<section class="annex-section">
+  <h2>${L.glossary}</h2>
+  ${glossary.map((g) => html`<p class="glossary-term">${g.term}</p><p class="glossary-def">${g.definition}</p>`)}
+</section>`;
+
+  return html`<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+<meta charset="utf-8">
+<title>${L.report} – ${data.name}</title>
+<style>${raw(CSS)}</style>
+</head>
+<body>
+${header}
+${executiveSummary}
+${contextGrid}
+${quickWinsSection}
+${roadmapSection}
+${glossarySection}
+</body>
+</html>`;
+}
+
+module.exports = {
+  name: 'ki-status-report',
+  version: 1,
+  description: 'KI-Status-Report: executive summary, context grid, quick wins, roadmap phases, glossary',
+  required: ['name', 'strategische_ziele'],
+  render,
+};
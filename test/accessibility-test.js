@@ -0,0 +1,98 @@
+#!/usr/bin/env node
+/**
+ * Accessibility mode test for pdf_options.accessibility.
+ *
+ * Covers the PDF side (finalizePdf: /MarkInfo, /Lang, DisplayDocTitle,
+ * untagged-PDF finding) and the X-PDF-Accessibility header on pdf-lib
+ * generated PDFs. The in-page audit needs Chromium and is covered by the
+ * rendering tests.
+ *
+ * Usage: node test/accessibility-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { PDFDocument, PDFName, PDFDict } = require('pdf-lib');
+const svc = require('./internals');
+
+async function blankPdf({ tagged }) {
+  const doc = await PDFDocument.create();
+  doc.addPage([595, 842]);
+  if (tagged) {
+    const root = doc.context.register(doc.context.obj({ Type: 'StructTreeRoot' }));
+    doc.catalog.set(PDFName.of('StructTreeRoot'), root);
+  }
+  return Buffer.from(await doc.save());
+}
+
+const audit = (findings = []) => ({ lang: 'de', findings });
+const metadata = svc.sanitizePdfOptions({ metadata: { title: 'KI-Status-Report', lang: 'de' } }).metadata;
+
+function fakeRes() {
+  const headers = {};
+  return { headers, setHeader: (k, v) => { headers[k] = v; } };
+}
+
+const cases = [
+  {
+    name: 'accessibility is a boolean option; false is not recorded as applied',
+    run: () => svc.sanitizePdfOptions({ accessibility: 1 }).accessibility === true &&
+      !('accessibility' in svc.sanitizePdfOptions({ accessibility: false })) &&
+      svc.sanitizePdfOptions({}).accessibility === undefined,
+  },
+  {
+    name: 'tagged PDF gets /MarkInfo, /Lang and DisplayDocTitle',
+    run: async () => {
+      const a = audit();
+      const out = await svc.finalizePdf(await blankPdf({ tagged: true }), { metadata, accessibility: a });
+      const doc = await PDFDocument.load(out, { updateMetadata: false });
+      const markInfo = doc.catalog.lookup(PDFName.of('MarkInfo'), PDFDict);
+      const prefs = doc.catalog.lookup(PDFName.of('ViewerPreferences'), PDFDict);
+      return a.tagged === true && a.findings.length === 0 &&
+        String(markInfo.get(PDFName.of('Marked'))) === 'true' &&
+        String(prefs.get(PDFName.of('DisplayDocTitle'))) === 'true' &&
+        doc.catalog.lookup(PDFName.of('Lang')).decodeText() === 'de' && doc.getTitle() === 'KI-Status-Report';
+    },
+  },
+  {
+    name: 'PDF without structure tree is reported, not rejected',
+    run: async () => {
+      const a = audit();
+      const out = await svc.finalizePdf(await blankPdf({ tagged: false }), { accessibility: a });
+      const doc = await PDFDocument.load(out);
+      return a.tagged === false && a.findings.some((f) => f.rule === 'pdf-untagged') &&
+        !doc.catalog.has(PDFName.of('MarkInfo'));
+    },
+  },
+  {
+    name: 'X-PDF-Accessibility summarizes findings per rule',
+    run: () => {
+      const res = fakeRes();
+      svc.reportHeaders(res, { accessibility: { tagged: true, findings: [{ rule: 'img-alt', count: 2 }, { rule: 'link-name', count: 1 }] } });
+      return res.headers['X-PDF-Accessibility'] === 'tagged; findings=2; img-alt=2; link-name=1';
+    },
+  },
+  {
+    name: 'no header without an accessibility report',
+    run: () => {
+      const res = fakeRes();
+      svc.reportHeaders(res, {});
+      return Object.keys(res.headers).length === 0;
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf accessibility ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Sub-resource policy test.
+ *
+ * Configures a host allowlist, a request budget and one tenant key, then
+ * checks checkSubresource()/admitSubresource() decisions, tenant selection and
+ * auth via X-PDF-Secret, the cache key per policy, and that the asset inliner
+ * follows the caller's allowlist (against a local HTTP stand-in) and counts
+ * blocked fetches in pdf_subresources_blocked_total. respondFromNetwork() is
+ * driven with stand-in request objects and a fake resolver (setResolver) that
+ * maps a made-up name to the stand-in. The SSRF guard is
+ * switched off for this process only, because the stand-in listens on
+ * loopback. No Chromium.
+ *
+ * Usage: node test/asset-policy-test.js
+ */
+'use strict';
+
+const TENANT_KEY = 'acme-tenant-key-0123456789';
+process.env.PDF_SHARED_SECRET = 'asset-policy-test-secret';
+process.env.PDF_SSRF_GUARD = '0';
+process.env.PDF_ASSET_ALLOWLIST = 'cdn.example.com, *.fonts.example, not a host';
+process.env.PDF_SUBRESOURCE_MAX = '3';
+process.env.PDF_TENANTS = JSON.stringify({
+  acme: { key: TENANT_KEY, allow: ['127.0.0.1'], max_requests: 10 },
+  short: { key: 'too-short' },
+});
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const svc = require('./internals');
+const { fakeRequest, blockedCount } = require('./stand-ins');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const reqWith = (secret) => ({ headers: secret === undefined ? {} : { 'x-pdf-secret': secret } });
+
+let base;
+
+const cases = [
+  {
+    name: 'allowlist: exact hosts and *. subdomains pass, everything else is blocked',
+    run: async () => (await svc.checkSubresource('https://cdn.example.com/logo.png')) === null &&
+      (await svc.checkSubresource('https://a.fonts.example/inter.woff2')) === null &&
+      (await svc.checkSubresource('https://fonts.example/inter.woff2')) === 'allowlist' &&
+      (await svc.checkSubresource('https://evil.example.org/x.png')) === 'allowlist' &&
+      (await svc.checkSubresource('file:///etc/passwd')) === 'scheme' &&
+      (await svc.checkSubresource('data:image/png;base64,AAAA')) === null,
+  },
+  {
+    name: 'request budget: the 4th allowed request is blocked, blocked ones cost nothing',
+    run: async () => {
+      const budget = svc.makeSubresourceBudget();
+      const decisions = [];
+      for (const url of ['https://cdn.example.com/1', 'https://evil.example.org/x', 'data:,x',
+        'https://cdn.example.com/2', 'https://cdn.example.com/3', 'https://cdn.example.com/4', 'https://cdn.example.com/5']) {
+        // eslint-disable-next-line no-await-in-loop
+        decisions.push(await svc.admitSubresource(url, budget));
+      }
+      return decisions.join(',') === ',allowlist,,,,max_requests,max_requests' && budget.requests === 4;
+    },
+  },
+  {
+    name: 'a tenant key selects its policy and authenticates; short keys are ignored',
+    run: async () => {
+      const acme = svc.assetPolicyFor(reqWith(TENANT_KEY));
+      const other = svc.assetPolicyFor(reqWith('asset-policy-test-secret'));
+      return acme.tenant === 'acme' && acme.allow.join() === '127.0.0.1' && acme.maxRequests === 10 &&
+        acme.maxBytes === other.maxBytes && other.tenant === null &&
+        other.allow.join() === 'cdn.example.com,*.fonts.example' &&
+        svc.isAuthorized(reqWith(TENANT_KEY)) && svc.isAuthorized(reqWith('asset-policy-test-secret')) &&
+        !svc.isAuthorized(reqWith('too-short')) && !svc.isAuthorized(reqWith());
+    },
+  },
+  {
+    name: 'the cache key differs per policy',
+    run: async () => {
+      const html = '<html><body><img src="https://cdn.example.com/logo.png"></body></html>';
+      const opts = svc.sanitizePdfOptions({});
+      const safe = svc.sanitizeForRender(html, opts).html;
+      const a = svc.renderCacheKey(safe, opts, 1000, { policy: svc.assetPolicyFor(reqWith()) });
+      const b = svc.renderCacheKey(safe, opts, 1000, { policy: svc.assetPolicyFor(reqWith(TENANT_KEY)) });
+      return a && b && a !== b && a === svc.renderCacheKey(safe, opts, 1000);
+    },
+  },
+  {
+    name: 'the inliner follows the caller\'s allowlist and counts blocked fetches',
+    run: async () => {
+      const html = `<img src="${base}/logo.png">`;
+      const before = await blockedCount('allowlist');
+      const denied = await svc.inlineRemoteAssets(html, svc.makeInliner(svc.assetPolicyFor(reqWith())));
+      const allowed = await svc.inlineRemoteAssets(html, svc.makeInliner(svc.assetPolicyFor(reqWith(TENANT_KEY))));
+      return denied.html === html && denied.report.assets[0].error === 'blocked (allowlist)' &&
+        allowed.report.inlined === 1 && allowed.html.includes('data:image/png;base64,') &&
+        (await blockedCount('allowlist')) === before + 1;
+    },
+  },
+  {
+    name: 'respondFromNetwork fulfils from the resolved address and meters the byte budget',
+    run: async () => {
+      svc.setResolver(async () => [{ address: '127.0.0.1', family: 4 }]);
+      const url = `${base.replace('127.0.0.1', 'assets.test')}/logo.png`;
+      const budget = svc.makeSubresourceBudget();
+      const ok = fakeRequest(url);
+      await svc.respondFromNetwork(ok, budget);
+      const tight = svc.makeSubresourceBudget({ ...svc.assetPolicyFor(reqWith()), maxBytes: 8 });
+      const over = fakeRequest(url);
+      await svc.respondFromNetwork(over, tight);
+      svc.setResolver(null);
+      return ok.answer.kind === 'respond' && ok.answer.status === 200 && ok.answer.body.equals(PNG) &&
+        ok.answer.headers['content-type'] === 'image/png' && !('content-length' in ok.answer.headers) &&
+        budget.bytes === PNG.length && over.answer.kind === 'abort' && tight.exhausted === 'max_bytes';
+    },
+  },
+];
+
+(async () => {
+  const server = http.createServer((req, res) => {
+    res.setHeader('Content-Type', 'image/png');
+    res.end(PNG);
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  let pass = 0;
+  let fail = 0;
+  console.log('── sub-resource policy ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+/**
+ * Batch rendering test.
+ *
+ * Builds the app with a stand-in renderer (createApp({ render })) and posts to
+ * its /generate-pdf/batch: ZIP output with manifest.json,
+ * JSON output with base64 PDFs, unique file names in the ZIP, per-item
+ * failures, the pool-sized concurrency limit, the tenant policy reaching the
+ * renderer, 400s and the 413 batch_too_large path. No Chromium.
+ *
+ * Usage: node test/batch-test.js
+ */
+'use strict';
+
+process.env.PDF_BATCH_MAX_ITEMS = '5';
+process.env.BROWSER_POOL_SIZE = '2';
+process.env.PDF_SHARED_SECRET = 'batch-test-secret';
+process.env.PDF_TENANTS = JSON.stringify({ acme: { key: 'acme-tenant-key-0123456789', allow: ['cdn.acme.example'] } });
+process.env.LOG_LEVEL = 'silent';
+
+const JSZip = require('jszip');
+const svc = require('./internals');
+
+const SECRET = process.env.PDF_SHARED_SECRET;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stand-in renderer: the "PDF" names the HTML it was rendered from; HTML
+// "too-big" fails like an oversized PDF would.
+let calls = [];
+let inFlight = 0;
+let maxInFlight = 0;
+const render = async (html, filename, effectiveMaxBytes, pdfOptions, dumper, onProgress, report, sources) => {
+  calls.push({ html, filename, policy: sources.policy });
+  inFlight += 1;
+  maxInFlight = Math.max(maxInFlight, inFlight);
+  await sleep(40);
+  inFlight -= 1;
+  if (html === 'too-big') {
+    const err = new Error('PDF too large');
+    err.status = 413;
+    err.reason = 'pdf_too_large';
+    throw err;
+  }
+  if (report) report.pages = 1;
+  return Buffer.from(`%PDF-${html}`);
+};
+const app = svc.createApp({ render });
+
+let base;
+async function post(body, secret = SECRET) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) headers['X-PDF-Secret'] = secret;
+  const r = await fetch(`${base}/generate-pdf/batch`, { method: 'POST', body: JSON.stringify(body), headers });
+  return { status: r.status, headers: r.headers, body: Buffer.from(await r.arrayBuffer()) };
+}
+
+const cases = [
+  {
+    name: 'ZIP output: one PDF per item plus manifest.json, failures only in the manifest',
+    run: async () => {
+      calls = [];
+      const r = await post({
+        items: [{ html: 'one', filename: 'one.pdf' }, { html: 'two' }, { filename: 'missing.pdf' }, { html: 'too-big', filename: 'big.pdf' }],
+      });
+      const zip = await JSZip.loadAsync(r.body);
+      const manifest = JSON.parse(await zip.file('manifest.json').async('string'));
+      const names = Object.keys(zip.files).sort().join();
+      return r.status === 200 && r.headers.get('content-type') === 'application/zip' &&
+        r.headers.get('x-pdf-batch-items') === '4' && r.headers.get('x-pdf-batch-failed') === '2' &&
+        names === 'manifest.json,one.pdf,report-2.pdf' &&
+        (await zip.file('one.pdf').async('string')) === '%PDF-one' && manifest.ok === false &&
+        manifest.items[0].status === 'ok' && manifest.items[0].bytes === 8 && manifest.items[0].pages === 1 &&
+        manifest.items[2].reason === 'html_missing' &&
+        manifest.items[3].status === 'failed' && manifest.items[3].http_status === 413 && calls.length === 3;
+    },
+  },
+  {
+    name: 'JSON output: base64 PDFs in item order',
+    run: async () => {
+      const r = await post({ items: [{ html: 'a', filename: 'a.pdf' }, { html: 'b', filename: 'b.pdf' }], output: 'json' });
+      const json = JSON.parse(r.body);
+      return r.status === 200 && json.ok === true && json.items.length === 2 &&
+        Buffer.from(json.items[0].pdf_base64, 'base64').toString() === '%PDF-a' &&
+        Buffer.from(json.items[1].pdf_base64, 'base64').toString() === '%PDF-b' && json.items[1].filename === 'b.pdf';
+    },
+  },
+  {
+    name: 'duplicate file names never overwrite each other in the ZIP',
+    run: async () => {
+      const r = await post({
+        items: ['a.pdf', 'a.pdf', 'a-2.pdf', 'manifest.json'].map((filename, i) => ({ html: `p${i}`, filename })),
+      });
+      const zip = await JSZip.loadAsync(r.body);
+      const names = svc.uniqueFilenames([{ filename: 'x' }, { filename: 'x' }, {}, { filename: 'report-3.pdf' }]);
+      return Object.keys(zip.files).length === 5 &&
+        (await zip.file('a.pdf').async('string')) === '%PDF-p0' &&
+        (await zip.file('a-2.pdf').async('string')) === '%PDF-p1' &&
+        (await zip.file('a-2-2.pdf').async('string')) === '%PDF-p2' &&
+        (await zip.file('manifest-2.json').async('string')) === '%PDF-p3' &&
+        names.join() === 'x,x-2,report-3.pdf,report-3-2.pdf';
+    },
+  },
+  {
+    name: 'at most BROWSER_POOL_SIZE items render at the same time',
+    run: async () => {
+      maxInFlight = 0;
+      const r = await post({ items: [1, 2, 3, 4, 5].map((n) => ({ html: `n${n}` })) });
+      return r.status === 200 && maxInFlight === 2;
+    },
+  },
+  {
+    name: 'the caller\'s tenant policy reaches the renderer',
+    run: async () => {
+      calls = [];
+      await post({ items: [{ html: 't' }] }, 'acme-tenant-key-0123456789');
+      const tenant = calls[0].policy;
+      calls = [];
+      await post({ items: [{ html: 't' }] });
+      return tenant.tenant === 'acme' && tenant.allow.join() === 'cdn.acme.example' && calls[0].policy.tenant === null;
+    },
+  },
+  {
+    name: 'more than PDF_BATCH_MAX_ITEMS → 413 batch_too_large, nothing rendered',
+    run: async () => {
+      calls = [];
+      const r = await post({ items: [1, 2, 3, 4, 5, 6].map((n) => ({ html: `n${n}` })) });
+      const json = JSON.parse(r.body);
+      return r.status === 413 && json.reason === 'batch_too_large' && json.items === 6 && json.limit_items === 5 &&
+        calls.length === 0;
+    },
+  },
+  {
+    name: 'empty items, unknown output and missing auth are rejected',
+    run: async () => {
+      const empty = await post({ items: [] });
+      const output = await post({ items: [{ html: 'x' }], output: 'tar' });
+      const unauthorized = await post({ items: [{ html: 'x' }] }, null);
+      return empty.status === 400 && output.status === 400 && unauthorized.status === 401;
+    },
+  },
+];
+
+(async () => {
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  let pass = 0;
+  let fail = 0;
+  console.log('── batch rendering ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
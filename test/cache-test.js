@@ -0,0 +1,206 @@
+#!/usr/bin/env node
+/**
+ * Render cache test.
+ *
+ * Exercises the cache helpers from index.js without Chromium: key stability
+ * and sensitivity (no key for encrypted or signed output, the day for {date}), ETag comparison, memory LRU by bytes, TTL, the disk tier,
+ * and renderThroughCache() answering If-None-Match with 304 and serving hits
+ * without rendering (a miss renders through the app's stand-in renderer).
+ *
+ * Usage: node test/cache-test.js
+ */
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-cache-test-'));
+process.env.PDF_CACHE = '1';
+process.env.PDF_CACHE_DIR = CACHE_DIR;
+process.env.PDF_CACHE_TTL_SEC = '1';
+process.env.PDF_CACHE_MAX_MB = '1';
+process.env.LOG_LEVEL = 'silent';
+
+const svc = require('./internals');
+
+const HTML = '<html><body><h1>Report</h1><!-- comment --></body></html>';
+const opts = (input) => svc.sanitizePdfOptions(input);
+// The key is taken over the HTML as the render prints it
+const keyOf = (html, pdfOptions, ...rest) => svc.renderCacheKey(svc.sanitizeForRender(html, pdfOptions).html, pdfOptions, ...rest);
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function getJson(urlPath) {
+  return new Promise((resolve, reject) => {
+    const server = svc.createApp().listen(0, '127.0.0.1', () => {
+      http.get(`http://127.0.0.1:${server.address().port}${urlPath}`, (res) => {
+        let body = '';
+        res.on('data', (c) => { body += c; });
+        res.on('end', () => { server.close(); resolve(JSON.parse(body)); });
+      }).on('error', (e) => { server.close(); reject(e); });
+    });
+  });
+}
+
+// Request as renderThroughCache() sees it, from an app with a stand-in renderer
+const fakeReq = (headers, render = async () => { throw new Error('unexpected render'); }) => ({ headers, app: { locals: { render } } });
+
+function fakeRes() {
+  return {
+    headers: {},
+    statusCode: 200,
+    setHeader(k, v) { this.headers[k.toLowerCase()] = v; },
+    status(code) { this.statusCode = code; return this; },
+    end() { this.ended = true; },
+  };
+}
+
+const cases = [
+  {
+    name: 'key is stable and ignores what sanitizing removes',
+    run: () => keyOf(HTML, opts({ format: 'A4' }), 1000) ===
+      keyOf(HTML.replace('<!-- comment -->', ''), opts({ format: 'A4' }), 1000),
+  },
+  {
+    name: 'key changes with format, margins, templates and size limit',
+    run: () => {
+      const base = keyOf(HTML, opts({}), 1000);
+      return [
+        keyOf(HTML, opts({ format: 'Letter' }), 1000),
+        keyOf(HTML, opts({ margin: { top: '20mm' } }), 1000),
+        keyOf(HTML, opts({ displayHeaderFooter: true, footerTemplate: '<span class="pageNumber"></span>' }), 1000),
+        keyOf(HTML, opts({}), 2000),
+      ].every((k) => k && k !== base);
+    },
+  },
+  {
+    name: 'encrypted output is never cached',
+    run: () => keyOf(HTML, opts({ security: { ownerPassword: 'x' } }), 1000) === null,
+  },
+  {
+    name: 'signed output is never cached',
+    run: () => keyOf(HTML, { ...opts({}), signature: { visible: false, page: 'last' } }, 1000) === null,
+  },
+  {
+    name: 'a {date} in the header/footer presets keys on the day, other presets do not',
+    run: () => {
+      const dated = opts({ footer: { preset: 'none', left: 'Stand: {date}' } });
+      const plain = opts({ footer: 'page-x-of-y' });
+      const today = [keyOf(HTML, dated, 1000), keyOf(HTML, plain, 1000)];
+      const { toDateString } = Date.prototype;
+      Date.prototype.toDateString = () => 'Thu Jan 01 2099';
+      const tomorrow = [keyOf(HTML, dated, 1000), keyOf(HTML, plain, 1000)];
+      Date.prototype.toDateString = toDateString;
+      return today[0] !== tomorrow[0] && today[1] === tomorrow[1];
+    },
+  },
+  {
+    name: 'ETag comparison is weak and handles lists; * only matches an existing entry',
+    run: () => svc.etagMatches('"a", W/"pdf-abc"', 'W/"pdf-abc"') && svc.etagMatches('"pdf-abc"', 'W/"pdf-abc"') &&
+      svc.etagMatches('*', 'W/"pdf-abc"', true) && !svc.etagMatches('*', 'W/"pdf-abc"') &&
+      !svc.etagMatches('W/"pdf-abd"', 'W/"pdf-abc"') && !svc.etagMatches(undefined, 'W/"x"'),
+  },
+  {
+    name: 'If-None-Match with the ETag answers 304 without rendering',
+    run: async () => {
+      const key = keyOf(HTML, opts({}), 1000);
+      const res = fakeRes();
+      const req = fakeReq({ 'if-none-match': `W/"pdf-${key.slice(0, 40)}"` });
+      const out = await svc.renderThroughCache(req, res, '/generate-pdf', {
+        html: HTML, filename: 'r.pdf', effectiveMaxBytes: 1000, pdfOptions: opts({}), dumper: null, report: {},
+      });
+      return out === null && res.statusCode === 304 && res.ended && res.headers.etag.includes(key.slice(0, 40));
+    },
+  },
+  {
+    name: 'If-None-Match: * renders when nothing is cached, 304 once an entry exists',
+    run: async () => {
+      const pdfOptions = opts({ format: 'A5' });
+      let renders = 0;
+      const render = async () => { renders += 1; return Buffer.from('%PDF-fresh'); };
+      const request = async () => {
+        const res = fakeRes();
+        const out = await svc.renderThroughCache(fakeReq({ 'if-none-match': '*' }, render), res, '/generate-pdf', {
+          html: HTML, filename: 'r.pdf', effectiveMaxBytes: 1000, pdfOptions, dumper: null, report: {},
+        });
+        return { res, out };
+      };
+      const first = await request();
+      const second = await request();
+      return renders === 1 && first.out.toString() === '%PDF-fresh' && first.res.headers['x-pdf-cache'] === 'miss' &&
+        second.out === null && second.res.statusCode === 304;
+    },
+  },
+  {
+    name: 'a miss hands the renderer the HTML it sanitized for the key',
+    run: async () => {
+      const pdfOptions = opts({ format: 'A6' });
+      let sources;
+      const render = async (...args) => { [, , , , , , , sources] = args; return Buffer.from('%PDF-miss'); };
+      const res = fakeRes();
+      await svc.renderThroughCache(fakeReq({}, render), res, '/generate-pdf', {
+        html: HTML, filename: 'r.pdf', effectiveMaxBytes: 1000, pdfOptions, dumper: null, report: {},
+      });
+      return res.headers['x-pdf-cache'] === 'miss' && sources.safe.html === svc.sanitizeForRender(HTML, pdfOptions).html &&
+        res.headers.etag.includes(svc.renderCacheKey(sources.safe.html, pdfOptions, 1000).slice(0, 40));
+    },
+  },
+  {
+    name: 'hit is served from memory with its report',
+    run: async () => {
+      const pdfOptions = opts({ accessibility: true });
+      const key = keyOf(HTML, pdfOptions, 1000);
+      await svc.cachePut(key, Buffer.from('%PDF-cached'), { accessibility: { tagged: true, findings: [] } });
+      const res = fakeRes();
+      const report = {};
+      const out = await svc.renderThroughCache(fakeReq({}), res, '/generate-pdf', {
+        html: HTML, filename: 'r.pdf', effectiveMaxBytes: 1000, pdfOptions, dumper: null, report,
+      });
+      return out.toString() === '%PDF-cached' && res.headers['x-pdf-cache'] === 'hit' && report.accessibility.tagged;
+    },
+  },
+  {
+    name: 'disk tier: entry written as .pdf/.json and read back',
+    run: async () => {
+      const key = 'd'.repeat(64);
+      await svc.cachePut(key, Buffer.from('%PDF-disk'), { n: 1 });
+      const files = fs.readdirSync(CACHE_DIR).filter((f) => f.startsWith(key)).sort();
+      return files.join(',') === `${key}.json,${key}.pdf` && (await svc.cacheGet(key)).pdf.toString() === '%PDF-disk';
+    },
+  },
+  {
+    name: 'memory is bounded: older entries are evicted by bytes',
+    run: async () => {
+      const big = Buffer.alloc(200 * 1024, 1); // 1 MB cache, entries up to 256 KB
+      const keys = Array.from({ length: 6 }, (_, i) => `${'e'.repeat(63)}${i}`);
+      for (const k of keys) await svc.cachePut(k, big, {}); // eslint-disable-line no-await-in-loop
+      const health = await getJson('/health');
+      return health.cache.bytes <= 1024 * 1024 && health.cache.entries < 10;
+    },
+  },
+  {
+    name: 'entries expire after the TTL (memory and disk)',
+    run: async () => {
+      const key = 'f'.repeat(64);
+      await svc.cachePut(key, Buffer.from('%PDF-old'), {});
+      await sleep(1100);
+      return (await svc.cacheGet(key)) === null;
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── render cache ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+/**
+ * Job callback (webhook) delivery test.
+ *
+ * Starts a local HTTP stand-in as callback receiver and drives
+ * deliverCallback() from index.js against it: HMAC signature, retry with
+ * backoff on 5xx, no retry on 4xx, SSRF rejection of internal targets.
+ * The SSRF guard is switched off for this process only, because the
+ * stand-in necessarily listens on loopback. No Chromium is launched.
+ *
+ * Usage: node test/callback-webhook-test.js
+ */
+'use strict';
+
+process.env.PDF_SHARED_SECRET = 'callback-test-secret';
+process.env.PDF_SSRF_GUARD = '0';
+process.env.PDF_CALLBACK_RETRIES = '3';
+process.env.PDF_CALLBACK_BACKOFF_MS = '20';
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const crypto = require('crypto');
+const svc = require('./internals');
+
+// Receiver side of the contract, as documented in index.js.
+const KEY = Buffer.from(crypto.hkdfSync('sha256', process.env.PDF_SHARED_SECRET, '', svc.CALLBACK_KEY_INFO, 32));
+function verify(body, signature) {
+  const expected = 'sha256=' + crypto.createHmac('sha256', KEY).update(body).digest('hex');
+  return signature === expected;
+}
+
+// Scripted receiver: answers each hit with the next status from `script`.
+function startReceiver(script) {
+  const hits = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => {
+      hits.push({ at: Date.now(), body, signature: req.headers['x-pdf-signature'], jobId: req.headers['x-pdf-job-id'] });
+      res.statusCode = script[Math.min(hits.length - 1, script.length - 1)];
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ url: `http://127.0.0.1:${server.address().port}/hook`, hits, close: () => server.close() });
+    });
+  });
+}
+
+const payload = { event: 'pdf.job.finished', job_id: 'job-1', status: 'done', bytes: 1234, pass: 2, duration_ms: 42 };
+
+const cases = [
+  {
+    name: 'delivers once on 200 with a valid HMAC signature',
+    run: async () => {
+      const rx = await startReceiver([200]);
+      const r = await svc.deliverCallback(rx.url, payload);
+      rx.close();
+      return r.delivered && r.attempts === 1 && rx.hits.length === 1 &&
+        verify(rx.hits[0].body, rx.hits[0].signature) && rx.hits[0].jobId === 'job-1' &&
+        JSON.parse(rx.hits[0].body).bytes === 1234;
+    },
+  },
+  {
+    name: 'signature does not verify for a tampered body',
+    run: async () => {
+      const rx = await startReceiver([200]);
+      await svc.deliverCallback(rx.url, payload);
+      rx.close();
+      const tampered = rx.hits[0].body.replace('1234', '9999');
+      return !verify(tampered, rx.hits[0].signature);
+    },
+  },
+  {
+    name: 'retries 5xx with growing backoff, then succeeds',
+    run: async () => {
+      const rx = await startReceiver([503, 500, 200]);
+      const r = await svc.deliverCallback(rx.url, payload);
+      rx.close();
+      const gap1 = rx.hits[1].at - rx.hits[0].at;
+      const gap2 = rx.hits[2].at - rx.hits[1].at;
+      return r.delivered && r.attempts === 3 && gap1 >= 20 && gap2 >= 40;
+    },
+  },
+  {
+    name: 'gives up after the configured retries',
+    run: async () => {
+      const rx = await startReceiver([500]);
+      const r = await svc.deliverCallback(rx.url, payload);
+      rx.close();
+      return !r.delivered && r.attempts === 4 && rx.hits.length === 4;
+    },
+  },
+  {
+    name: 'does not retry a 4xx answer',
+    run: async () => {
+      const rx = await startReceiver([400]);
+      const r = await svc.deliverCallback(rx.url, payload);
+      rx.close();
+      return !r.delivered && r.attempts === 1 && r.error === 'HTTP 400';
+    },
+  },
+  {
+    name: 'rejects non-http(s) callback targets',
+    run: async () => (await svc.checkCallbackUrl('file:///etc/passwd')) !== null &&
+      (await svc.checkCallbackUrl('not a url')) !== null,
+  },
+  {
+    name: 'isBlockedRequestUrl flags internal callback targets',
+    run: async () => (await svc.isBlockedRequestUrl('http://127.0.0.1:8080/hook')) &&
+      (await svc.isBlockedRequestUrl('http://169.254.169.254/latest')) &&
+      (await svc.isBlockedRequestUrl('http://backend.internal/hook')),
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── job callback delivery ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -19,15 +19,16 @@ const checks = [
   { name: 'header parsed in handleRender',                  re: /req\.headers\['x-pdf-debug-dump'\]/ },
   { name: 'makeDumper helper defined',                      re: /function\s+makeDumper\s*\(/ },
   { name: 'DEBUG_DUMP_DIR env-configurable',                re: /PDF_DEBUG_DUMP_DIR/ },
-  { name: 'sanitize accepts a dumper',                      re: /function\s+sanitize\s*\(\s*html\s*,\s*dumper\s*\)/ },
+  { name: 'sanitizeHtml accepts a dumper',                  re: /function\s+sanitizeHtml\s*\(\s*html\s*,\s*dumper\s*,/ },
   { name: 'stage 1-raw dumped before stripAtRules',         re: /dumper\.dump\(\s*'1-raw'/ },
   { name: 'stage 2-stripped dumped after stripAtRules',     re: /dumper\.dump\(\s*'2-stripped'/ },
   { name: 'stage 3-consolidated dumped after minifySoft',   re: /dumper\.dump\(\s*'3-consolidated'/ },
+  { name: 'stage 3-inlined dumped after asset inlining',     re: /dumper\.dump\(\s*'3-inlined'/ },
   { name: 'stage 4-rendered dumped from page.content()',    re: /dumper\.dump\(\s*'4-rendered'/ },
   { name: 'page.content() called for stage 4',              re: /await\s+page\.content\(\)/ },
   { name: 'logger marker [PDF-DEBUG-DUMP] present',         re: /\[PDF-DEBUG-DUMP\]/ },
   { name: 'response surfaces X-PDF-Debug-Dump-Id',          re: /X-PDF-Debug-Dump-Id/ },
-  { name: 'sanitize call passes dumper',                    re: /sanitize\(\s*html\s*,\s*dumper\s*\)/ },
+  { name: 'sanitizeHtml call passes dumper',                re: /=\s*sanitizeHtml\(\s*html\s*,\s*dumper\s*,/ },
 ];
 
 // Also exercise the dumper semantics in isolation by replicating its core.
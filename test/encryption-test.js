@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * AES-256 encryption test for pdf_options.security.
+ *
+ * Encrypts a pdf-lib generated PDF via finalizePdf() and checks it from the
+ * reader's side, following ISO 32000-2 (standard security handler R6): the
+ * user and owner passwords validate against /U and /O, /UE unwraps the file
+ * key, /Perms carries the permission flags, and content decrypts back to the
+ * original. Also checks that passwords never serialize. No Chromium.
+ *
+ * Usage: node test/encryption-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const crypto = require('crypto');
+const util = require('util');
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFDict, PDFArray, StandardFonts } = require('pdf-lib');
+const svc = require('./internals');
+
+const USER = 'Öffnen-2025';
+const OWNER = 'owner-secret';
+
+// Reader side: Algorithm 2.B and AES-256 as specified, independent of index.js.
+function aes(algorithm, key, iv, data, padding, decipher = false) {
+  const c = decipher ? crypto.createDecipheriv(algorithm, key, iv) : crypto.createCipheriv(algorithm, key, iv);
+  c.setAutoPadding(padding);
+  return Buffer.concat([c.update(data), c.final()]);
+}
+function hash(password, salt, udata = Buffer.alloc(0)) {
+  let k = crypto.createHash('sha256').update(Buffer.concat([password, salt, udata])).digest();
+  let i = 0;
+  let e;
+  do {
+    const k1 = Buffer.concat(new Array(64).fill(Buffer.concat([password, k, udata])));
+    e = aes('aes-128-cbc', k.subarray(0, 16), k.subarray(16, 32), k1, false);
+    const mod = e.subarray(0, 16).reduce((sum, b) => sum + b, 0) % 3;
+    k = crypto.createHash(['sha256', 'sha384', 'sha512'][mod]).update(e).digest();
+    i += 1;
+  } while (i < 64 || e[e.length - 1] > i - 32);
+  return k.subarray(0, 32);
+}
+
+async function encrypted(security) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  doc.addPage([595, 842]).drawText('Geheime Strategie', { x: 50, y: 700, font });
+  const src = Buffer.from(await doc.save({ useObjectStreams: false }));
+  const opts = svc.sanitizePdfOptions({ security });
+  const out = await svc.finalizePdf(src, { security: opts.security, metadata: { title: 'Vertraulich' } });
+  const enc = await PDFDocument.load(out, { ignoreEncryption: true, updateMetadata: false });
+  const dict = enc.context.lookup(enc.context.trailerInfo.Encrypt, PDFDict);
+  const bytes = (key) => Buffer.from(dict.lookup(PDFName.of(key)).asBytes());
+  return { out, enc, dict, U: bytes('U'), UE: bytes('UE'), O: bytes('O'), Perms: bytes('Perms') };
+}
+
+function fileKey({ U, UE }, password) {
+  const pw = Buffer.from(password, 'utf8');
+  if (!hash(pw, U.subarray(32, 40)).equals(U.subarray(0, 32))) return null;
+  return aes('aes-256-cbc', hash(pw, U.subarray(40, 48)), Buffer.alloc(16), UE, false, true);
+}
+
+const cases = [
+  {
+    name: 'invalid security options are rejected, not ignored',
+    run: () => {
+      const reason = (input) => {
+        try { svc.sanitizePdfOptions({ security: input }); return null; } catch (e) { return e.status === 400 && e.reason; }
+      };
+      return reason('secret') === 'invalid_security_options' &&
+        reason({ userPassword: 42 }) === 'invalid_security_options' &&
+        reason({ ownerPassword: 'x'.repeat(200) }) === 'invalid_security_options' &&
+        reason({ userPassword: 'a', permissions: 'all' }) === 'invalid_security_options';
+    },
+  },
+  {
+    name: 'security and PDF/A conformance conflict',
+    run: () => {
+      try {
+        svc.sanitizePdfOptions({ conformance: 'PDF/A-2b', security: { userPassword: 'a' } });
+        return false;
+      } catch (e) {
+        return e.status === 400 && e.reason === 'pdf_options_conflict';
+      }
+    },
+  },
+  {
+    name: 'passwords never serialize (JSON, inspect, string)',
+    run: () => {
+      const opts = svc.sanitizePdfOptions({ security: { user_password: USER, owner_password: OWNER } });
+      const dumps = [JSON.stringify(opts), util.inspect(opts, { depth: 5 }), `${opts.security.userPassword}`];
+      return dumps.every((d) => !d.includes(USER) && !d.includes(OWNER)) && opts.security.userPassword.reveal() === USER;
+    },
+  },
+  {
+    name: 'AES-256 (V5/R6) dictionary, content no longer readable',
+    run: async () => {
+      const { out, dict } = await encrypted({ userPassword: USER, ownerPassword: OWNER });
+      const cf = dict.lookup(PDFName.of('CF'), PDFDict).lookup(PDFName.of('StdCF'), PDFDict);
+      return dict.lookup(PDFName.of('V')).asNumber() === 5 && dict.lookup(PDFName.of('R')).asNumber() === 6 &&
+        String(cf.get(PDFName.of('CFM'))) === '/AESV3' &&
+        !out.includes('Geheime') && !out.includes('Vertraulich') && out.toString('latin1').startsWith('%PDF-1.7');
+    },
+  },
+  {
+    name: 'user password unlocks the file key, a wrong one does not',
+    run: async () => {
+      const e = await encrypted({ userPassword: USER, ownerPassword: OWNER });
+      return fileKey(e, USER.normalize('NFKC')) !== null && fileKey(e, 'wrong') === null;
+    },
+  },
+  {
+    name: 'owner password validates against /O',
+    run: async () => {
+      const { U, O } = await encrypted({ userPassword: USER, ownerPassword: OWNER });
+      return hash(Buffer.from(OWNER), O.subarray(32, 40), U).equals(O.subarray(0, 32));
+    },
+  },
+  {
+    name: '/Perms matches /P with only the granted permissions',
+    run: async () => {
+      const e = await encrypted({ userPassword: USER, ownerPassword: OWNER, permissions: { print: true } });
+      const perms = aes('aes-256-ecb', fileKey(e, USER), null, e.Perms, false, true);
+      const p = e.dict.lookup(PDFName.of('P')).asNumber();
+      return perms.toString('ascii', 9, 12) === 'adb' && perms.readInt32LE(0) === p &&
+        (p & 4) !== 0 && (p & 16) === 0 && (p & 8) === 0 && (p & 512) !== 0;
+    },
+  },
+  {
+    name: 'page content decrypts back (empty user password opens without prompt)',
+    run: async () => {
+      const e = await encrypted({ ownerPassword: OWNER });
+      const key = fileKey(e, '');
+      const contents = e.enc.getPages()[0].node.Contents();
+      const streams = contents instanceof PDFArray ? contents.asArray().map((r) => e.enc.context.lookup(r)) : [contents];
+      const text = streams.map((stream) => {
+        const raw = Buffer.from(stream.getContents());
+        const plain = aes('aes-256-cbc', key, raw.subarray(0, 16), raw.subarray(16), true, true);
+        return stream.dict.has(PDFName.of('Filter')) ? zlib.inflateSync(plain) : plain;
+      }).join('');
+      return text.includes('Tj');
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf encryption ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+/**
+ * pdf_options.header / pdf_options.footer preset test.
+ *
+ * Validates the presets via sanitizePdfOptions() and stamps pdf-lib generated
+ * PDFs via finalizePdf(): localized "Seite X von Y" labels, slot placement
+ * (left/center/right, header/footer band), {title}/{date} placeholders and
+ * artifact marking, cover pages without header/footer and the numbering offset.
+ * Text is read back from the decoded content streams. The Chromium template
+ * path (clearHeaderFooter) runs against a stand-in page whose pdf() returns
+ * pdf-lib documents. No Chromium.
+ *
+ * Usage: node test/header-footer-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFArray, StandardFonts } = require('pdf-lib');
+const svc = require('./internals');
+
+async function sourcePdf(pages, label = () => 'Inhalt') {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let i = 0; i < pages; i++) doc.addPage([595, 842]).drawText(label(i), { x: 50, y: 700, font });
+  return doc;
+}
+
+async function stamped(pdfOptions, { pages = 3, title = 'KI-Status-Report', lang = 'de' } = {}) {
+  const doc = await sourcePdf(pages);
+  const opts = svc.sanitizePdfOptions(pdfOptions);
+  const running = {
+    header: opts.header, footer: opts.footer, skip: opts.skipHeaderFooter, start: opts.pageNumberStart, title, lang,
+  };
+  return PDFDocument.load(await svc.finalizePdf(Buffer.from(await doc.save()), { running }));
+}
+
+// All text shown on a page (hex strings as written by pdf-lib)
+function pageText(doc, index) {
+  const contents = doc.getPages()[index].node.Contents();
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+  return refs.map((ref) => {
+    const stream = doc.context.lookup(ref);
+    const raw = Buffer.from(stream.getContents());
+    const ops = (stream.dict.has(PDFName.of('Filter')) ? zlib.inflateSync(raw) : raw).toString('latin1');
+    return [...ops.matchAll(/<([0-9A-F]+)> Tj/g)].map((m) => Buffer.from(m[1], 'hex').toString('latin1')).join('|');
+  }).join('|');
+}
+
+// Stamped texts of a page as { text, x, y }, decoded from the artifact streams
+function stamps(doc, index) {
+  const contents = doc.getPages()[index].node.Contents();
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+  const out = [];
+  for (const ref of refs) {
+    const stream = doc.context.lookup(ref);
+    const raw = Buffer.from(stream.getContents());
+    const ops = (stream.dict.has(PDFName.of('Filter')) ? zlib.inflateSync(raw) : raw).toString('latin1');
+    const m = /\/Artifact BMC[\s\S]*? (-?[\d.]+) (-?[\d.]+) Tm\s+<([0-9A-F]+)> Tj/.exec(ops);
+    if (m) out.push({ text: Buffer.from(m[3], 'hex').toString('latin1'), x: Number(m[1]), y: Number(m[2]) });
+  }
+  return out;
+}
+
+const cases = [
+  {
+    name: 'sanitizes presets, shorthand and invalid input',
+    run: () => {
+      const opts = svc.sanitizePdfOptions({
+        footer: 'page-x-of-y',
+        header: { preset: 'none', left: 'Muster\nGmbH', lang: 'EN', fontSize: 40 },
+      });
+      return opts.footer.preset === 'page-x-of-y' && opts.footer.fontSize === 8 && opts.footer.lang === null &&
+        opts.header.slots.left === 'Muster GmbH' && opts.header.lang === 'en' && opts.header.fontSize === 14 &&
+        svc.sanitizePdfOptions({ footer: { preset: 'roman' } }).footer === undefined &&
+        svc.sanitizePdfOptions({ footer: { preset: 'none' } }).footer === undefined;
+    },
+  },
+  {
+    name: '"Seite X von Y" (de) and "Page X of Y" (en), right-aligned in the footer',
+    run: async () => {
+      const de = await stamped({ footer: 'page-x-of-y' });
+      const en = await stamped({ footer: { preset: 'page-x-of-y', lang: 'en' } });
+      const [label] = stamps(de, 1);
+      return label.text === 'Seite 2 von 3' && label.y < 40 && label.x > 400 &&
+        stamps(en, 2)[0].text === 'Page 3 of 3';
+    },
+  },
+  {
+    name: 'document lang selects the labels, unknown falls back to German',
+    run: async () => (
+      stamps(await stamped({ footer: 'page-x' }, { lang: 'fr-CH' }), 0)[0].text === 'Page 1' &&
+      stamps(await stamped({ footer: 'page-x' }, { lang: 'nl' }), 0)[0].text === 'Seite 1'
+    ),
+  },
+  {
+    name: 'slots fill {title}, {date} and customer text; header sits at the top',
+    run: async () => {
+      const doc = await stamped({
+        footer: { preset: 'page-x-of-y', left: '{title}', center: 'Muster GmbH' },
+        header: { preset: 'none', right: '{date}' },
+      });
+      const texts = stamps(doc, 0);
+      const byText = (t) => texts.find((s) => s.text === t);
+      const date = new Intl.DateTimeFormat('de-DE', { dateStyle: 'long' }).format(new Date());
+      return texts.length === 4 && byText('KI-Status-Report').x < 100 && byText('Muster GmbH') &&
+        byText('Seite 1 von 3') && byText(date) && byText(date).y > 800;
+    },
+  },
+  {
+    name: 'cover counts as 0: numbering starts at the chosen page, cover stays clean',
+    run: async () => {
+      const doc = await stamped({ footer: 'page-x-of-y', header: { preset: 'none', left: '{title}' }, pageNumberStart: 2 }, { pages: 4 });
+      return stamps(doc, 0).length === 0 && stamps(doc, 1).some((s) => s.text === 'Seite 1 von 3') &&
+        stamps(doc, 3).some((s) => s.text === 'Seite 3 von 3') && stamps(doc, 1).length === 2;
+    },
+  },
+  {
+    name: 'skipHeaderFooter suppresses the first N pages independently of numbering',
+    run: async () => {
+      const doc = await stamped({ footer: 'page-x', skipHeaderFooter: 2 });
+      const opts = svc.sanitizePdfOptions({ skipHeaderFooter: -1, pageNumberStart: 0 });
+      return stamps(doc, 0).length === 0 && stamps(doc, 1).length === 0 && stamps(doc, 2)[0].text === 'Seite 3' &&
+        opts.skipHeaderFooter === undefined && opts.pageNumberStart === undefined;
+    },
+  },
+  {
+    name: 'Chromium templates: cover pages get the content of a print without header/footer',
+    run: async () => {
+      const full = await sourcePdf(3, (i) => `Kopf ${i + 1}`);
+      const link = full.context.register(full.context.obj({ Type: 'Annot', Subtype: 'Link', Rect: [0, 0, 10, 10] }));
+      full.getPage(0).node.set(PDFName.of('Annots'), full.context.obj([link]));
+      const calls = [];
+      const page = {
+        pdf: async (config) => {
+          calls.push(config);
+          const count = Number(config.pageRanges.split('-')[1]);
+          return Buffer.from(await (await sourcePdf(count, (i) => `Deckblatt ${i + 1}`)).save());
+        },
+      };
+      const out = await PDFDocument.load(await svc.clearHeaderFooter(page.pdf, { displayHeaderFooter: true }, Buffer.from(await full.save()), 5));
+      return calls.length === 1 && calls[0].displayHeaderFooter === false && calls[0].pageRanges === '1-3' &&
+        pageText(out, 0) === 'Deckblatt 1' && pageText(out, 2) === 'Deckblatt 3' &&
+        out.getPage(0).node.lookup(PDFName.of('Annots'), PDFArray).size() === 1;
+    },
+  },
+  {
+    name: 'conflicts with the matching raw template and with PDF/A',
+    run: () => {
+      const reason = (input) => {
+        try { svc.sanitizePdfOptions(input); return null; } catch (e) { return e.status === 400 && e.reason; }
+      };
+      return reason({ displayHeaderFooter: true, footerTemplate: '<div></div>', footer: 'page-x' }) === 'pdf_options_conflict' &&
+        reason({ conformance: 'PDF/A-2b', header: 'page-x' }) === 'pdf_options_conflict' &&
+        reason({ displayHeaderFooter: true, headerTemplate: '<div></div>', footer: 'page-x' }) === null;
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── header/footer presets ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
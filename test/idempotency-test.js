@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * Idempotency-Key test.
+ *
+ * Mounts withIdempotency() from index.js around a scripted stand-in handler
+ * on a local express app and drives it over HTTP: concurrent requests wait
+ * for the first one, finished results are replayed within the window, a
+ * different body with the same key is a 409, 5xx answers are not stored,
+ * keys are scoped per tenant (two PDF_TENANTS keys), stored bodies are
+ * capped in bytes (PDF_IDEMPOTENCY_MAX_MB=1). No Chromium.
+ *
+ * Usage: node test/idempotency-test.js
+ */
+'use strict';
+
+process.env.PDF_IDEMPOTENCY_TTL_SEC = '1';
+process.env.PDF_IDEMPOTENCY_MAX_MB = '1';
+process.env.LOG_LEVEL = 'silent';
+process.env.PDF_TENANTS = JSON.stringify({
+  acme: { key: 'acme-tenant-key-0123456789', allow: ['cdn.acme.example'] },
+  globex: { key: 'globex-tenant-key-0123456789', allow: ['cdn.globex.example'] },
+});
+delete process.env.PDF_SHARED_SECRET;
+
+const http = require('http');
+const express = require('express');
+const svc = require('./internals');
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stand-in render handler: slow, counts its calls, answers with a "PDF".
+let calls = 0;
+let nextStatus = 200;
+const app = express();
+app.use(express.json());
+app.post('/generate-pdf', svc.withIdempotency(async (req, res) => {
+  calls += 1;
+  const n = calls;
+  await sleep(150);
+  if (nextStatus !== 200) return res.status(nextStatus).json({ ok: false, error: 'busy' });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('X-PDF-Bytes', '12');
+  if (req.body.size) return res.send(Buffer.concat([Buffer.from(`%PDF-call-${n}`), Buffer.alloc(req.body.size)]));
+  return res.send(Buffer.from(`%PDF-call-${n}`));
+}));
+
+let base;
+function post(body, key, secret) {
+  return new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const headers = { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(data) };
+    if (key !== undefined) headers['Idempotency-Key'] = key;
+    if (secret !== undefined) headers['X-PDF-Secret'] = secret;
+    const req = http.request(`${base}/generate-pdf`, { method: 'POST', headers }, (res) => {
+      const chunks = [];
+      res.on('data', (c) => chunks.push(c));
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() }));
+    });
+    req.on('error', reject);
+    req.end(data);
+  });
+}
+
+const cases = [
+  {
+    name: 'concurrent requests with the same key render once and share the result',
+    run: async () => {
+      calls = 0;
+      const [a, b] = await Promise.all([post({ html: 'a' }, 'k-1'), post({ html: 'a' }, 'k-1')]);
+      return calls === 1 && a.body === '%PDF-call-1' && b.body === a.body && b.status === 200 &&
+        b.headers['idempotent-replayed'] === 'true' && b.headers['content-type'] === 'application/pdf' &&
+        b.headers['x-pdf-bytes'] === '12' && a.headers['idempotent-replayed'] === undefined;
+    },
+  },
+  {
+    name: 'a finished result is replayed within the window',
+    run: async () => {
+      calls = 0;
+      await post({ html: 'b' }, 'k-2');
+      const again = await post({ html: 'b' }, 'k-2');
+      return calls === 1 && again.body === '%PDF-call-1' && again.headers['idempotent-replayed'] === 'true';
+    },
+  },
+  {
+    name: 'same key with a different body is rejected with 409',
+    run: async () => {
+      await post({ html: 'c' }, 'k-3');
+      const conflict = await post({ html: 'other' }, 'k-3');
+      return conflict.status === 409 && JSON.parse(conflict.body).reason === 'idempotency_key_reused';
+    },
+  },
+  {
+    name: 'same key with a different body while running is rejected too',
+    run: async () => {
+      const [, conflict] = await Promise.all([post({ html: 'd' }, 'k-4'), sleep(30).then(() => post({ html: 'x' }, 'k-4'))]);
+      return conflict.status === 409;
+    },
+  },
+  {
+    name: 'keys are scoped per tenant: no replay of, and no conflict with, another tenant',
+    run: async () => {
+      calls = 0;
+      const acme = await post({ html: 't' }, 'k-t', 'acme-tenant-key-0123456789');
+      const globex = await post({ html: 't' }, 'k-t', 'globex-tenant-key-0123456789');
+      const other = await post({ html: 'other' }, 'k-t', 'globex-tenant-key-0123456789');
+      const shared = await post({ html: 'other' }, 'k-t');
+      const again = await post({ html: 't' }, 'k-t', 'acme-tenant-key-0123456789');
+      return calls === 3 && acme.body === '%PDF-call-1' && globex.body === '%PDF-call-2' &&
+        globex.headers['idempotent-replayed'] === undefined && other.status === 409 &&
+        shared.status === 200 && shared.body === '%PDF-call-3' &&
+        again.body === '%PDF-call-1' && again.headers['idempotent-replayed'] === 'true';
+    },
+  },
+  {
+    name: 'bodies over a quarter of PDF_IDEMPOTENCY_MAX_MB are not stored',
+    run: async () => {
+      calls = 0;
+      const [a, b] = await Promise.all([post({ html: 'big', size: 300 * 1024 }, 'k-big'), post({ html: 'big', size: 300 * 1024 }, 'k-big')]);
+      const later = await post({ html: 'big', size: 300 * 1024 }, 'k-big');
+      return calls === 2 && a.body.length > 300 * 1024 && b.body === a.body &&
+        later.body.startsWith('%PDF-call-2') && later.headers['idempotent-replayed'] === undefined;
+    },
+  },
+  {
+    name: 'stored bodies are capped in bytes: the oldest key is dropped first',
+    run: async () => {
+      calls = 0;
+      for (let i = 1; i <= 5; i += 1) await post({ html: `cap-${i}`, size: 250000 }, `k-cap-${i}`);
+      const newest = await post({ html: 'cap-5', size: 250000 }, 'k-cap-5');
+      const oldest = await post({ html: 'cap-1', size: 250000 }, 'k-cap-1');
+      return calls === 6 && newest.headers['idempotent-replayed'] === 'true' &&
+        oldest.headers['idempotent-replayed'] === undefined && oldest.body.startsWith('%PDF-call-6');
+    },
+  },
+  {
+    name: '5xx answers are not stored, the retry renders again',
+    run: async () => {
+      calls = 0;
+      nextStatus = 503;
+      const first = await post({ html: 'e' }, 'k-5');
+      nextStatus = 200;
+      const retry = await post({ html: 'e' }, 'k-5');
+      return first.status === 503 && retry.status === 200 && calls === 2 && retry.headers['idempotent-replayed'] === undefined;
+    },
+  },
+  {
+    name: 'without a key every request renders; invalid keys are a 400',
+    run: async () => {
+      calls = 0;
+      await post({ html: 'f' });
+      await post({ html: 'f' });
+      const invalid = await post({ html: 'f' }, 'x'.repeat(300));
+      return calls === 2 && invalid.status === 400 && JSON.parse(invalid.body).reason === 'invalid_idempotency_key';
+    },
+  },
+  {
+    name: 'after the window the key renders again',
+    run: async () => {
+      calls = 0;
+      await post({ html: 'g' }, 'k-7');
+      await sleep(1100);
+      const later = await post({ html: 'g' }, 'k-7');
+      return calls === 2 && later.body === '%PDF-call-2';
+    },
+  },
+];
+
+(async () => {
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  let pass = 0;
+  let fail = 0;
+  console.log('── idempotency keys ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
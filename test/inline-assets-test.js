@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+/**
+ * Remote asset inlining test.
+ *
+ * Starts a local HTTP stand-in serving images, fonts and stylesheets and runs
+ * inlineRemoteAssets() from index.js against HTML that references them:
+ * data: URIs for img/srcset/style url(), <link> and @import turned into
+ * <style>, redirects, <base href>, per-asset size/time caps, wrong content
+ * types, one fetch per URL across passes, stylesheets-only low-fi mode. The
+ * SSRF guard is switched off for this process only, because the stand-in
+ * listens on loopback. No Chromium.
+ *
+ * Usage: node test/inline-assets-test.js
+ */
+'use strict';
+
+process.env.PDF_SSRF_GUARD = '0';
+process.env.PDF_INLINE_MAX_ASSET_KB = '4';
+process.env.PDF_INLINE_TIMEOUT_MS = '300';
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const svc = require('./internals');
+
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const WOFF2 = Buffer.from('774f4632000100000000', 'hex');
+const hits = {};
+
+const routes = {
+  '/logo.png': (res) => { res.setHeader('Content-Type', 'image/png'); res.end(PNG); },
+  '/fonts/inter.woff2': (res) => { res.setHeader('Content-Type', 'application/octet-stream'); res.end(WOFF2); },
+  '/css/main.css': (res) => {
+    res.setHeader('Content-Type', 'text/css');
+    res.end('@import "print.css" print;\n@font-face{font-family:Inter;src:url(../fonts/inter.woff2)}\nh1{background:url("/missing.png")}');
+  },
+  '/css/print.css': (res) => { res.setHeader('Content-Type', 'text/css'); res.end('body{background:url(../logo.png)}'); },
+  '/moved.png': (res) => { res.statusCode = 302; res.setHeader('Location', '/logo.png'); res.end(); },
+  '/big.png': (res) => { res.setHeader('Content-Type', 'image/png'); res.end(Buffer.alloc(8 * 1024)); },
+  '/slow.png': (res) => { setTimeout(() => { res.setHeader('Content-Type', 'image/png'); res.end(PNG); }, 1000); },
+  '/page.html': (res) => { res.setHeader('Content-Type', 'text/html'); res.end('<html></html>'); },
+};
+
+let base;
+const dataPng = `data:image/png;base64,${PNG.toString('base64')}`;
+
+const cases = [
+  {
+    name: 'img src, srcset and style url() become data: URIs',
+    run: async () => {
+      const html = `<img src="${base}/logo.png"><img srcset="${base}/logo.png 1x, ${base}/moved.png 2x">` +
+        `<div style="background:url(&quot;${base}/logo.png&quot;)"></div>`;
+      const { html: out, report } = await svc.inlineRemoteAssets(html, svc.makeInliner());
+      return out.includes(`<img src="${dataPng}">`) &&
+        out.includes(`srcset="${dataPng} 1x, ${dataPng} 2x"`) &&
+        out.includes(`style="background:url(${dataPng})"`) &&
+        report.inlined === 2 && report.failed === 0 && report.assets.every((a) => a.kind === 'image');
+    },
+  },
+  {
+    name: 'a linked stylesheet becomes <style> with @import and url() inlined',
+    run: async () => {
+      const html = `<head><link rel="stylesheet" href="${base}/css/main.css" media="all"></head>`;
+      const { html: out, report } = await svc.inlineRemoteAssets(html, svc.makeInliner());
+      return out.startsWith('<head><style media="all">@media print{body{background:url(data:image/png;base64,') &&
+        out.includes(`src:url(data:font/woff2;base64,${WOFF2.toString('base64')})`) &&
+        out.includes(`url("${base}/missing.png")`) && !out.includes('<link') &&
+        report.inlined === 4 && report.failed === 1 &&
+        report.assets.find((a) => a.url.endsWith('/missing.png')).error === 'HTTP 404';
+    },
+  },
+  {
+    name: 'relative URLs resolve against an absolute <base href> only',
+    run: async () => {
+      const plain = await svc.inlineRemoteAssets('<img src="logo.png">', svc.makeInliner());
+      const withBase = await svc.inlineRemoteAssets(`<base href="${base}/"><img src="logo.png">`, svc.makeInliner());
+      return plain.html === '<img src="logo.png">' && plain.report.assets.length === 0 &&
+        withBase.html.includes(`<img src="${dataPng}">`);
+    },
+  },
+  {
+    name: 'oversized, slow and wrongly typed assets fail and keep their URL',
+    run: async () => {
+      const html = `<img src="${base}/big.png"><img src="${base}/slow.png"><img src="${base}/page.html">`;
+      const { html: out, report } = await svc.inlineRemoteAssets(html, svc.makeInliner());
+      const error = (p) => report.assets.find((a) => a.url.endsWith(p)).error;
+      return out === html && report.failed === 3 && /larger than 4096/.test(error('/big.png')) &&
+        error('/slow.png') === 'timeout' && /content-type text\/html/.test(error('/page.html'));
+    },
+  },
+  {
+    name: 'one inliner fetches each URL once across passes',
+    run: async () => {
+      const inliner = svc.makeInliner();
+      const html = `<img src="${base}/logo.png"><img src="${base}/logo.png">`;
+      hits['/logo.png'] = 0;
+      await svc.inlineRemoteAssets(html, inliner);
+      const second = await svc.inlineRemoteAssets(html, inliner);
+      return hits['/logo.png'] === 1 && second.report.inlined === 1 && second.html.split(dataPng).length === 3;
+    },
+  },
+  {
+    name: 'media: false (low-fi pass) inlines stylesheets but leaves images and fonts',
+    run: async () => {
+      const html = `<link rel="stylesheet" href="${base}/css/main.css"><img src="${base}/logo.png">`;
+      const { html: out, report } = await svc.inlineRemoteAssets(html, svc.makeInliner(), { media: false });
+      return out.includes(`<img src="${base}/logo.png">`) && out.includes(`url("${base}/fonts/inter.woff2")`) &&
+        !out.includes('data:') && report.assets.every((a) => a.kind === 'stylesheet');
+    },
+  },
+  {
+    name: 'inlineAssets is a whitelisted boolean pdf_option',
+    run: async () => svc.sanitizePdfOptions({ inlineAssets: 1 }).inlineAssets === true &&
+      svc.sanitizePdfOptions({ inlineAssets: false }).inlineAssets === false &&
+      !('inlineAssets' in svc.sanitizePdfOptions({})),
+  },
+];
+
+(async () => {
+  const server = http.createServer((req, res) => {
+    const path = req.url.split('?')[0];
+    hits[path] = (hits[path] || 0) + 1;
+    const route = routes[path];
+    if (route) return route(res);
+    res.statusCode = 404;
+    return res.end();
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  let pass = 0;
+  let fail = 0;
+  console.log('── remote asset inlining ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.closeAllConnections();
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,29 @@
+/**
+ * index.js for the test scripts, with its internals reachable.
+ *
+ * The service module only exports createApp(). The unit tests exercise its
+ * helpers directly (sanitizers, pdf-lib post-processing, cache, SSRF guard …),
+ * so this loader compiles index.js as its own module instance and appends an
+ * export of every top-level function, class, const and let. Set process.env
+ * before requiring it, as the service reads its config on load.
+ *
+ * Usage: const svc = require('./internals');
+ */
+'use strict';
+
+const fs = require('fs');
+const Module = require('module');
+const path = require('path');
+
+const file = path.join(__dirname, '..', 'index.js');
+const source = fs.readFileSync(file, 'utf8');
+const names = new Set(Array.from(
+  source.matchAll(/^(?:async\s+)?(?:function\*?|class|const|let)\s+([A-Za-z_$][\w$]*)/gm), (m) => m[1],
+));
+
+const service = new Module(file, module);
+service.filename = file;
+service.paths = Module._nodeModulePaths(path.dirname(file));
+service._compile(`${source}\nObject.assign(module.exports, { ${Array.from(names).join(', ')} });\n`, file);
+
+module.exports = service.exports;
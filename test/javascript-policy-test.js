@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+/**
+ * JavaScript policy test.
+ *
+ * With the operator default PDF_JAVASCRIPT=enabled (budget 2000 ms) checks that
+ * pdf_options.javascript can only tighten it, that the sanitizer keeps or drops
+ * scripts and adds the matching CSP <meta>, the cache key per policy, and
+ * applyJavaScriptPolicy() against a stand-in page (budget timer, script
+ * termination). A child process covers PDF_JAVASCRIPT=disabled. No Chromium.
+ *
+ * Usage: node test/javascript-policy-test.js
+ */
+'use strict';
+
+process.env.PDF_JAVASCRIPT = 'enabled';
+process.env.PDF_JAVASCRIPT_BUDGET_MS = '2000';
+process.env.LOG_LEVEL = 'silent';
+
+const { execFileSync } = require('child_process');
+const path = require('path');
+const client = require('prom-client');
+const svc = require('./internals');
+
+const HTML = '<html><head><meta http-equiv="Content-Security-Policy" content="script-src *"></head>' +
+  '<body><canvas id="c"></canvas><script>draw()</script><p onclick="x()">a</p></body></html>';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stand-in for a Puppeteer Page; records JavaScript toggles and CDP commands.
+function fakePage() {
+  const p = {
+    toggles: [],
+    sent: [],
+    detached: false,
+    setJavaScriptEnabled: async (v) => { p.toggles.push(v); },
+    target: () => ({
+      createCDPSession: async () => ({
+        send: async (method) => { p.sent.push(method); },
+        detach: async () => { p.detached = true; },
+      }),
+    }),
+  };
+  return p;
+}
+
+async function exhaustedCount() {
+  const metric = await client.register.getSingleMetric('pdf_javascript_budget_exhausted_total').get();
+  return metric.values.length ? metric.values[0].value : 0;
+}
+
+// Runs a snippet against index.js in a child process with its own env
+function inChild(env, code) {
+  const out = execFileSync(process.execPath, ['-e', `const svc = require(${JSON.stringify(path.join(__dirname, 'internals'))});${code}`], {
+    env: { PATH: process.env.PATH, LOG_LEVEL: 'silent', ...env },
+    encoding: 'utf8',
+    timeout: 20000,
+  });
+  return JSON.parse(out.trim().split('\n').pop());
+}
+
+const cases = [
+  {
+    name: 'pdf_options.javascript can disable or shorten the budget, never exceed it',
+    run: () => {
+      const js = (value) => svc.javascriptPolicy(svc.sanitizePdfOptions(value === undefined ? {} : { javascript: value }));
+      return js().enabled && js().budgetMs === 2000 && js(true).budgetMs === 2000 &&
+        js(false).enabled === false && js({ budgetMs: 500 }).budgetMs === 500 &&
+        js({ budgetMs: 99999 }).budgetMs === 2000 && js({ budgetMs: -1 }).budgetMs === 2000 &&
+        svc.sanitizePdfOptions({ javascript: 'yes' }).javascript === undefined;
+    },
+  },
+  {
+    name: 'operator default disabled: a caller cannot turn JavaScript on',
+    run: () => {
+      const r = inChild({ PDF_JAVASCRIPT: 'disabled' },
+        'const o = svc.sanitizePdfOptions({ javascript: { budgetMs: 100 } });' +
+        'console.log(JSON.stringify({ key: o.javascript === undefined, js: svc.javascriptPolicy(o), html: svc.sanitizeHtml("<script>x()</script>", null, { keepPageRules: false }) }));');
+      const legacy = inChild({ PDF_STRIP_SCRIPTS: '0' }, 'console.log(JSON.stringify(svc.javascriptPolicy({})));');
+      const defaults = inChild({}, 'console.log(JSON.stringify(svc.javascriptPolicy({})));');
+      return r.key && r.js.enabled === false && /script-src 'none'/.test(r.js.csp) && !r.html.includes('<script') &&
+        legacy.enabled === true && defaults.enabled === false;
+    },
+  },
+  {
+    name: 'disabled: scripts and handlers removed, strict CSP first in <head>, author CSP dropped',
+    run: () => {
+      const js = svc.javascriptPolicy({ javascript: false });
+      const report = {};
+      const out = svc.sanitizeHtml(HTML, null, { keepPageRules: false, report, scripts: js.enabled, csp: js.csp });
+      return out.includes('<head><meta http-equiv="Content-Security-Policy" content="default-src \'none\';') &&
+        out.includes("script-src 'none'") && out.includes("connect-src 'none'") && !out.includes('script-src *') &&
+        !out.includes('<script') && !out.includes('onclick') && out.includes('<canvas id="c"></canvas>') &&
+        report.elements.script === 1 && report.attributes.onclick === 1 && report.elements.meta === 1;
+    },
+  },
+  {
+    name: 'enabled: scripts kept under a CSP that still blocks fetch, frames and workers',
+    run: () => {
+      const js = svc.javascriptPolicy({});
+      const out = svc.sanitizeHtml(HTML, null, { keepPageRules: false, scripts: js.enabled, csp: js.csp });
+      return out.includes('<script>draw()</script>') && out.includes('onclick="x()"') &&
+        /script-src http: https: 'unsafe-inline'/.test(out) && out.includes("connect-src 'none'") &&
+        out.includes("frame-src 'none'") && out.includes("worker-src 'none'") && !out.includes('script-src *');
+    },
+  },
+  {
+    name: 'the cache key differs per JavaScript policy',
+    run: () => {
+      const key = (opts) => {
+        const pdfOptions = svc.sanitizePdfOptions(opts);
+        return svc.renderCacheKey(svc.sanitizeForRender(HTML, pdfOptions).html, pdfOptions, 1000);
+      };
+      const a = key({});
+      const b = key({ javascript: false });
+      const c = key({ javascript: { budgetMs: 500 } });
+      return a && b && c && a !== b && a !== c && b !== c && a === key({});
+    },
+  },
+  {
+    name: 'applyJavaScriptPolicy: disabled pages never get a CDP session or a timer',
+    run: async () => {
+      const page = fakePage();
+      const scripts = await svc.applyJavaScriptPolicy(page, svc.javascriptPolicy({ javascript: false }));
+      const outcome = await scripts.finish();
+      return page.toggles.join() === 'false' && page.sent.length === 0 && outcome.exhausted === false;
+    },
+  },
+  {
+    name: 'applyJavaScriptPolicy: the budget terminates scripts, finish() freezes the page',
+    run: async () => {
+      const before = await exhaustedCount();
+      const slow = fakePage();
+      const s1 = await svc.applyJavaScriptPolicy(slow, { enabled: true, budgetMs: 50 });
+      await sleep(120);
+      const o1 = await s1.finish();
+      const fast = fakePage();
+      const s2 = await svc.applyJavaScriptPolicy(fast, { enabled: true, budgetMs: 200 });
+      const o2 = await s2.finish();
+      await sleep(250);
+      return o1.exhausted && slow.sent.join() === 'Emulation.setScriptExecutionDisabled,Runtime.terminateExecution' &&
+        slow.toggles.join() === 'true,false' && slow.detached &&
+        !o2.exhausted && fast.sent.length === 0 && fast.toggles.join() === 'true,false' &&
+        (await exhaustedCount()) === before + 1;
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── JavaScript policy ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,167 @@
+#!/usr/bin/env node
+/**
+ * Async render job test.
+ *
+ * Builds the app with a stand-in renderer (createApp({ render })) that holds
+ * each job until the test releases it, and drives POST /jobs, GET /jobs/:id
+ * and GET /jobs/:id/pdf: queued → rendering (pass N) → done |
+ * failed, 404 for unknown ids, 409 while there is no PDF, 503 when
+ * PDF_JOBS_MAX jobs are stored, sweepJobs() dropping finished jobs after
+ * PDF_JOB_TTL_SEC while running ones stay, and 404 for another tenant's job.
+ * No Chromium.
+ *
+ * Usage: node test/jobs-test.js
+ */
+'use strict';
+
+process.env.PDF_SHARED_SECRET = 'jobs-test-secret';
+process.env.PDF_JOBS_MAX = '4';
+process.env.PDF_JOB_TTL_SEC = '60';
+process.env.PDF_TENANTS = JSON.stringify({
+  acme: { key: 'acme-tenant-key-0123456789' },
+  globex: { key: 'globex-tenant-key-0123456789' },
+});
+process.env.LOG_LEVEL = 'silent';
+
+const svc = require('./internals');
+
+const SECRET = process.env.PDF_SHARED_SECRET;
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Stand-in renderer: reports pass 1, then waits for release(html); HTML
+// "too-big" fails like an oversized PDF would.
+const held = new Map();
+const release = (html) => held.get(html)();
+const render = async (html, filename, effectiveMaxBytes, pdfOptions, dumper, onProgress, report) => {
+  const gate = new Promise((resolve) => { held.set(html, resolve); });
+  await sleep(10);
+  onProgress(1);
+  await gate;
+  if (html === 'too-big') {
+    const err = new Error('PDF too large');
+    err.status = 413;
+    err.reason = 'pdf_too_large';
+    throw err;
+  }
+  report.pages = 1;
+  return Buffer.from(`%PDF-${html}`);
+};
+const app = svc.createApp({ render });
+
+let base;
+async function request(method, urlPath, body, secret = SECRET) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) headers['X-PDF-Secret'] = secret;
+  const r = await fetch(`${base}${urlPath}`, { method, headers, body: body && JSON.stringify(body) });
+  const buf = Buffer.from(await r.arrayBuffer());
+  const json = /json/.test(r.headers.get('content-type') || '') ? JSON.parse(buf) : null;
+  return { status: r.status, headers: r.headers, json, body: buf };
+}
+
+const ids = {};
+
+const cases = [
+  {
+    name: 'POST /jobs answers 202 queued; the job moves to rendering, then done with its PDF',
+    run: async () => {
+      const created = await request('POST', '/jobs', { html: 'hold-a', filename: 'a.pdf' });
+      ids.a = created.json.id;
+      await sleep(30);
+      const rendering = await request('GET', `/jobs/${ids.a}`);
+      const early = await request('GET', `/jobs/${ids.a}/pdf`);
+      release('hold-a');
+      await sleep(10);
+      const done = await request('GET', `/jobs/${ids.a}`);
+      const pdf = await request('GET', `/jobs/${ids.a}/pdf`);
+      return created.status === 202 && created.json.status === 'queued' &&
+        created.headers.get('location') === `/jobs/${ids.a}` &&
+        rendering.json.status === 'rendering' && rendering.json.pass === 1 && rendering.json.started_at &&
+        early.status === 409 && early.json.ok === false && early.json.status === 'rendering' &&
+        done.json.status === 'done' && done.json.bytes === 11 && done.json.finished_at &&
+        pdf.status === 200 && pdf.body.toString() === '%PDF-hold-a' &&
+        pdf.headers.get('content-type') === 'application/pdf' && pdf.headers.get('x-pdf-bytes') === '11' &&
+        /filename="a\.pdf"/.test(pdf.headers.get('content-disposition'));
+    },
+  },
+  {
+    name: 'a failed render is reported on the job; its PDF is a 409',
+    run: async () => {
+      const created = await request('POST', '/jobs', { html: 'too-big' });
+      ids.b = created.json.id;
+      await sleep(30);
+      release('too-big');
+      await sleep(10);
+      const failed = await request('GET', `/jobs/${ids.b}`);
+      const pdf = await request('GET', `/jobs/${ids.b}/pdf`);
+      return failed.json.status === 'failed' && failed.json.error.reason === 'pdf_too_large' &&
+        failed.json.error.ok === undefined && pdf.status === 409 && pdf.json.status === 'failed';
+    },
+  },
+  {
+    name: 'unknown ids are a 404, missing html a 400, missing auth a 401',
+    run: async () => {
+      const status = await request('GET', '/jobs/no-such-job');
+      const pdf = await request('GET', '/jobs/no-such-job/pdf');
+      const invalid = await request('POST', '/jobs', { filename: 'x.pdf' });
+      const unauthorized = await request('GET', `/jobs/${ids.a}`, undefined, null);
+      return status.status === 404 && pdf.status === 404 && invalid.status === 400 && unauthorized.status === 401;
+    },
+  },
+  {
+    name: 'PDF_JOBS_MAX stored jobs → 503 jobs_full',
+    run: async () => {
+      const c = await request('POST', '/jobs', { html: 'hold-c' });
+      const d = await request('POST', '/jobs', { html: 'hold-d' });
+      ids.c = c.json.id;
+      const full = await request('POST', '/jobs', { html: 'hold-e' });
+      return c.status === 202 && d.status === 202 && full.status === 503 && full.json.reason === 'jobs_full';
+    },
+  },
+  {
+    name: 'sweepJobs drops finished jobs after the TTL, running ones stay',
+    run: async () => {
+      svc.sweepJobs(Date.now() + 30 * 1000);
+      const kept = await request('GET', `/jobs/${ids.a}`);
+      svc.sweepJobs(Date.now() + 61 * 1000);
+      const swept = await request('GET', `/jobs/${ids.a}`);
+      const sweptFailed = await request('GET', `/jobs/${ids.b}`);
+      const running = await request('GET', `/jobs/${ids.c}`);
+      const again = await request('POST', '/jobs', { html: 'hold-f' });
+      ['hold-c', 'hold-d', 'hold-f'].forEach(release);
+      return kept.status === 200 && swept.status === 404 && sweptFailed.status === 404 &&
+        running.status === 200 && running.json.status === 'rendering' && again.status === 202;
+    },
+  },
+  {
+    name: 'a job is visible to the tenant that created it only',
+    run: async () => {
+      const created = await request('POST', '/jobs', { html: 'hold-t' }, 'acme-tenant-key-0123456789');
+      const { id } = created.json;
+      release('hold-t');
+      await sleep(10);
+      const own = await request('GET', `/jobs/${id}/pdf`, undefined, 'acme-tenant-key-0123456789');
+      const other = await request('GET', `/jobs/${id}`, undefined, 'globex-tenant-key-0123456789');
+      const otherPdf = await request('GET', `/jobs/${id}/pdf`, undefined, 'globex-tenant-key-0123456789');
+      const shared = await request('GET', `/jobs/${id}`);
+      return created.status === 202 && own.status === 200 && own.body.toString() === '%PDF-hold-t' &&
+        other.status === 404 && otherPdf.status === 404 && otherPdf.json.error === 'job not found' && shared.status === 404;
+    },
+  },
+];
+
+(async () => {
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  let pass = 0;
+  let fail = 0;
+  console.log('── async render jobs ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * Merge test for POST /merge-pdf (mergeParts).
+ *
+ * Uses base64 PDF parts built with pdf-lib, so no Chromium is needed:
+ * page order, bookmarks per titled part, continuous page numbers from a
+ * footer preset (read back from the content streams), the merged-output size
+ * limit and rejection of broken parts.
+ *
+ * Usage: node test/merge-pdf-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFArray } = require('pdf-lib');
+const svc = require('./internals');
+
+async function makePdf(pageCount, marker) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) {
+    const page = doc.addPage([595, 842]);
+    page.drawText(`${marker}-${i + 1}`, { x: 50, y: 780 });
+  }
+  return Buffer.from(await doc.save()).toString('base64');
+}
+
+function outlineTitles(doc) {
+  const root = doc.catalog.lookup(PDFName.of('Outlines'));
+  if (!root) return [];
+  const titles = [];
+  let item = root.lookup(PDFName.of('First'));
+  while (item) {
+    titles.push(item.lookup(PDFName.of('Title')).decodeText());
+    item = item.lookup(PDFName.of('Next'));
+  }
+  return titles;
+}
+
+// All text shown on a page (hex strings as written by pdf-lib)
+function pageText(doc, index) {
+  const contents = doc.getPages()[index].node.Contents();
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+  return refs.map((ref) => {
+    const stream = doc.context.lookup(ref);
+    const raw = Buffer.from(stream.getContents());
+    const ops = (stream.dict.has(PDFName.of('Filter')) ? zlib.inflateSync(raw) : raw).toString('latin1');
+    return [...ops.matchAll(/<([0-9A-F]+)> Tj/g)].map((m) => Buffer.from(m[1], 'hex').toString('latin1')).join('|');
+  }).join('|');
+}
+
+const MB = 1024 * 1024;
+
+const cases = [
+  {
+    name: 'concatenates parts in order',
+    run: async () => {
+      const parts = [{ pdf_base64: await makePdf(1, 'cover') }, { pdf_base64: await makePdf(3, 'main') }];
+      const r = await svc.mergeParts(parts, 20 * MB, null);
+      const doc = await PDFDocument.load(r.pdf);
+      return doc.getPageCount() === 4 && r.summary[1].first_page === 2 && r.summary[1].pages === 3;
+    },
+  },
+  {
+    name: 'titled parts become top-level bookmarks',
+    run: async () => {
+      const parts = [
+        { pdf_base64: await makePdf(1, 'c'), title: 'Deckblatt' },
+        { pdf_base64: await makePdf(2, 'm'), title: 'KI-Status-Report' },
+        { pdf_base64: await makePdf(1, 'a') },
+        { pdf_base64: await makePdf(1, 'g'), title: 'Glossar' },
+      ];
+      const r = await svc.mergeParts(parts, 20 * MB, null);
+      const titles = outlineTitles(await PDFDocument.load(r.pdf));
+      return titles.join('|') === 'Deckblatt|KI-Status-Report|Glossar';
+    },
+  },
+  {
+    name: 'page_numbers is a footer preset with start and skip',
+    run: () => {
+      const preset = svc.sanitizeMergePageNumbers(true);
+      const custom = svc.sanitizeMergePageNumbers({ preset: 'page-x', lang: 'en', center: '{title}', start: 2, skip: 500 });
+      return preset.footer.preset === 'page-x-of-y' && preset.start === undefined && !preset.header &&
+        custom.footer.lang === 'en' && custom.footer.slots.center === '{title}' && custom.start === 2 && custom.skip === 100 &&
+        svc.sanitizeMergePageNumbers({ preset: 'roman' }) === null && svc.sanitizeMergePageNumbers(false) === null;
+    },
+  },
+  {
+    name: 'page numbers continue across parts (unnumbered cover counts)',
+    run: async () => {
+      const parts = [
+        { pdf_base64: await makePdf(1, 'c'), numbered: false },
+        { pdf_base64: await makePdf(2, 'm') },
+        { pdf_base64: await makePdf(2, 'a') },
+      ];
+      const stamped = await svc.mergeParts(parts, 20 * MB, svc.sanitizeMergePageNumbers(true));
+      const doc = await PDFDocument.load(stamped.pdf);
+      const english = await PDFDocument.load((await svc.mergeParts(parts, 20 * MB,
+        svc.sanitizeMergePageNumbers({ preset: 'page-x-of-y', center: '{title}', start: 2 }), { title: 'Bericht', lang: 'en' })).pdf);
+      return stamped.pages === 5 && !pageText(doc, 0).includes('Seite') && pageText(doc, 1).endsWith('Seite 2 von 5') &&
+        pageText(doc, 4).endsWith('Seite 5 von 5') &&
+        !pageText(english, 0).includes('Page') && /Bericht\|Page 1 of 4$/.test(pageText(english, 1));
+    },
+  },
+  {
+    name: 'merged output above the limit fails with 413 pdf_too_large',
+    run: async () => {
+      const parts = [{ pdf_base64: await makePdf(2, 'x') }];
+      try {
+        await svc.mergeParts(parts, 100, null);
+        return false;
+      } catch (e) {
+        return e.status === 413 && !e.reason && e.limit_bytes === 100;
+      }
+    },
+  },
+  {
+    name: 'broken base64 part is rejected with 400 invalid_pdf_part',
+    run: async () => {
+      try {
+        await svc.mergeParts([{ pdf_base64: Buffer.from('not a pdf').toString('base64') }], 20 * MB, null);
+        return false;
+      } catch (e) {
+        return e.status === 400 && e.reason === 'invalid_pdf_part';
+      }
+    },
+  },
+  {
+    name: 'part without html or pdf_base64 is rejected',
+    run: async () => {
+      try {
+        await svc.mergeParts([{ title: 'leer' }], 20 * MB, null);
+        return false;
+      } catch (e) {
+        return e.status === 400;
+      }
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── merge-pdf ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
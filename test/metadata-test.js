@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+/**
+ * Document metadata test for pdf_options.metadata.
+ *
+ * Checks sanitizing (types, lengths, keywords, lang, dates) and that
+ * finalizePdf() writes the info dictionary, /Lang and an XMP packet.
+ * Runs on a pdf-lib generated PDF, no Chromium.
+ *
+ * Usage: node test/metadata-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { PDFDocument, PDFName } = require('pdf-lib');
+const svc = require('./internals');
+
+async function blankPdf() {
+  const doc = await PDFDocument.create();
+  doc.addPage([595, 842]);
+  return Buffer.from(await doc.save());
+}
+
+const meta = (input) => svc.sanitizePdfOptions({ metadata: input }).metadata;
+
+const cases = [
+  {
+    name: 'keywords from comma string or array, empties dropped',
+    run: () => meta({ keywords: 'KI, Strategie, ,DSGVO' }).keywords.join('|') === 'KI|Strategie|DSGVO' &&
+      meta({ keywords: ['EU AI Act', 42, null, ''] }).keywords.join('|') === 'EU AI Act|42',
+  },
+  {
+    name: 'invalid lang / date / non-string fields are ignored',
+    run: () => {
+      const m = meta({ lang: 'de; DROP', creation_date: 'gestern', title: { x: 1 }, author: 'A' });
+      return m.lang === undefined && m.creationDate === undefined && m.title === undefined && m.author === 'A';
+    },
+  },
+  {
+    name: 'title is length-capped and control characters removed',
+    run: () => {
+      const m = meta({ title: `Report\u0000\n${'x'.repeat(2000)}` });
+      return m.title.length === 512 && !/[\u0000\n]/.test(m.title);
+    },
+  },
+  {
+    name: 'non-object metadata is rejected, {} is accepted (defaults only)',
+    run: () => meta('title') === undefined && JSON.stringify(meta({})) === '{}',
+  },
+  {
+    name: 'info dictionary, /Lang and XMP are written',
+    run: async () => {
+      const out = await svc.finalizePdf(await blankPdf(), { metadata: meta({
+        title: 'KI-Status-Report – Profil D', author: 'KI-Beratung', subject: 'Status',
+        keywords: ['KI', 'Guardrails'], creator: 'Backend', lang: 'de', creation_date: '2025-03-01T10:00:00Z',
+      }) });
+      const doc = await PDFDocument.load(out, { updateMetadata: false });
+      const xmp = doc.catalog.lookup(PDFName.of('Metadata'));
+      const xml = Buffer.from(xmp.getContents()).toString('utf8');
+      return doc.getTitle() === 'KI-Status-Report – Profil D' && doc.getAuthor() === 'KI-Beratung' &&
+        doc.getKeywords() === 'KI, Guardrails' && doc.getCreator() === 'Backend' &&
+        doc.getCreationDate().toISOString() === '2025-03-01T10:00:00.000Z' &&
+        doc.catalog.lookup(PDFName.of('Lang')).decodeText() === 'de' &&
+        xml.includes('KI-Status-Report – Profil D') && xml.includes('<xmp:CreateDate>2025-03-01T10:00:00.000Z');
+    },
+  },
+  {
+    name: 'XMP escapes markup in values',
+    run: async () => {
+      const out = await svc.finalizePdf(await blankPdf(), { metadata: meta({ title: '</rdf:li><x>&' }) });
+      const doc = await PDFDocument.load(out);
+      const xml = Buffer.from(doc.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+      return xml.includes('&lt;/rdf:li&gt;&lt;x&gt;&amp;') && !xml.includes('<x>');
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf metadata ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/**
+ * Landscape / mixed-orientation test.
+ *
+ * Drives printSegments() from index.js with a stand-in page: evaluate() records
+ * which segment is shown, pdf() returns a pdf-lib document in the requested
+ * orientation with a named destination per segment (as Chromium writes them).
+ * Checks page order, per-segment orientation, merged destinations, that the
+ * page is restored afterwards and that Chromium page counters in header/footer
+ * templates are rejected. markSegmentsInPage() runs against a jsdom document.
+ * No Chromium.
+ *
+ * Usage: node test/orientation-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { JSDOM } = require('jsdom');
+const { PDFDocument, PDFName, PDFNull, PDFNumber } = require('pdf-lib');
+const svc = require('./internals');
+
+const A4 = [595.28, 841.89];
+
+function standInPage() {
+  const state = { shown: undefined, configs: [], evaluated: [] };
+  return {
+    state,
+    evaluate: async (fn, arg) => { state.evaluated.push(fn.name); state.shown = arg; },
+    pdf: async (config) => {
+      state.configs.push(config);
+      const doc = await PDFDocument.create();
+      const size = config.landscape ? [A4[1], A4[0]] : A4;
+      const count = state.shown === 1 ? 2 : 1; // the marked section spans two pages
+      for (let i = 0; i < count; i++) doc.addPage(size);
+      const dests = doc.context.obj({});
+      const last = doc.getPage(count - 1);
+      dests.set(PDFName.of(`heading-${state.shown}`), doc.context.obj([last.ref, PDFName.of('XYZ'), PDFNull, PDFNumber.of(400), PDFNull]));
+      doc.catalog.set(PDFName.of('Dests'), doc.context.register(dests));
+      return Buffer.from(await doc.save());
+    },
+  };
+}
+
+const segments = [
+  { index: 0, orientation: null },
+  { index: 1, orientation: 'landscape' },
+  { index: 2, orientation: null },
+  { index: 3, orientation: 'portrait' },
+];
+
+async function merged(config = {}) {
+  const page = standInPage();
+  const out = await PDFDocument.load(await svc.printSegments(page, { format: 'A4', ...config }, segments));
+  return { page, out };
+}
+
+const isLandscape = (p) => p.getWidth() > p.getHeight();
+
+// Runs markSegmentsInPage() the way page.evaluate() does: serialized, inside
+// the document. jsdom does no layout, so anything with text counts as visible.
+function markInDom(body) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body>${body}</body></html>`, { runScripts: 'outside-only' });
+  dom.window.Element.prototype.getBoundingClientRect = function rect() {
+    const size = this.textContent.trim() ? 10 : 0;
+    return { width: size, height: size };
+  };
+  const segments = dom.window.eval(`(${svc.markSegmentsInPage})()`);
+  return { segments, document: dom.window.document, window: dom.window };
+}
+
+// Text nodes with content and the segment they print in (null = every segment)
+function textSegments(document, window) {
+  const walker = document.createTreeWalker(document.body, window.NodeFilter.SHOW_TEXT);
+  const out = [];
+  for (let n = walker.nextNode(); n; n = walker.nextNode()) {
+    if (!n.data.trim()) continue;
+    const holder = n.parentElement.closest('[data-pdf-segment]');
+    out.push(`${n.data.trim()}:${holder ? holder.getAttribute('data-pdf-segment') : null}`);
+  }
+  return out.join(',');
+}
+
+const cases = [
+  {
+    name: 'landscape is a sanitized boolean option',
+    run: () => svc.sanitizePdfOptions({ landscape: 1 }).landscape === true &&
+      svc.sanitizePdfOptions({ landscape: false }).landscape === false &&
+      svc.sanitizePdfOptions({}).landscape === undefined,
+  },
+  {
+    name: 'segments print in order, each in its own orientation',
+    run: async () => {
+      const { out } = await merged();
+      const orientation = out.getPages().map((p) => (isLandscape(p) ? 'L' : 'P')).join('');
+      return orientation === 'PLLPP';
+    },
+  },
+  {
+    name: 'global landscape applies to flow segments, marked ones keep theirs',
+    run: async () => {
+      const { out } = await merged({ landscape: true });
+      return out.getPages().map((p) => (isLandscape(p) ? 'L' : 'P')).join('') === 'LLLLP';
+    },
+  },
+  {
+    name: 'named destinations are merged with page offsets',
+    run: async () => {
+      const { out } = await merged();
+      const pages = out.getPages();
+      const dests = out.catalog.lookup(PDFName.of('Dests'));
+      const pageOf = (name) => pages.findIndex((p) => p.ref === dests.lookup(PDFName.of(name)).get(0));
+      return pageOf('heading-0') === 0 && pageOf('heading-1') === 2 && pageOf('heading-2') === 3 &&
+        pageOf('heading-3') === 4 && dests.lookup(PDFName.of('heading-1')).lookup(3).asNumber() === 400;
+    },
+  },
+  {
+    name: 'page ranges are dropped and every segment is shown once, then all again',
+    run: async () => {
+      const { page } = await merged({ pageRanges: '1-2' });
+      return page.state.configs.length === 4 && page.state.configs.every((c) => c.pageRanges === undefined) &&
+        page.state.shown === null && page.state.evaluated.every((n) => n === 'showSegmentInPage');
+    },
+  },
+  {
+    name: 'Chromium page counters in header/footer templates are rejected, other templates print',
+    run: async () => {
+      const footer = { displayHeaderFooter: true, headerTemplate: '<div></div>' };
+      const err = await merged({ ...footer, footerTemplate: '<span class="pageNumber"></span> / <span class="totalPages"></span>' })
+        .catch((e) => e);
+      const { out } = await merged({ ...footer, footerTemplate: '<span class="title"></span>' });
+      const plain = await merged({ displayHeaderFooter: false, footerTemplate: '<span class="pageNumber"></span>' });
+      return err.status === 400 && err.reason === 'pdf_options_conflict' && /header\/footer presets/.test(err.message) &&
+        out.getPageCount() === 5 && plain.out.getPageCount() === 5;
+    },
+  },
+  {
+    name: 'markSegmentsInPage: marked elements, flow between them, wrappers and the anchor holder',
+    run: () => {
+      const { segments, document } = markInDom('<h1>Cover</h1><section data-pdf-orientation="Landscape"><h2>Wide</h2>' +
+        '<div data-pdf-orientation="portrait">nested</div></section><div id="wrap"><p>before</p>' +
+        '<section data-pdf-orientation="portrait">tall</section></div><p>after</p><section data-pdf-orientation="diagonal">odd</section>' +
+        '<div data-pdf-anchors><a href="#x"></a></div>');
+      const seg = (sel) => document.querySelector(sel).getAttribute('data-pdf-segment');
+      return JSON.stringify(segments) === JSON.stringify([
+        { index: 0, orientation: null }, { index: 1, orientation: 'landscape' }, { index: 2, orientation: null },
+        { index: 3, orientation: 'portrait' }, { index: 4, orientation: null }, { index: 5, orientation: null },
+      ]) && seg('h1') === '0' && seg('#wrap p') === '2' && !document.getElementById('wrap').hasAttribute('data-pdf-segment') &&
+        !document.querySelector('[data-pdf-orientation="portrait"]').hasAttribute('data-pdf-segment') &&
+        !document.querySelector('[data-pdf-anchors]').hasAttribute('data-pdf-segment');
+    },
+  },
+  {
+    name: 'markSegmentsInPage: bare text in <body> and in wrappers prints in its own segment only',
+    run: () => {
+      const { segments, document, window } = markInDom('Intro <section data-pdf-orientation="landscape">Wide</section>' +
+        '<div id="wrap">Lead-in<section data-pdf-orientation="portrait">Tall</section>tail <b>bold</b>\n</div>Outro');
+      return segments.map((s) => s.index).join() === '0,1,2,3,4' &&
+        textSegments(document, window) === 'Intro:0,Wide:1,Lead-in:2,Tall:3,tail:4,bold:4,Outro:4' &&
+        document.getElementById('wrap').lastChild.nodeType === window.Node.TEXT_NODE;
+    },
+  },
+  {
+    name: 'markSegmentsInPage: nothing marked leaves the document alone',
+    run: () => {
+      const { segments, document } = markInDom('Text <p>para</p>');
+      return segments.length === 0 && document.body.innerHTML === 'Text <p>para</p>';
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── page orientation ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * PDF outline test for pdf_options.outline.
+ *
+ * Chromium writes a named destination (catalog /Dests) for every linked id;
+ * this test builds such a PDF with pdf-lib and checks that
+ * addHeadingOutline() turns the collected headings into nested bookmarks
+ * with the right page targets, that sanitizePdfOptions validates the key,
+ * and that merged parts keep their bookmarks on the shifted pages.
+ *
+ * Usage: node test/outline-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { PDFDocument, PDFName, PDFNumber, PDFNull } = require('pdf-lib');
+const svc = require('./internals');
+
+// Same shape as Chromium output: /Dests << /id [pageRef /XYZ 0 top 0] >>
+async function chromiumLikePdf(pageCount, dests) {
+  const doc = await PDFDocument.create();
+  for (let i = 0; i < pageCount; i++) doc.addPage([595, 842]);
+  const pages = doc.getPages();
+  const dict = {};
+  for (const [id, pageIndex, top] of dests) {
+    dict[id] = doc.context.obj([pages[pageIndex].ref, PDFName.of('XYZ'), PDFNumber.of(0), PDFNumber.of(top), PDFNull]);
+  }
+  doc.catalog.set(PDFName.of('Dests'), doc.context.obj(dict));
+  return Buffer.from(await doc.save());
+}
+
+const HEADINGS = [
+  { id: 'exec', level: 1, title: 'Executive Summary' },
+  { id: 'pdf-heading-1', level: 2, title: '1. Strategischer Kontext' },
+  { id: 'pdf-heading-2', level: 2, title: '2. Quick Wins' },
+  { id: 'glossar', level: 1, title: 'Glossar' },
+  { id: 'missing', level: 2, title: 'Nicht gerendert' },
+];
+const DESTS = [['exec', 0, 800], ['pdf-heading-1', 1, 780], ['pdf-heading-2', 2, 780], ['glossar', 3, 800]];
+
+const shape = (entries) => entries.map((e) => `${e.title}@${e.pageIndex}${e.children.length ? `[${shape(e.children)}]` : ''}`).join(',');
+
+const cases = [
+  {
+    name: 'headings become nested bookmarks on their destination pages',
+    run: async () => {
+      const { pdf, entries } = await svc.addHeadingOutline(await chromiumLikePdf(4, DESTS), HEADINGS);
+      const outline = svc.readOutline(await PDFDocument.load(pdf));
+      return entries === 4 &&
+        shape(outline) === 'Executive Summary@0[1. Strategischer Kontext@1,2. Quick Wins@2],Glossar@3' &&
+        outline[0].children[0].top === 780;
+    },
+  },
+  {
+    name: 'PageMode is set to show the outline',
+    run: async () => {
+      const { pdf } = await svc.addHeadingOutline(await chromiumLikePdf(4, DESTS), HEADINGS);
+      const doc = await PDFDocument.load(pdf);
+      return String(doc.catalog.get(PDFName.of('PageMode'))) === '/UseOutlines';
+    },
+  },
+  {
+    name: 'no destinations → PDF returned unchanged',
+    run: async () => {
+      const input = await chromiumLikePdf(2, []);
+      const { pdf, entries } = await svc.addHeadingOutline(input, HEADINGS);
+      return entries === 0 && pdf === input;
+    },
+  },
+  {
+    name: 'sanitizePdfOptions accepts outline: true / { levels } and clamps levels',
+    run: () => svc.sanitizePdfOptions({ outline: true }).outline.levels === 2 &&
+      svc.sanitizePdfOptions({ outline: { levels: 3 } }).outline.levels === 3 &&
+      svc.sanitizePdfOptions({ outline: { levels: 99 } }).outline.levels === 6 &&
+      svc.sanitizePdfOptions({ outline: 'yes' }).outline === undefined &&
+      svc.sanitizePdfOptions({ outline: false }).outline === undefined,
+  },
+  {
+    name: 'merge keeps part bookmarks, shifted and nested under the part title',
+    run: async () => {
+      const { pdf: report } = await svc.addHeadingOutline(await chromiumLikePdf(4, DESTS), HEADINGS);
+      const cover = await chromiumLikePdf(1, []);
+      const r = await svc.mergeParts([
+        { pdf_base64: cover.toString('base64'), title: 'Deckblatt' },
+        { pdf_base64: report.toString('base64'), title: 'Report' },
+      ], 20 * 1024 * 1024, null);
+      const outline = svc.readOutline(await PDFDocument.load(r.pdf));
+      return shape(outline) ===
+        'Deckblatt@0,Report@1[Executive Summary@1[1. Strategischer Kontext@2,2. Quick Wins@3],Glossar@4]';
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf outline ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
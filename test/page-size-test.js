@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * Page size / CSS page mode test.
+ *
+ * Checks the pdf_options side (custom width/height, additional named formats,
+ * preferCSSPageSize) and that the HTML pipeline only keeps @page rules in the
+ * CSS page mode, so the default render path is unchanged. No Chromium.
+ *
+ * Usage: node test/page-size-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+process.env.PDF_STRIP_PAGE_AT_RULES = '1';
+
+const svc = require('./internals');
+
+const HTML = '<html><head><style>@page { size: 148mm 210mm; margin: 12mm } @page cover { margin: 0 }'
+  + ' .cover { page: cover }</style></head><body><div class="cover">Titel</div><p>Text</p></body></html>';
+
+const cases = [
+  {
+    name: 'custom width/height in mm|cm|in|px',
+    run: () => {
+      const a = svc.sanitizePdfOptions({ width: '100mm', height: '8.5in' });
+      const b = svc.sanitizePdfOptions({ width: '800px', height: '30cm', format: 'A4' });
+      return a.width === '100mm' && a.height === '8.5in' && b.width === '800px' && b.format === 'A4';
+    },
+  },
+  {
+    name: 'incomplete or out-of-range sizes are ignored',
+    run: () => [
+      { width: '100mm' },
+      { width: '10mm', height: '100mm' },
+      { width: '3000mm', height: '100mm' },
+      { width: '100vw', height: '100mm' },
+      { width: 210, height: 297 },
+    ].every((input) => svc.sanitizePdfOptions(input).width === undefined),
+  },
+  {
+    name: 'additional named formats, unknown ones still rejected',
+    run: () => ['A0', 'A2', 'A6', 'Ledger'].every((f) => svc.sanitizePdfOptions({ format: f }).format === f) &&
+      svc.sanitizePdfOptions({ format: 'B5' }).format === undefined,
+  },
+  {
+    name: 'preferCSSPageSize is opt-in per request',
+    run: () => svc.sanitizePdfOptions({ preferCSSPageSize: true }).preferCSSPageSize === true &&
+      svc.sanitizePdfOptions({}).preferCSSPageSize === undefined,
+  },
+  {
+    name: 'default pipeline strips @page, CSS page mode keeps size, margins and named pages',
+    run: () => {
+      const stripped = svc.sanitizeHtml(HTML, null, { keepPageRules: false });
+      const kept = svc.sanitizeHtml(HTML, null, { keepPageRules: true });
+      return !/@page\s*\{/.test(stripped) && /@page\s*\{\s*size:\s*148mm 210mm/.test(kept) &&
+        kept.includes('@page cover') && /page:\s*cover/.test(kept);
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── page size & CSS page mode ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+/**
+ * PDF/A-2b post-processing test for pdf_options.conformance.
+ *
+ * Runs finalizePdf() on pdf-lib generated PDFs, no Chromium: output intent
+ * with a well-formed ICC profile, pdfaid XMP, trailer /ID, removal of
+ * forbidden content, and 422 pdfa_conversion_failed for fonts that are not
+ * embedded (pdf-lib standard fonts are references only).
+ *
+ * Usage: node test/pdfa-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { PDFDocument, PDFName, PDFDict, PDFArray, PDFString, StandardFonts } = require('pdf-lib');
+const svc = require('./internals');
+
+const PDFA = { conformance: 'PDF/A-2b' };
+
+async function shapesPdf() {
+  const doc = await PDFDocument.create();
+  const page = doc.addPage([595, 842]);
+  page.drawRectangle({ x: 50, y: 700, width: 200, height: 40 });
+  // Link annotation without /F and with a JavaScript action, plus a document-level script
+  const js = doc.context.obj({ S: 'JavaScript', JS: PDFString.of('app.alert(1)') });
+  const annot = doc.context.register(doc.context.obj({
+    Type: 'Annot', Subtype: 'Link', Rect: [50, 700, 250, 740], A: js,
+  }));
+  page.node.set(PDFName.of('Annots'), doc.context.obj([annot]));
+  doc.catalog.set(PDFName.of('Names'), doc.context.obj({ JavaScript: doc.context.obj({ Names: [] }) }));
+  return { buf: Buffer.from(await doc.save()), annot };
+}
+
+const cases = [
+  {
+    name: 'conformance is normalized, unknown levels are ignored',
+    run: () => svc.sanitizePdfOptions({ conformance: 'pdf/a-2B' }).conformance === 'PDF/A-2b' &&
+      svc.sanitizePdfOptions({ conformance: 'PDF/X-4' }).conformance === undefined,
+  },
+  {
+    name: 'sRGB ICC profile has a consistent header',
+    run: () => {
+      const icc = svc.srgbIccProfile();
+      return icc.readUInt32BE(0) === icc.length && icc.toString('ascii', 36, 40) === 'acsp' &&
+        icc.toString('ascii', 12, 24) === 'mntrRGB XYZ ' && icc.readUInt32BE(128) === 9 && icc.length % 4 === 0;
+    },
+  },
+  {
+    name: 'output intent, pdfaid XMP and trailer /ID are added',
+    run: async () => {
+      const { buf } = await shapesPdf();
+      const doc = await PDFDocument.load(await svc.finalizePdf(buf, PDFA), { updateMetadata: false });
+      const intent = doc.catalog.lookup(PDFName.of('OutputIntents'), PDFArray).lookup(0, PDFDict);
+      const profile = intent.lookup(PDFName.of('DestOutputProfile'));
+      const xml = Buffer.from(doc.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+      return String(intent.get(PDFName.of('S'))) === '/GTS_PDFA1' &&
+        profile.dict.get(PDFName.of('N')).asNumber() === 3 &&
+        xml.includes('<pdfaid:part>2</pdfaid:part>') && xml.includes('<pdfaid:conformance>B</pdfaid:conformance>') &&
+        doc.context.trailerInfo.ID !== undefined;
+    },
+  },
+  {
+    name: 'info and XMP dates match at second precision',
+    run: async () => {
+      const { buf } = await shapesPdf();
+      const metadata = svc.sanitizePdfOptions({ metadata: { creation_date: '2025-03-01T10:00:00.750Z' } }).metadata;
+      const out = await svc.finalizePdf(buf, { ...PDFA, metadata });
+      const doc = await PDFDocument.load(out, { updateMetadata: false });
+      const xml = Buffer.from(doc.catalog.lookup(PDFName.of('Metadata')).getContents()).toString('utf8');
+      const modified = doc.getModificationDate().toISOString();
+      return doc.getCreationDate().toISOString() === '2025-03-01T10:00:00.000Z' &&
+        xml.includes('<xmp:CreateDate>2025-03-01T10:00:00.000Z') && xml.includes(`<xmp:ModifyDate>${modified}`);
+    },
+  },
+  {
+    name: 'JavaScript is removed and annotations get the print flag',
+    run: async () => {
+      const { buf, annot } = await shapesPdf();
+      const doc = await PDFDocument.load(await svc.finalizePdf(buf, PDFA));
+      const a = doc.context.lookup(annot, PDFDict);
+      const names = doc.catalog.lookup(PDFName.of('Names'), PDFDict);
+      return a.get(PDFName.of('F')).asNumber() === 4 && !a.has(PDFName.of('A')) &&
+        !names.has(PDFName.of('JavaScript'));
+    },
+  },
+  {
+    name: 'fonts that are not embedded fail with pdfa_conversion_failed',
+    run: async () => {
+      const doc = await PDFDocument.create();
+      const font = await doc.embedFont(StandardFonts.Helvetica);
+      doc.addPage([595, 842]).drawText('Hallo', { x: 50, y: 700, font });
+      try {
+        await svc.finalizePdf(Buffer.from(await doc.save()), PDFA);
+        return false;
+      } catch (e) {
+        const { status, payload } = svc.describeRenderError(e);
+        return status === 422 && payload.reason === 'pdfa_conversion_failed' &&
+          payload.issues.some((i) => i.includes('Helvetica'));
+      }
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf/a-2b ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+/**
+ * HTML sanitizer test.
+ *
+ * Runs sanitizeMarkup() / sanitizeHtml() from index.js over markup the old
+ * regex pass let through: event handlers, javascript: URLs (also entity- and
+ * tab-obfuscated), <iframe>, <object>, <meta http-equiv=refresh>, SVG <script>
+ * and animation, parser-differential (mXSS) shapes. Checks the report, custom
+ * allow-policies, header/footer templates and the X-PDF-Sanitized header
+ * (also for element/attribute names that are not valid in a header).
+ * No Chromium.
+ *
+ * Usage: node test/sanitizer-test.js
+ */
+'use strict';
+
+process.env.PDF_SANITIZE_HEADER = '1';
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const svc = require('./internals');
+
+const clean = (html, opts) => svc.sanitizeMarkup(html, opts);
+
+const cases = [
+  {
+    name: 'event handlers and javascript: URLs are removed, also when obfuscated',
+    run: () => {
+      const { html, report } = clean('<body onload="x()"><img src="a.png" onerror="x()">' +
+        '<a href="javascript:alert(1)">a</a><a href="java&#x09;script:alert(1)">b</a>' +
+        '<a href=" JAVASCRIPT:alert(1)">c</a><a href="#toc">d</a><a href="https://example.com/">e</a></body>');
+      return !/onload|onerror|javascript/i.test(html) && html.includes('<img src="a.png">') &&
+        html.includes('<a href="#toc">d</a>') && html.includes('<a href="https://example.com/">e</a>') &&
+        report.attributes.onload === 1 && report.attributes.onerror === 1 && report.urls.href === 3 &&
+        report.removed === 5;
+    },
+  },
+  {
+    name: 'iframe, object, embed, meta refresh and non-stylesheet links go with their content',
+    run: () => {
+      const { html, report } = clean('<head><meta charset="utf-8"><meta http-equiv="refresh" content="0;url=https://evil.example/">' +
+        '<link rel="stylesheet" href="a.css"><link rel="import" href="x.html"><link rel="prefetch" href="y"></head>' +
+        '<body><iframe srcdoc="<script>x()</script>"></iframe><object data="x.swf"><p>fallback</p></object>' +
+        '<embed src="x.swf"><p>text</p></body>');
+      return html.includes('<meta charset="utf-8">') && html.includes('<link rel="stylesheet" href="a.css">') &&
+        !/refresh|import|prefetch|iframe|object|embed|fallback/.test(html) && html.includes('<p>text</p>') &&
+        report.elements.meta === 1 && report.elements.link === 2 && report.elements.iframe === 1 &&
+        report.elements.object === 1 && report.elements.embed === 1;
+    },
+  },
+  {
+    name: 'SVG: script, animation, foreignObject and external <use> are removed, shapes kept',
+    run: () => {
+      const { html, report } = clean('<svg viewBox="0 0 10 10"><script>alert(1)</script>' +
+        '<a xlink:href="javascript:alert(1)"><rect width="5" height="5" fill="red"/></a>' +
+        '<set attributeName="href" to="javascript:alert(1)"/><animate attributeName="x" values="0;1"/>' +
+        '<foreignObject><div>x</div></foreignObject><use href="data:image/svg+xml,x"/><use href="#icon"/></svg>');
+      return html.includes('viewBox="0 0 10 10"') && html.includes('<rect width="5" height="5" fill="red"></rect>') &&
+        html.includes('<use href="#icon"></use>') && !/script|javascript|set|animate|foreignObject|data:/i.test(html) &&
+        report.elements.script === 1 && report.urls['xlink:href'] === 1 && report.urls.href === 1;
+    },
+  },
+  {
+    name: 'parser-differential shapes are sanitized as the browser parses them',
+    run: () => {
+      const a = clean('<svg><style><img src="x" onerror="alert(1)"></style></svg>').html;
+      const b = clean('<noscript><p title="</noscript><img src=x onerror=alert(1)>"></noscript>').html;
+      const c = clean('<math><mtext><table><mglyph><style><img src=x onerror=alert(1)>').html;
+      return [a, b, c].every((h) => !/onerror|<noscript|<math/i.test(h)) && a.includes('<img src="x">');
+    },
+  },
+  {
+    name: 'unknown elements and forms are unwrapped; data-*, aria-* and text stay',
+    run: () => {
+      const { html, report } = clean('<my-chart data-series="1,2" aria-label="Chart"><b>kept</b></my-chart>' +
+        '<form action="https://evil.example/"><input value="1" formaction="x"></form><div data-pdf-toc></div>');
+      return html.includes('<b>kept</b>') && !html.includes('my-chart') && !html.includes('form') &&
+        html.includes('<input value="1">') && html.includes('<div data-pdf-toc=""></div>') &&
+        report.elements['my-chart'] === 1 && report.elements.form === 1 && report.attributes.formaction === 1;
+    },
+  },
+  {
+    name: 'custom policy: extra elements/attributes, schemes, scripts kept when asked',
+    run: () => {
+      const policy = svc.makeSanitizePolicy({ elements: 'iframe, script', attributes: 'tabindex', schemes: 'https' });
+      const a = clean('<iframe src="https://example.com/"></iframe><script>x()</script>' +
+        '<a href="http://example.com/" tabindex="1">x</a>', { policy });
+      const scripts = svc.makeSanitizePolicy({ scripts: true });
+      const b = clean('<script>draw()</script><div onclick="x()"><a href="javascript:void(0)">y</a></div>', { policy: scripts });
+      return a.html.includes('<iframe src="https://example.com/"></iframe>') && !a.html.includes('<script') &&
+        a.html.includes('<a tabindex="1">x</a>') && a.report.urls.href === 1 &&
+        b.html.includes('<script>draw()</script>') && b.html.includes('onclick="x()"') &&
+        b.html.includes('javascript:void(0)') && b.report.removed === 0;
+    },
+  },
+  {
+    name: 'header/footer templates are sanitized as fragments',
+    run: () => {
+      const opts = svc.sanitizePdfOptions({
+        displayHeaderFooter: true,
+        headerTemplate: '<div style="font-size:8px"><span class="title"></span><script>x()</script></div>',
+        footerTemplate: '<span class="pageNumber"></span>/<span class="totalPages"></span><img src="x" onerror="y()">',
+      });
+      return opts.headerTemplate === '<div style="font-size:8px"><span class="title"></span></div>' &&
+        opts.footerTemplate === '<span class="pageNumber"></span>/<span class="totalPages"></span><img src="x">';
+    },
+  },
+  {
+    name: 'the pipeline fills the report; reportHeaders sets X-PDF-Sanitized',
+    run: () => {
+      const report = {};
+      const out = svc.sanitizeHtml('<p onclick="x()">a</p><script>y()</script>', null, { keepPageRules: false, report });
+      const headers = {};
+      svc.reportHeaders({ setHeader: (k, v) => { headers[k] = v; } }, { sanitized: report });
+      return !/script|onclick/.test(out) && out === '<html><head></head><body><p>a</p></body></html>' &&
+        report.removed === 2 && headers['X-PDF-Sanitized'] === 'removed=2; script=1,onclick=1';
+    },
+  },
+  {
+    name: 'X-PDF-Sanitized stays a valid, bounded header for hostile names',
+    run: () => {
+      const report = {};
+      const attrs = Array.from({ length: 60 }, (_, i) => `data-x${i}€=1 on${i}€x=1`).join(' ');
+      svc.sanitizeHtml(`<p €=1 onclick\u00e9="x()">a</p><x-ünïcode>b</x-ünïcode><div ${attrs}>c</div>`, null, { keepPageRules: false, report });
+      const headers = {};
+      const res = new http.ServerResponse({ method: 'GET' }); // its setHeader rejects invalid values
+      svc.reportHeaders({ setHeader: (k, v) => { res.setHeader(k, v); headers[k] = v; } }, { sanitized: report });
+      const value = headers['X-PDF-Sanitized'];
+      return report.removed > 60 && /^[\x20-\x7e]+$/.test(value) && value.length <= 256 && value.endsWith(',...') &&
+        /^removed=\d+; /.test(value) && value.includes('x-_n_code=1') && !value.includes('€');
+    },
+  },
+  {
+    name: 'very deep nesting is cut instead of overflowing the stack',
+    run: () => {
+      const { html, report } = clean(`${'<div>'.repeat(20000)}x${'</div>'.repeat(20000)}`);
+      return typeof html === 'string' && report.elements.div === 1 && !html.includes('x');
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── HTML sanitizer ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,183 @@
+#!/usr/bin/env node
+/**
+ * PAdES signing test for pdf_options.signature.
+ *
+ * Generates a self-signed certificate and PKCS#12 in a temp dir, points
+ * PDF_SIGN_P12_PATH at it and signs pdf-lib generated PDFs with signPdf().
+ * Verifies from the reader's side: /ByteRange covers everything but
+ * /Contents, the CMS messageDigest matches, the signature verifies with the
+ * certificate, ESS signing-certificate-v2 names it, and any change to the
+ * signed bytes breaks the digest. No Chromium.
+ *
+ * Usage: node test/signature-test.js
+ */
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const forge = require('node-forge');
+
+const P12_PASSWORD = 'p12-test-password';
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-sign-test-'));
+const p12Path = path.join(dir, 'signer.p12');
+
+// Self-signed certificate (RSA 2048, key generated by Node for speed)
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const cert = forge.pki.createCertificate();
+cert.publicKey = forge.pki.publicKeyFromPem(publicKey.export({ type: 'spki', format: 'pem' }));
+cert.serialNumber = '01a2b3c4';
+cert.validity.notBefore = new Date(Date.now() - 60 * 1000);
+cert.validity.notAfter = new Date(Date.now() + 365 * 24 * 3600 * 1000);
+const subject = [{ name: 'commonName', value: 'KI-Sicherheit Test Signer' }, { name: 'organizationName', value: 'Test' }];
+cert.setSubject(subject);
+cert.setIssuer(subject);
+const forgeKey = forge.pki.privateKeyFromPem(privateKey.export({ type: 'pkcs8', format: 'pem' }));
+cert.sign(forgeKey, forge.md.sha256.create());
+const p12 = forge.pkcs12.toPkcs12Asn1(forgeKey, [cert], P12_PASSWORD, { algorithm: 'aes256' });
+fs.writeFileSync(p12Path, Buffer.from(forge.asn1.toDer(p12).getBytes(), 'binary'));
+const certDer = Buffer.from(forge.asn1.toDer(forge.pki.certificateToAsn1(cert)).getBytes(), 'binary');
+
+process.env.PDF_SIGN_P12_PATH = p12Path;
+process.env.PDF_SIGN_P12_PASSWORD = P12_PASSWORD;
+process.env.LOG_LEVEL = 'silent';
+
+const { PDFDocument, PDFName, PDFDict, PDFArray } = require('pdf-lib');
+const svc = require('./internals');
+
+async function twoPagePdf() {
+  const doc = await PDFDocument.create();
+  doc.addPage([595, 842]);
+  doc.addPage([595, 842]);
+  return Buffer.from(await doc.save());
+}
+
+// Reader side: locate the signature and check it against the file bytes.
+function inspect(signed) {
+  const text = signed.toString('latin1');
+  const range = /\/ByteRange \[ (\d+) (\d+) (\d+) (\d+) \]/.exec(text).slice(1).map(Number);
+  const contentsHex = text.slice(range[1] + 1, range[2] - 1);
+  const cms = forge.asn1.fromDer(Buffer.from(contentsHex, 'hex').toString('binary'), { parseAllBytes: false });
+  const signedData = cms.value[1].value[0];
+  const signerInfo = signedData.value[4].value[0];
+  const attrs = signerInfo.value[3].value;
+  const attr = (oid) => attrs.find((a) => forge.asn1.derToOid(a.value[0].value) === oid).value[1].value[0];
+  const attrsDer = Buffer.from(forge.asn1.toDer(
+    forge.asn1.create(forge.asn1.Class.UNIVERSAL, forge.asn1.Type.SET, true, attrs),
+  ).getBytes(), 'binary');
+  const digest = crypto.createHash('sha256')
+    .update(signed.subarray(range[0], range[0] + range[1]))
+    .update(signed.subarray(range[2], range[2] + range[3]))
+    .digest();
+  return {
+    range,
+    digest,
+    messageDigest: Buffer.from(attr('1.2.840.113549.1.9.4').value, 'binary'),
+    essCertHash: Buffer.from(attr('1.2.840.113549.1.9.16.2.47').value[0].value[0].value[0].value, 'binary'),
+    signatureOk: crypto.verify('sha256', attrsDer, publicKey, Buffer.from(signerInfo.value[5].value, 'binary')),
+    certificates: signedData.value[3].value.length,
+  };
+}
+
+async function signatureWidget(signed) {
+  const doc = await PDFDocument.load(signed);
+  const acroForm = doc.catalog.lookup(PDFName.of('AcroForm'), PDFDict);
+  const widget = acroForm.lookup(PDFName.of('Fields'), PDFArray).lookup(0, PDFDict);
+  return { doc, acroForm, widget, sig: widget.lookup(PDFName.of('V'), PDFDict) };
+}
+
+const sign = (input) => async () => svc.signPdf(await twoPagePdf(), svc.sanitizePdfOptions({ signature: input }).signature);
+
+const cases = [
+  {
+    name: 'certificate is loaded from PDF_SIGN_P12_PATH, wrong password fails',
+    run: () => {
+      let wrong = false;
+      try { svc.loadSigner(p12Path, 'wrong'); } catch (e) { wrong = true; }
+      return svc.loadSigner(p12Path, P12_PASSWORD).name === 'KI-Sicherheit Test Signer' && wrong;
+    },
+  },
+  {
+    name: 'invisible signature: ByteRange covers all but /Contents, digest and signature verify',
+    run: async () => {
+      const signed = await sign(true)();
+      const r = inspect(signed);
+      return r.range[0] === 0 && r.range[2] + r.range[3] === signed.length &&
+        signed.toString('latin1', r.range[1], r.range[1] + 1) === '<' && signed.toString('latin1', r.range[2] - 1, r.range[2]) === '>' &&
+        r.digest.equals(r.messageDigest) && r.signatureOk && r.certificates === 1;
+    },
+  },
+  {
+    name: 'ESS signing-certificate-v2 names the signer certificate',
+    run: async () => inspect(await sign(true)()).essCertHash.equals(crypto.createHash('sha256').update(certDer).digest()),
+  },
+  {
+    name: 'PAdES signature dictionary, zero-size widget, SigFlags 3',
+    run: async () => {
+      const { acroForm, widget, sig } = await signatureWidget(await sign({ reason: 'Freigabe', location: 'Berlin' })());
+      const rect = widget.lookup(PDFName.of('Rect'), PDFArray).asArray().map((n) => n.asNumber());
+      return String(sig.get(PDFName.of('SubFilter'))) === '/ETSI.CAdES.detached' &&
+        sig.lookup(PDFName.of('Reason')).decodeText() === 'Freigabe' &&
+        acroForm.lookup(PDFName.of('SigFlags')).asNumber() === 3 && rect.every((v) => v === 0) &&
+        !widget.has(PDFName.of('AP'));
+    },
+  },
+  {
+    name: 'visible signature gets an appearance on the chosen page',
+    run: async () => {
+      const { doc, widget } = await signatureWidget(await sign({ visible: true, page: 'first', rect: [50, 50, 220, 60] })());
+      const rect = widget.lookup(PDFName.of('Rect'), PDFArray).asArray().map((n) => n.asNumber());
+      const annots = doc.getPages()[0].node.lookup(PDFName.of('Annots'), PDFArray);
+      return rect.join(',') === '50,50,270,110' && widget.lookup(PDFName.of('AP'), PDFDict).has(PDFName.of('N')) &&
+        annots.size() === 1 && !doc.getPages()[1].node.has(PDFName.of('Annots'));
+    },
+  },
+  {
+    name: 'changing a signed byte breaks the digest',
+    run: async () => {
+      const signed = await sign(true)();
+      const tampered = Buffer.from(signed);
+      tampered[20] ^= 0x01;
+      const r = inspect(tampered);
+      return !r.digest.equals(r.messageDigest);
+    },
+  },
+  {
+    name: 'signature conflicts with security and (visible) with PDF/A',
+    run: () => {
+      const reason = (opts) => {
+        try { svc.sanitizePdfOptions(opts); return null; } catch (e) { return e.reason; }
+      };
+      return reason({ signature: true, security: { userPassword: 'x' } }) === 'pdf_options_conflict' &&
+        reason({ signature: { visible: true }, conformance: 'PDF/A-2b' }) === 'pdf_options_conflict' &&
+        reason({ signature: true, conformance: 'PDF/A-2b' }) === null;
+    },
+  },
+  {
+    name: 'signing without a loaded certificate fails with signature_not_configured',
+    run: async () => {
+      try {
+        await svc.signPdf(await twoPagePdf(), { visible: false, page: 'last' }, null);
+        return false;
+      } catch (e) {
+        return e.status === 400 && e.reason === 'signature_not_configured';
+      }
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf signing ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+/**
+ * DNS rebinding test for the SSRF guard.
+ *
+ * Swaps in a fake resolver (setResolver) that answers a name with a public
+ * address first and 127.0.0.1 afterwards, and checks that every connection
+ * uses the one answer it checked: pinnedLookup, guardedFetch, the Chromium
+ * request handler respondFromNetwork() (driven with stand-in request objects),
+ * the asset inliner and job callbacks. A local HTTP stand-in on 127.0.0.1 must
+ * never be reached. The guard stays on; no Chromium.
+ *
+ * Usage: node test/ssrf-rebinding-test.js
+ */
+'use strict';
+
+process.env.PDF_SHARED_SECRET = 'ssrf-rebinding-test-secret';
+process.env.PDF_CALLBACK_RETRIES = '0';
+process.env.PDF_INLINE_TIMEOUT_MS = '1000';
+process.env.LOG_LEVEL = 'silent';
+
+const http = require('http');
+const svc = require('./internals');
+const { fakeRequest, blockedCount } = require('./stand-ins');
+
+const PUBLIC = '203.0.113.10'; // TEST-NET-3: public as far as the guard is concerned, never answers
+let hits = 0;
+let port;
+let lookups = 0;
+
+// Public on the first lookup, loopback on every later one
+function rebinding() {
+  lookups = 0;
+  svc.setResolver(async () => {
+    lookups += 1;
+    return [{ address: lookups === 1 ? PUBLIC : '127.0.0.1', family: 4 }];
+  });
+}
+
+function resolvesTo(...addresses) {
+  lookups = 0;
+  svc.setResolver(async () => {
+    lookups += 1;
+    return addresses.map((address) => ({ address, family: 4 }));
+  });
+}
+
+const lookup = (host, options) => new Promise((resolve, reject) => {
+  svc.pinnedLookup(host, options, (err, address, family) => (err ? reject(err) : resolve({ address, family })));
+});
+
+const cases = [
+  {
+    name: 'pinnedLookup hands the socket the address it checked, one resolution per connection',
+    run: async () => {
+      rebinding();
+      const first = await lookup('rebind.test', {});
+      const all = await new Promise((resolve) => {
+        svc.pinnedLookup('rebind.test', { all: true }, (err, addrs) => resolve(err));
+      });
+      return first.address === PUBLIC && first.family === 4 && lookups === 2 && all && all.code === 'ESSRF';
+    },
+  },
+  {
+    name: 'any private address in the answer blocks the lookup',
+    run: async () => {
+      resolvesTo(PUBLIC, '10.0.0.7');
+      const err = await lookup('mixed.test', {}).catch((e) => e);
+      return err.code === 'ESSRF' && lookups === 1;
+    },
+  },
+  {
+    name: 'checked public, rebound to loopback on connect → ESSRF, stand-in not reached',
+    run: async () => {
+      rebinding();
+      const url = `http://rebind.test:${port}/secret`;
+      const checked = await svc.isBlockedRequestUrl(url);
+      const err = await svc.guardedFetch(url, { timeoutMs: 1000 }).catch((e) => e);
+      return checked === false && err.code === 'ESSRF' && lookups === 2 && hits === 0;
+    },
+  },
+  {
+    name: 'public on connect → the socket dials the public address, not a second lookup',
+    run: async () => {
+      rebinding();
+      const err = await svc.guardedFetch(`http://rebind.test:${port}/secret`, { timeoutMs: 500 }).catch((e) => e);
+      return err instanceof Error && err.code !== 'ESSRF' && lookups === 1 && hits === 0;
+    },
+  },
+  {
+    name: 'literal private addresses and reserved names fail without a lookup',
+    run: async () => {
+      resolvesTo(PUBLIC);
+      const a = await svc.guardedFetch(`http://127.0.0.1:${port}/secret`).catch((e) => e);
+      const b = await svc.guardedFetch(`http://metadata.internal:${port}/`).catch((e) => e);
+      const c = await svc.checkSubresource(`http://[::1]:${port}/x.png`);
+      return a.code === 'ESSRF' && b.code === 'ESSRF' && c === 'ssrf' && lookups === 0 && hits === 0;
+    },
+  },
+  {
+    name: 'the Chromium request handler never continues; a rebound name is aborted and counted',
+    run: async () => {
+      resolvesTo('127.0.0.1');
+      const before = await blockedCount('ssrf');
+      const budget = svc.makeSubresourceBudget();
+      const url = `http://rebind.test:${port}/logo.png`;
+      const admitted = await svc.admitSubresource(url, budget);
+      const req = fakeRequest(url);
+      await svc.respondFromNetwork(req, budget);
+      return admitted === null && lookups === 1 && req.answer.kind === 'abort' &&
+        budget.blocked === 1 && (await blockedCount('ssrf')) === before + 1 && hits === 0;
+    },
+  },
+  {
+    name: 'the asset inliner and job callbacks connect through the pinned lookup',
+    run: async () => {
+      resolvesTo('127.0.0.1');
+      const { report } = await svc.inlineRemoteAssets(`<img src="http://rebind.test:${port}/logo.png">`, svc.makeInliner());
+      rebinding(); // deliverCallback checks the URL (public), then connects (loopback)
+      const cb = await svc.deliverCallback(`http://rebind.test:${port}/hook`, { job_id: 'j1' });
+      return report.assets[0].error === 'blocked (ssrf)' && !cb.delivered && /blocked/.test(cb.error) &&
+        cb.attempts === 1 && lookups === 2 && hits === 0;
+    },
+  },
+];
+
+(async () => {
+  const server = http.createServer((req, res) => {
+    hits += 1;
+    res.end('internal');
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  port = server.address().port;
+
+  let pass = 0;
+  let fail = 0;
+  console.log('── SSRF guard / DNS rebinding ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  svc.setResolver(null);
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,34 @@
+/**
+ * Stand-ins shared by the sub-resource tests (asset policy, SSRF rebinding,
+ * uploads). No Chromium.
+ */
+'use strict';
+
+const client = require('prom-client');
+
+// Stand-in for a Puppeteer HTTPRequest; records how it was answered. The Host
+// header must never be forwarded by respondFromNetwork().
+function fakeRequest(url, resourceType = 'image', navigation = false) {
+  const r = {
+    answer: null,
+    url: () => url,
+    method: () => 'GET',
+    headers: () => ({ accept: '*/*', host: 'ignored', 'user-agent': 'HeadlessChrome' }),
+    postData: () => undefined,
+    resourceType: () => resourceType,
+    isNavigationRequest: () => navigation,
+    respond: async (res) => { r.answer = { kind: 'respond', ...res }; },
+    abort: async () => { r.answer = { kind: 'abort' }; },
+    continue: async () => { r.answer = { kind: 'continue' }; },
+  };
+  return r;
+}
+
+// Current value of pdf_subresources_blocked_total for one reason
+async function blockedCount(reason) {
+  const metric = await client.register.getSingleMetric('pdf_subresources_blocked_total').get();
+  const v = metric.values.find((x) => x.labels.reason === reason);
+  return v ? v.value : 0;
+}
+
+module.exports = { fakeRequest, blockedCount };
@@ -0,0 +1,120 @@
+#!/usr/bin/env node
+/**
+ * Server-side template test for POST /render/:template.
+ *
+ * Renders the bundled ki-status-report template from the test profiles
+ * (DE and dual-lang) and checks name@version resolution, required-field
+ * validation and escaping of profile values. POST /render/:template on an
+ * app with a stand-in renderer (createApp({ render })) checks that the
+ * generated HTML is held to PDF_MAX_HTML_KB. No Chromium.
+ *
+ * Usage: node test/templates-test.js
+ */
+'use strict';
+
+process.env.PDF_MAX_HTML_KB = '16';
+process.env.LOG_LEVEL = 'silent';
+
+const svc = require('./internals');
+const { PROFILES } = require('./test-profiles');
+const { ALL_PROFILES } = require('./test-profiles-dual-lang');
+
+const tpl = svc.resolveTemplate('ki-status-report');
+
+let rendered = [];
+const app = svc.createApp({
+  render: async (html) => { rendered.push(html); return Buffer.from('%PDF-template'); },
+});
+
+let base;
+async function post(name, body) {
+  const r = await fetch(`${base}/render/${name}`, {
+    method: 'POST', body: JSON.stringify(body), headers: { 'Content-Type': 'application/json' },
+  });
+  const buf = Buffer.from(await r.arrayBuffer());
+  return { status: r.status, body: buf, json: /json/.test(r.headers.get('content-type') || '') ? JSON.parse(buf) : null };
+}
+
+const cases = [
+  {
+    name: 'ki-status-report resolves by name and by name@1',
+    run: () => tpl && tpl.version === 1 && svc.resolveTemplate('ki-status-report@1') === tpl,
+  },
+  {
+    name: 'unknown template / version / malformed id resolve to null',
+    run: () => svc.resolveTemplate('nope') === null &&
+      svc.resolveTemplate('ki-status-report@99') === null &&
+      svc.resolveTemplate('../index') === null,
+  },
+  {
+    name: 'all 4 test profiles render with every report section',
+    run: () => Object.values(PROFILES).every((p) => {
+      const h = svc.renderTemplate(tpl, p);
+      return ['executive-summary', 'context-grid', 'quick-wins', 'roadmap-phase', 'annex-section']
+        .every((cls) => h.includes(`class="${cls}`)) && h.includes(p.name.replace(/&/g, '&amp;'));
+    }),
+  },
+  {
+    name: 'guardrails callout only for profiles with guardrails',
+    run: () => svc.renderTemplate(tpl, PROFILES.kmu_guardrails).includes('class="callout-guardrails') &&
+      !svc.renderTemplate(tpl, PROFILES.team_it).includes('class="callout-guardrails'),
+  },
+  {
+    name: 'dual-lang profiles set <html lang> and use their labels',
+    run: () => Object.values(ALL_PROFILES).every((p) => {
+      const h = svc.renderTemplate(tpl, p);
+      return h.includes(`<html lang="${p.lang}">`) && h.includes(p.labels.quick_wins.replace(/&/g, '&amp;'));
+    }),
+  },
+  {
+    name: 'profile values are HTML-escaped',
+    run: () => {
+      const h = svc.renderTemplate(tpl, {
+        ...PROFILES.kmu_guardrails,
+        name: '<script>alert(1)</script>',
+        ki_guardrails: ['<img src=x onerror=alert(1)>'],
+        roadmap: [{ title: '"><iframe src=//evil>', items: ['ok'] }],
+      });
+      return !/<script>alert|<img src=x|<iframe/.test(h) && h.includes('&lt;script&gt;');
+    },
+  },
+  {
+    name: 'missing required fields fail with template_data_invalid',
+    run: () => {
+      try {
+        svc.renderTemplate(tpl, { branche: 'IT' });
+        return false;
+      } catch (e) {
+        return e.status === 400 && e.reason === 'template_data_invalid' && e.missing.includes('name');
+      }
+    },
+  },
+  {
+    name: 'generated HTML over PDF_MAX_HTML_KB → 413 html_payload_too_large, not rendered',
+    run: async () => {
+      rendered = [];
+      const ok = await post('ki-status-report', { data: PROFILES.team_it });
+      const guardrails = Array.from({ length: 2000 }, (_, i) => `Leitplanke ${i}`);
+      const big = await post('ki-status-report', { data: { ...PROFILES.kmu_guardrails, ki_guardrails: guardrails } });
+      return ok.status === 200 && ok.body.toString() === '%PDF-template' && rendered.length === 1 &&
+        big.status === 413 && big.json.reason === 'html_payload_too_large' && big.json.limit_kb === 16;
+    },
+  },
+];
+
+(async () => {
+  const server = await new Promise((resolve) => { const s = app.listen(0, '127.0.0.1', () => resolve(s)); });
+  base = `http://127.0.0.1:${server.address().port}`;
+  let pass = 0;
+  let fail = 0;
+  console.log('── server-side templates ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Table of contents test (<nav data-pdf-toc>).
+ *
+ * Runs collectHeadingsInPage() and buildTocInPage() from index.js against a
+ * jsdom document and drives printWithToc() with a stand-in page: evaluate()
+ * runs the in-page function inside that document, pdf() writes a named
+ * destination per heading (as Chromium does) on a page that the test's layout
+ * derives from the current TOC text. Checks the filled list, the measuring
+ * loop until the numbers are stable, and the TOC_MAX_PASSES fallback.
+ * No Chromium.
+ *
+ * Usage: node test/toc-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const { JSDOM } = require('jsdom');
+const { PDFDocument, PDFName, PDFNumber, PDFNull } = require('pdf-lib');
+const svc = require('./internals');
+
+const BODY = '<nav data-pdf-toc></nav><h1>Einleitung</h1><p>…</p><h2>Kontext</h2><h3>Details</h3>' +
+  '<h2 id="ziele">Ziele</h2><h1>Anhang</h1>';
+
+// Stand-in page over a jsdom document. layout(document, printNo) → { id: pageIndex }
+function standInPage(body, layout) {
+  const dom = new JSDOM(`<!DOCTYPE html><html><head><style>h1{color:red}</style></head><body>${body}</body></html>`,
+    { runScripts: 'outside-only' });
+  // jsdom does no layout: every element with text counts as rendered
+  dom.window.Element.prototype.getClientRects = function rects() { return this.textContent.trim() ? [{}] : []; };
+  const page = {
+    document: dom.window.document,
+    prints: 0,
+    evaluate: async (fn, arg) => dom.window.eval(`(${fn})(${JSON.stringify(arg)})`),
+    pdf: async () => {
+      page.prints += 1;
+      const dests = layout(dom.window.document, page.prints);
+      const doc = await PDFDocument.create();
+      const count = Math.max(1, ...Object.values(dests).map((i) => i + 1));
+      for (let i = 0; i < count; i++) doc.addPage([595, 842]);
+      const dict = {};
+      for (const [id, pageIndex] of Object.entries(dests)) {
+        dict[id] = doc.context.obj([doc.getPage(pageIndex).ref, PDFName.of('XYZ'), PDFNumber.of(0), PDFNumber.of(800), PDFNull]);
+      }
+      doc.catalog.set(PDFName.of('Dests'), doc.context.obj(dict));
+      return Buffer.from(await doc.save());
+    },
+  };
+  return page;
+}
+
+async function prepare(body, layout) {
+  const page = standInPage(body, layout);
+  const headings = await page.evaluate(svc.collectHeadingsInPage, 6);
+  const entries = await page.evaluate(svc.buildTocInPage, headings);
+  return { page, headings, entries };
+}
+
+const tocText = (document) => Array.from(document.querySelectorAll('.pdf-toc-entry'))
+  .map((li) => `${li.querySelector('.pdf-toc-title').textContent}:${li.querySelector('.pdf-toc-page').textContent}`).join(',');
+
+// Headings in order, one per page after the TOC; the TOC takes one page per
+// `perPage` characters of its text, so longer numbers can push everything on.
+const flowing = (perPage) => (document) => {
+  const tocPages = Math.max(1, Math.ceil(document.querySelector('[data-pdf-toc]').textContent.length / perPage));
+  const out = {};
+  document.querySelectorAll('h1[id], h2[id]').forEach((h, i) => { out[h.id] = tocPages + i; });
+  return out;
+};
+
+const cases = [
+  {
+    name: 'buildTocInPage fills the nav with linked entries up to data-pdf-toc-levels',
+    run: async () => {
+      const { page, entries } = await prepare(BODY.replace('<nav data-pdf-toc>', '<nav data-pdf-toc data-pdf-toc-levels="3">'), flowing(1000));
+      const doc = page.document;
+      const links = Array.from(doc.querySelectorAll('.pdf-toc a')).map((a) => a.getAttribute('href'));
+      return entries === 5 && links.join() === '#pdf-heading-0,#pdf-heading-1,#pdf-heading-2,#ziele,#pdf-heading-4' &&
+        doc.querySelector('.pdf-toc-level-3 .pdf-toc-title').textContent === 'Details' &&
+        Array.from(doc.querySelectorAll('.pdf-toc-page')).every((el) => el.textContent === '888') &&
+        doc.head.firstChild.tagName === 'STYLE' && doc.head.firstChild.textContent.startsWith('.pdf-toc{') &&
+        doc.querySelectorAll('[data-pdf-anchors] a').length === 5;
+    },
+  },
+  {
+    name: 'default levels are h1–h2; building again replaces the list',
+    run: async () => {
+      const { page, headings, entries } = await prepare(BODY, flowing(1000));
+      const again = await page.evaluate(svc.buildTocInPage, headings);
+      return entries === 4 && again === 4 && page.document.querySelectorAll('ol.pdf-toc').length === 1 &&
+        !page.document.querySelector('.pdf-toc-level-3');
+    },
+  },
+  {
+    name: 'stable layout: one measuring print, then the numbered print',
+    run: async () => {
+      const { page } = await prepare(BODY, flowing(1000));
+      const pdf = await svc.printWithToc(page, {});
+      return page.prints === 2 && tocText(page.document) === 'Einleitung:2,Kontext:3,Ziele:4,Anhang:5' &&
+        (await PDFDocument.load(pdf)).getPageCount() === 5;
+    },
+  },
+  {
+    name: 'numbers that move page breaks are measured again until stable',
+    run: async () => {
+      // The '888' placeholders make the TOC two pages long, the real numbers one
+      const { page } = await prepare(BODY, flowing(38));
+      await svc.printWithToc(page, {});
+      return page.prints === 3 && tocText(page.document) === 'Einleitung:2,Kontext:3,Ziele:4,Anhang:5';
+    },
+  },
+  {
+    name: 'numbers that never settle stop after TOC_MAX_PASSES with the last measurement',
+    run: async () => {
+      // Every print moves "Anhang" one page on
+      const { page } = await prepare(BODY, (document, printNo) => ({ ...flowing(1000)(document), 'pdf-heading-4': 3 + printNo }));
+      await svc.printWithToc(page, {});
+      return page.prints === 5 && tocText(page.document) === 'Einleitung:2,Kontext:3,Ziele:4,Anhang:8';
+    },
+  },
+  {
+    name: 'a heading without a destination gets a dash',
+    run: async () => {
+      const { page } = await prepare(BODY, (document) => {
+        const out = flowing(1000)(document);
+        delete out.ziele;
+        return out;
+      });
+      await svc.printWithToc(page, {});
+      return tocText(page.document) === 'Einleitung:2,Kontext:3,Ziele:–,Anhang:5';
+    },
+  },
+  {
+    name: 'no <nav data-pdf-toc>: nothing is built',
+    run: async () => {
+      const { page, entries } = await prepare('<h1>Titel</h1>', flowing(1000));
+      return entries === 0 && !page.document.querySelector('.pdf-toc') && page.document.head.firstChild.tagName === 'STYLE' &&
+        page.document.head.firstChild.textContent === 'h1{color:red}';
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── table of contents ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Multipart upload test.
+ *
+ * Mounts acceptUpload() + withIdempotency() from index.js in front of a
+ * stand-in handler that echoes req.body and the asset map, and posts
+ * multipart forms to it: loose files, a zipped folder, size limit (also for
+ * a zip bomb and an oversized html text field), path traversal, missing
+ * index.html, unauthorized uploads. The request handler respondFromUpload()
+ * is driven with stand-in request objects. No Chromium.
+ *
+ * Usage: node test/upload-test.js
+ */
+'use strict';
+
+process.env.PDF_SHARED_SECRET = 'upload-test-secret';
+process.env.PDF_MAX_HTML_KB = '64';
+process.env.LOG_LEVEL = 'silent';
+
+const express = require('express');
+const JSZip = require('jszip');
+const svc = require('./internals');
+const { fakeRequest } = require('./stand-ins');
+
+const SECRET = process.env.PDF_SHARED_SECRET;
+const INDEX = '<!DOCTYPE html><html><head><link rel="stylesheet" href="css/style.css"></head><body><img src="img/logo.png"></body></html>';
+const CSS = 'body { font-family: Inter; }';
+const PNG = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+const app = express();
+app.post('/generate-pdf', svc.acceptUpload, svc.withIdempotency((req, res) => {
+  const assets = req.assets ? Object.fromEntries([...req.assets].map(([rel, buf]) => [rel, buf.length])) : null;
+  res.json({ ok: true, body: req.body || null, assets });
+}));
+
+let base;
+async function post(form, { secret = SECRET, key } = {}) {
+  const headers = {};
+  if (secret) headers['X-PDF-Secret'] = secret;
+  if (key) headers['Idempotency-Key'] = key;
+  const r = await fetch(`${base}/generate-pdf`, { method: 'POST', body: form, headers });
+  return { status: r.status, json: await r.json() };
+}
+
+function form(files, fields = {}) {
+  const f = new FormData();
+  for (const [name, value] of Object.entries(fields)) f.append(name, value);
+  for (const [filename, data] of Object.entries(files)) f.append('file', new Blob([data]), filename);
+  return f;
+}
+
+const cases = [
+  {
+    name: 'index.html plus assets become body.html and a path → bytes map',
+    run: async () => {
+      const r = await post(form(
+        { 'index.html': INDEX, 'css/style.css': CSS, 'img/logo.png': PNG },
+        { filename: 'upload.pdf', maxBytes: '2000000', pdf_options: '{"format":"A5"}' },
+      ));
+      return r.status === 200 && r.json.body.html === INDEX && r.json.body.filename === 'upload.pdf' &&
+        r.json.body.maxBytes === 2000000 && r.json.body.pdf_options.format === 'A5' &&
+        r.json.assets['css/style.css'] === CSS.length && r.json.assets['img/logo.png'] === PNG.length &&
+        !('index.html' in r.json.assets);
+    },
+  },
+  {
+    name: 'a zipped folder is unpacked relative to its top-level directory',
+    run: async () => {
+      const zip = new JSZip();
+      zip.file('site/index.html', INDEX);
+      zip.file('site/css/style.css', CSS);
+      zip.file('site/img/logo.png', PNG);
+      const buf = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+      const r = await post(form({ 'bundle.zip': buf }));
+      return r.status === 200 && r.json.body.html === INDEX &&
+        Object.keys(r.json.assets).sort().join(',') === 'css/style.css,img/logo.png';
+    },
+  },
+  {
+    name: 'HTML plus assets over PDF_MAX_HTML_KB → 413 html_payload_too_large',
+    run: async () => {
+      const r = await post(form({ 'index.html': INDEX, 'img/big.png': Buffer.alloc(40 * 1024), 'img/big2.png': Buffer.alloc(30 * 1024) }));
+      return r.status === 413 && r.json.reason === 'html_payload_too_large' && r.json.limit_kb === 64;
+    },
+  },
+  {
+    name: 'an html text field over PDF_MAX_HTML_KB → 413, not rendered cut off',
+    run: async () => {
+      const r = await post(form({}, { html: `<p>${'x'.repeat(70 * 1024)}</p>` }));
+      const ok = await post(form({}, { html: INDEX }));
+      return r.status === 413 && r.json.reason === 'html_payload_too_large' && r.json.limit_kb === 64 &&
+        ok.status === 200 && ok.json.body.html === INDEX;
+    },
+  },
+  {
+    name: 'a small ZIP that inflates past the limit is rejected with 413',
+    run: async () => {
+      const zip = new JSZip();
+      zip.file('index.html', INDEX);
+      zip.file('bomb.txt', Buffer.alloc(8 * 1024 * 1024, 0x41));
+      const buf = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+      const r = await post(form({ 'bundle.zip': buf }));
+      return buf.length < 64 * 1024 && r.status === 413 && r.json.reason === 'html_payload_too_large';
+    },
+  },
+  {
+    name: 'path traversal and a missing index.html → 400 invalid_upload',
+    run: async () => {
+      const a = await post(form({ 'index.html': INDEX, '../secret.css': CSS }));
+      const b = await post(form({ 'css/style.css': CSS }));
+      return a.status === 400 && a.json.reason === 'invalid_upload' &&
+        b.status === 400 && b.json.reason === 'invalid_upload';
+    },
+  },
+  {
+    name: 'unauthorized uploads are not parsed',
+    run: async () => {
+      const r = await post(form({ 'index.html': INDEX }), { secret: 'wrong' });
+      return r.status === 200 && r.json.assets === null && !(r.json.body && r.json.body.html);
+    },
+  },
+  {
+    name: 'same Idempotency-Key with a different asset → 409',
+    run: async () => {
+      const a = await post(form({ 'index.html': INDEX, 'css/style.css': CSS }), { key: 'upload-1' });
+      const b = await post(form({ 'index.html': INDEX, 'css/style.css': 'body { color: red; }' }), { key: 'upload-1' });
+      return a.status === 200 && b.status === 409 && b.json.reason === 'idempotency_key_reused';
+    },
+  },
+  {
+    name: 'respondFromUpload serves the upload origin and aborts everything else',
+    run: async () => {
+      const assets = new Map([['css/style.css', Buffer.from(CSS)], ['img/logo.png', PNG]]);
+      const at = (p) => `${svc.UPLOAD_ORIGIN}/${p}`;
+      const nav = fakeRequest(at('index.html'), 'document', true);
+      const css = fakeRequest(at('css/style.css'), 'stylesheet');
+      const png = fakeRequest(at('img/logo.png'));
+      const lowFi = fakeRequest(at('img/logo.png'));
+      const missing = fakeRequest(at('img/missing.png'));
+      const remote = fakeRequest('https://example.com/tracker.png');
+      const data = fakeRequest('data:image/png;base64,AAAA');
+      await svc.respondFromUpload(nav, assets, INDEX, false);
+      await svc.respondFromUpload(css, assets, INDEX, false);
+      await svc.respondFromUpload(png, assets, INDEX, false);
+      await svc.respondFromUpload(lowFi, assets, INDEX, true);
+      await svc.respondFromUpload(missing, assets, INDEX, false);
+      await svc.respondFromUpload(remote, assets, INDEX, false);
+      await svc.respondFromUpload(data, assets, INDEX, false);
+      return nav.answer.kind === 'respond' && nav.answer.body === INDEX &&
+        css.answer.kind === 'respond' && css.answer.contentType.startsWith('text/css') &&
+        png.answer.contentType === 'image/png' && png.answer.body.equals(PNG) &&
+        lowFi.answer.kind === 'abort' && missing.answer.kind === 'abort' &&
+        remote.answer.kind === 'abort' && data.answer.kind === 'continue';
+    },
+  },
+];
+
+(async () => {
+  const server = await new Promise((resolve) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+
+  let pass = 0;
+  let fail = 0;
+  console.log('── multipart uploads ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  server.close();
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * pdf_options.watermark test.
+ *
+ * Stamps pdf-lib generated PDFs via finalizePdf() and checks the page content
+ * streams: page selection, front/behind order relative to the original
+ * content, /Artifact marking, opacity via ExtGState, and that watermarked
+ * files still encrypt completely. No Chromium.
+ *
+ * Usage: node test/watermark-test.js
+ */
+'use strict';
+
+process.env.LOG_LEVEL = 'silent';
+
+const zlib = require('zlib');
+const { PDFDocument, PDFName, PDFDict, PDFArray, StandardFonts } = require('pdf-lib');
+const svc = require('./internals');
+
+async function sourcePdf(pages = 3) {
+  const doc = await PDFDocument.create();
+  const font = await doc.embedFont(StandardFonts.Helvetica);
+  for (let i = 1; i <= pages; i++) doc.addPage([595, 842]).drawText(`Seite ${i}`, { x: 50, y: 700, font });
+  return Buffer.from(await doc.save({ useObjectStreams: false }));
+}
+
+async function stamped(watermark, pages = 3) {
+  const { watermark: watermarks } = svc.sanitizePdfOptions({ watermark });
+  return PDFDocument.load(await svc.finalizePdf(await sourcePdf(pages), { watermarks }));
+}
+
+// Decoded content streams of a page, in drawing order
+function pageStreams(doc, index) {
+  const page = doc.getPages()[index];
+  const contents = page.node.Contents();
+  const refs = contents instanceof PDFArray ? contents.asArray() : [contents];
+  return refs.map((ref) => {
+    const stream = doc.context.lookup(ref);
+    const raw = Buffer.from(stream.getContents());
+    return (stream.dict.has(PDFName.of('Filter')) ? zlib.inflateSync(raw) : raw).toString('latin1');
+  });
+}
+const markIndex = (streams) => streams.findIndex((s) => s.includes('/Artifact BMC'));
+const textIndex = (streams) => streams.findIndex((s) => s.includes(' Tj') && !s.includes('/Artifact'));
+
+const cases = [
+  {
+    name: 'sanitizes text and applies defaults (center diagonal, corner stamp)',
+    run: () => {
+      const [center, corner] = svc.sanitizePdfOptions({
+        watermark: [{ text: ' ENTWURF\n ' }, { text: 'Vertraulich', position: 'top-right', opacity: 7, color: '#ff0000' }],
+      }).watermark;
+      return center.text === 'ENTWURF' && center.angle === 45 && center.opacity === 0.15 && center.layer === 'front' &&
+        center.pages === 'all' && corner.angle === 0 && corner.opacity === 1 && corner.color[0] === 1 &&
+        svc.sanitizePdfOptions({ watermark: { opacity: 0.5 } }).watermark === undefined;
+    },
+  },
+  {
+    name: 'page selection: first, last, ranges and open ranges',
+    run: () => {
+      const pick = (spec) => [...svc.selectPages(spec, 10)].sort((a, b) => a - b).join(',');
+      return pick('all').split(',').length === 10 && pick('first') === '0' && pick('last') === '9' &&
+        pick('1,3-5,9-') === '0,2,3,4,8,9' && pick('12') === '';
+    },
+  },
+  {
+    name: 'stamps only the selected pages',
+    run: async () => {
+      const doc = await stamped({ text: 'ENTWURF', pages: '2-' });
+      return markIndex(pageStreams(doc, 0)) === -1 && markIndex(pageStreams(doc, 1)) >= 0 && markIndex(pageStreams(doc, 2)) >= 0;
+    },
+  },
+  {
+    name: 'front draws after the page content, behind before it',
+    run: async () => {
+      const front = pageStreams(await stamped({ text: 'ENTWURF' }), 0);
+      const behind = pageStreams(await stamped({ text: 'ENTWURF', layer: 'behind' }), 0);
+      return markIndex(front) > textIndex(front) && markIndex(behind) < textIndex(behind);
+    },
+  },
+  {
+    name: 'mark is an isolated artifact with its own opacity',
+    run: async () => {
+      const doc = await stamped({ text: 'ENTWURF', opacity: 0.3 });
+      const mark = pageStreams(doc, 0).find((s) => s.includes('/Artifact BMC'));
+      const gsName = /\/(\S+) gs/.exec(mark)[1];
+      const resources = doc.getPages()[0].node.Resources();
+      const gs = resources.lookup(PDFName.of('ExtGState'), PDFDict).lookup(PDFName.of(gsName), PDFDict);
+      return /^\/Artifact BMC\s+q[\s\S]*Q\s+EMC$/.test(mark.trim()) &&
+        gs.lookup(PDFName.of('ca')).asNumber() === 0.3 && gs.lookup(PDFName.of('CA')).asNumber() === 0.3;
+    },
+  },
+  {
+    name: 'watermark and PDF/A conformance conflict',
+    run: () => {
+      try {
+        svc.sanitizePdfOptions({ conformance: 'PDF/A-2b', watermark: { text: 'ENTWURF' } });
+        return false;
+      } catch (e) {
+        return e.status === 400 && e.reason === 'pdf_options_conflict';
+      }
+    },
+  },
+  {
+    name: 'watermark content is encrypted along with the page',
+    run: async () => {
+      const opts = svc.sanitizePdfOptions({ watermark: { text: 'ENTWURF' }, security: { ownerPassword: 'o' } });
+      const out = await svc.finalizePdf(await sourcePdf(1), { watermarks: opts.watermark, security: opts.security });
+      return !out.includes('Artifact BMC') && !out.includes('ENTWURF') && out.includes('/Encrypt');
+    },
+  },
+];
+
+(async () => {
+  let pass = 0;
+  let fail = 0;
+  console.log('── pdf watermark ──');
+  for (const c of cases) {
+    let ok = false;
+    try { ok = !!(await c.run()); } catch (e) { ok = false; }
+    console.log(`  ${ok ? 'OK ' : 'FAIL'}  ${c.name}`);
+    if (ok) pass += 1; else fail += 1;
+  }
+  console.log(`\n${fail === 0 ? 'PASS' : 'FAIL'}: ${pass} passed, ${fail} failed`);
+  process.exit(fail === 0 ? 0 : 1);
+})();